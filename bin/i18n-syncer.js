@@ -1,14 +1,14 @@
 #!/usr/bin/env node
 
 import { program } from 'commander';
-import { I18nSyncer } from '../lib/index.js';
+import { I18nSyncer, formatDiff, formatIssues, formatJUnitReport, formatScanResult, loadConfig, resolveTarget } from '../lib/index.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 
 // Load environment variables from .env file
-dotenv.config();
+dotenv.config({ quiet: true });
 
 // Get package.json info for version
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -21,12 +21,95 @@ program
   .description('CLI to pull and push translations between Google Sheets and local files')
   .version(version);
 
-// Helper function to handle common functionality for both commands
-const createSyncer = (options) => {
+// Helper function to split comma-separated option values
+const parseList = (value) => value?.split(',').map(item => item.trim()).filter(Boolean);
+
+// Helper function to collect the values of a repeatable option
+const collect = (value, previous = []) => [...previous, value];
+
+// Helper function to add the sheet layout options to a command
+const addLayoutOptions = (command) => command
+  .option('--key-column <header>', 'Header of the key column (default: the first column)', process.env.I18N_SYNCER_KEY_COLUMN)
+  .option('--header-row <number>', 'Row number of the header row (default: 1)', process.env.I18N_SYNCER_HEADER_ROW)
+  .option('--languages <list>', 'Comma-separated headers of the language columns (default: all other columns)', process.env.I18N_SYNCER_LANGUAGES)
+  .option('--exclude-columns <list>', 'Comma-separated headers of columns that are not languages', process.env.I18N_SYNCER_EXCLUDE_COLUMNS)
+  .option('--comment-columns <list>', 'Comma-separated headers of comment or description columns', process.env.I18N_SYNCER_COMMENT_COLUMNS);
+
+// Helper function to add the multi-sheet options to a command
+const addNamespaceOptions = (command) => command
+  .option('-a, --all-sheets', 'Sync every worksheet as a namespace')
+  .option('--include-sheets <patterns>', 'Comma-separated glob patterns of worksheets to sync in all-sheets mode', process.env.I18N_SYNCER_INCLUDE_SHEETS)
+  .option('--exclude-sheets <patterns>', 'Comma-separated glob patterns of worksheets to skip in all-sheets mode', process.env.I18N_SYNCER_EXCLUDE_SHEETS)
+  .option('--path-pattern <pattern>', 'Path of namespaced files relative to the translation directory, without extension (default: {lang}/{sheet})', process.env.I18N_SYNCER_PATH_PATTERN);
+
+// Helper function to add the format options to a command
+const addFormatOptions = (command) => command
+  .option('--language-root', 'Nest translations under the language code (yaml format)', process.env.I18N_SYNCER_LANGUAGE_ROOT === 'true' || undefined)
+  .option('--key-separator <separator>', 'Separator of nested keys in the sheet (json, js, ts and yaml formats, default: .)', process.env.I18N_SYNCER_KEY_SEPARATOR)
+  .option('--flat-keys', 'Keep keys as they are instead of nesting them (json, js, ts and yaml formats)', process.env.I18N_SYNCER_FLAT_KEYS === 'true' || undefined)
+  .option('--plurals <style>', 'Plural forms of the files, one sheet row per form: i18next (items_one) or icu (json, js, ts and yaml formats)', process.env.I18N_SYNCER_PLURALS);
+
+// Helper function to add the missing-value options to a command
+const addMissingOptions = (command) => command
+  .option('--missing <policy>', 'What to write for empty cells: empty, omit, fallback or marker (default: empty)', process.env.I18N_SYNCER_MISSING)
+  .option('--fallbacks <chains>', 'Comma-separated fallback chains such as zh-HK>zh-TW, which end with the main language', process.env.I18N_SYNCER_FALLBACKS)
+  .option('--missing-marker <marker>', 'Marker of missing values, with {key}, {lang} and {source} (default: [MISSING] {key})', process.env.I18N_SYNCER_MISSING_MARKER);
+
+// Helper function to add the config file options to a command
+const addConfigOptions = (command) => command
+  .option('--config <path>', 'Path to the config file (default: the nearest i18n-syncer.config.js or .i18nsyncerrc)', process.env.I18N_SYNCER_CONFIG)
+  .option('--target <name>', 'Name of the config target to use', process.env.I18N_SYNCER_TARGET);
+
+// Helper function to pick the multi-sheet options for pull and push
+const namespaceParams = (options) => ({
+  allSheets: options.allSheets,
+  includeSheets: parseList(options.includeSheets),
+  excludeSheets: parseList(options.excludeSheets),
+  pathPattern: options.pathPattern,
+});
+
+// Helper function to pick the missing-value options for pull, push and diff
+const missingParams = (options) => ({
+  missing: options.missing,
+  fallbacks: options.fallbacks && Object.fromEntries(
+    parseList(options.fallbacks).map(chain => {
+      const [language, ...fallbacks] = chain.split('>').map(item => item.trim());
+      return [language, fallbacks];
+    }),
+  ),
+  missingMarker: options.missingMarker,
+});
+
+// Helper function to handle common functionality for all commands
+// Command-line options and environment variables take precedence over the config file
+const createSyncer = async (options) => {
+  const config = await loadConfig({ configPath: options.config });
+  const target = config ? resolveTarget(config, options.target) : {};
+
+  // Check if spreadsheet ID is provided either as option, environment variable or config
+  if (!options.spreadsheetId && !target.spreadsheetId) {
+    console.error('Error: Spreadsheet ID is required. Provide it with --spreadsheet-id option, set I18N_SYNCER_SPREADSHEET_ID in .env file or set spreadsheetId in a config file.');
+    process.exit(1);
+  }
+
   return new I18nSyncer({
+    config,
+    target: options.target,
     spreadsheetId: options.spreadsheetId,
     credentialsPath: options.credentials,
     translationDir: options.translationDir,
+    layout: {
+      keyColumn: options.keyColumn,
+      headerRow: options.headerRow,
+      languages: parseList(options.languages),
+      excludeColumns: parseList(options.excludeColumns),
+      commentColumns: parseList(options.commentColumns),
+    },
+    formatOptions: {
+      languageRoot: options.languageRoot,
+      keySeparator: options.flatKeys ? false : options.keySeparator,
+      plurals: options.plurals,
+    },
   });
 };
 
@@ -58,25 +141,55 @@ program
   .description('Pull translations from Google Sheets to translation files')
   .option('-s, --spreadsheet-id <id>', 'Google Spreadsheet ID', process.env.I18N_SYNCER_SPREADSHEET_ID)
   .option('-n, --sheet-name <name>', 'Name of the sheet to pull data from', process.env.I18N_SYNCER_SHEET_NAME)
-  .option('-c, --credentials <path>', 'Path to credentials file', process.env.I18N_SYNCER_CREDENTIALS_PATH || './credentials.json')
-  .option('-t, --translation-dir <directory>', 'Directory for translation JSON files', process.env.I18N_SYNCER_TRANSLATION_DIR || './translations')
-  .option('-f, --format <format>', 'Format of translation files (json or js)', process.env.I18N_SYNCER_FORMAT || 'json')
+  .option('-c, --credentials <path>', 'Path to credentials file (default: ./credentials.json)', process.env.I18N_SYNCER_CREDENTIALS_PATH)
+  .option('-t, --translation-dir <directory>', 'Directory for translation JSON files (default: ./translations)', process.env.I18N_SYNCER_TRANSLATION_DIR)
+  .option('-f, --format <format>', 'Format of translation files (json, js, ts, yaml, po, android, apple or xliff, default: json)', process.env.I18N_SYNCER_FORMAT)
+  .option('-m, --main-language <language>', 'Main language, the source of the PO template (default: en)', process.env.I18N_SYNCER_MAIN_LANGUAGE)
+  .option('--dry-run', 'Show which files would be written without writing them')
+  .option('--validate <mode>', 'What to do with invalid messages and mismatched placeholders (warn, error or off, default: warn)', process.env.I18N_SYNCER_VALIDATE)
+  .option('--placeholders <styles>', 'Comma-separated placeholder styles to check (icu, double-brace or printf, default: icu,double-brace)', process.env.I18N_SYNCER_PLACEHOLDERS)
+  .option('-w, --watch', 'Keep pulling whenever the sheet changes, until interrupted')
+  .option('--interval <seconds>', 'Seconds between checks for changes in watch mode (default: 30)', process.env.I18N_SYNCER_WATCH_INTERVAL)
   .action(async (options) => {
     try {
-      // Check if spreadsheet ID is provided either as option or environment variable
-      if (!options.spreadsheetId) {
-        console.error('Error: Spreadsheet ID is required. Provide it with --spreadsheet-id option or set I18N_SYNCER_SPREADSHEET_ID in .env file.');
-        process.exit(1);
-      }
-
       console.log('Starting translation pull from Google Sheets...');
 
-      const syncer = createSyncer(options);
+      const syncer = await createSyncer(options);
 
-      await syncer.pull({
+      const pullParams = {
         sheetName: options.sheetName,
         translationDir: options.translationDir,
         format: options.format,
+        mainLanguage: options.mainLanguage,
+        dryRun: options.dryRun,
+        validate: options.validate,
+        placeholders: parseList(options.placeholders),
+        ...missingParams(options),
+        ...namespaceParams(options),
+      };
+
+      if (!options.watch) {
+        await syncer.pull(pullParams);
+        return;
+      }
+
+      syncer.on('change', ({ sheetName, updated }) => {
+        console.log(`Worksheet "${sheetName}" changed, ${updated} files updated`);
+      });
+
+      syncer.on('error', (error) => {
+        console.error('Error pulling data:', error.message);
+      });
+
+      const stop = await syncer.watch({
+        ...pullParams,
+        interval: options.interval,
+      });
+
+      process.on('SIGINT', () => {
+        stop();
+        console.log('Stopped watching');
+        process.exit(0);
       });
 
     } catch (error) {
@@ -90,33 +203,345 @@ program
   .description('Push translations from translation files to Google Sheets')
   .option('-s, --spreadsheet-id <id>', 'Google Spreadsheet ID', process.env.I18N_SYNCER_SPREADSHEET_ID)
   .option('-n, --sheet-name <name>', 'Name of the sheet to push data to', process.env.I18N_SYNCER_SHEET_NAME)
-  .option('-c, --credentials <path>', 'Path to credentials file', process.env.I18N_SYNCER_CREDENTIALS_PATH || './credentials.json')
-  .option('-t, --translation-dir <directory>', 'Directory for translation JSON files', process.env.I18N_SYNCER_TRANSLATION_DIR || './translations')
-  .option('-f, --format <format>', 'Format of translation files to read (json or js)', process.env.I18N_SYNCER_FORMAT || 'json')
-  .option('-m, --main-language <language>', 'Main language to use as base for key ordering', process.env.I18N_SYNCER_MAIN_LANGUAGE || 'en')
+  .option('-c, --credentials <path>', 'Path to credentials file (default: ./credentials.json)', process.env.I18N_SYNCER_CREDENTIALS_PATH)
+  .option('-t, --translation-dir <directory>', 'Directory for translation JSON files (default: ./translations)', process.env.I18N_SYNCER_TRANSLATION_DIR)
+  .option('-f, --format <format>', 'Format of translation files to read (json, js, ts, yaml, po, android, apple or xliff, default: json)', process.env.I18N_SYNCER_FORMAT)
+  .option('-m, --main-language <language>', 'Main language to use as base for key ordering (default: en)', process.env.I18N_SYNCER_MAIN_LANGUAGE)
+  .option('--merge', 'Merge with the current sheet contents using the snapshot of the last sync instead of overwriting them')
+  .option('--conflict-strategy <strategy>', 'How to resolve merge conflicts (abort, local or remote, default: abort)')
+  .option('--dry-run', 'Show how many cells would change without writing anything')
   .action(async (options) => {
     try {
-      // Check if spreadsheet ID is provided either as option or environment variable
-      if (!options.spreadsheetId) {
-        console.error('Error: Spreadsheet ID is required. Provide it with --spreadsheet-id option or set I18N_SYNCER_SPREADSHEET_ID in .env file.');
+      console.log('Starting translation push to Google Sheets...');
+
+      const syncer = await createSyncer(options);
+
+      const success = await syncer.push({
+        sheetName: options.sheetName,
+        translationDir: options.translationDir,
+        format: options.format,
+        mainLanguage: options.mainLanguage,
+        merge: options.merge,
+        conflictStrategy: options.conflictStrategy,
+        dryRun: options.dryRun,
+        ...missingParams(options),
+        ...namespaceParams(options),
+      });
+
+      if (!success) {
         process.exit(1);
       }
 
-      console.log('Starting translation push to Google Sheets...');
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Command to show what pull or push would change
+program
+  .command('diff')
+  .alias('status')
+  .description('Show what pull or push would change without writing anything')
+  .option('-s, --spreadsheet-id <id>', 'Google Spreadsheet ID', process.env.I18N_SYNCER_SPREADSHEET_ID)
+  .option('-n, --sheet-name <name>', 'Name of the sheet to compare with', process.env.I18N_SYNCER_SHEET_NAME)
+  .option('-c, --credentials <path>', 'Path to credentials file (default: ./credentials.json)', process.env.I18N_SYNCER_CREDENTIALS_PATH)
+  .option('-t, --translation-dir <directory>', 'Directory for translation JSON files (default: ./translations)', process.env.I18N_SYNCER_TRANSLATION_DIR)
+  .option('-f, --format <format>', 'Format of translation files to read (json, js, ts, yaml, po, android, apple or xliff, default: json)', process.env.I18N_SYNCER_FORMAT)
+  .option('-m, --main-language <language>', 'Main language to use as base for key ordering (default: en)', process.env.I18N_SYNCER_MAIN_LANGUAGE)
+  .option('-d, --direction <direction>', 'Changes to show: pull (sheet to local files) or push (local files to sheet), default: pull')
+  .option('--json', 'Print the result as JSON')
+  .option('--exit-code', 'Exit with code 1 if there are changes')
+  .action(async (options) => {
+    try {
+      // Keep stdout clean for the JSON result by sending progress messages to stderr
+      if (options.json) {
+        console.log = console.error;
+      }
 
-      const syncer = createSyncer(options);
+      const syncer = await createSyncer(options);
 
-      await syncer.push({
+      const result = await syncer.diff({
         sheetName: options.sheetName,
         translationDir: options.translationDir,
         format: options.format,
         mainLanguage: options.mainLanguage,
+        direction: options.direction,
+        ...missingParams(options),
       });
 
+      if (!result) {
+        process.exit(1);
+      }
+
+      if (options.json) {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+      } else {
+        console.log(`Changes ${result.direction} would make for worksheet "${result.sheetName}":`);
+        console.log(formatDiff(result.languages));
+      }
+
+      if (options.exitCode && result.summary.languages > 0) {
+        process.exit(1);
+      }
+
     } catch (error) {
       handleError(error);
     }
   });
 
+// Command to check translations, for use in CI
+program
+  .command('check')
+  .alias('lint')
+  .description('Check translations for missing keys, empty values, key conflicts and mismatched placeholders')
+  .option('-s, --spreadsheet-id <id>', 'Google Spreadsheet ID', process.env.I18N_SYNCER_SPREADSHEET_ID)
+  .option('-n, --sheet-name <name>', 'Name of the sheet to check with --remote', process.env.I18N_SYNCER_SHEET_NAME)
+  .option('-c, --credentials <path>', 'Path to credentials file (default: ./credentials.json)', process.env.I18N_SYNCER_CREDENTIALS_PATH)
+  .option('-t, --translation-dir <directory>', 'Directory for translation JSON files (default: ./translations)', process.env.I18N_SYNCER_TRANSLATION_DIR)
+  .option('-f, --format <format>', 'Format of translation files to read (json, js, ts, yaml, po, android, apple or xliff, default: json)', process.env.I18N_SYNCER_FORMAT)
+  .option('-m, --main-language <language>', 'Main language that other languages are compared with (default: en)', process.env.I18N_SYNCER_MAIN_LANGUAGE)
+  .option('--remote', 'Also check the sheet, including duplicate keys')
+  .option('--placeholders <styles>', 'Comma-separated placeholder styles to check (icu, double-brace or printf, default: icu,double-brace)', process.env.I18N_SYNCER_PLACEHOLDERS)
+  .option('--ignore <checks>', 'Comma-separated checks to skip (e.g. extra-key,empty-value)')
+  .option('--report <type>', 'Report type: text, json or junit (default: text)', 'text')
+  .option('-o, --output <file>', 'Write the report to a file instead of stdout')
+  .option('--max-warnings <number>', 'Number of warnings that makes the check fail (default: unlimited)')
+  .action(async (options) => {
+    try {
+      if (!['text', 'json', 'junit'].includes(options.report)) {
+        throw new Error(`Invalid report type "${options.report}", expected text, json or junit`);
+      }
+
+      // Keep stdout clean for JSON and JUnit reports by sending progress messages to stderr
+      if (options.report !== 'text' && !options.output) {
+        console.log = console.error;
+      }
+
+      const syncer = await createSyncer(options);
+
+      const result = await syncer.check({
+        sheetName: options.sheetName,
+        translationDir: options.translationDir,
+        format: options.format,
+        mainLanguage: options.mainLanguage,
+        remote: options.remote,
+        placeholders: parseList(options.placeholders),
+        ignore: parseList(options.ignore),
+      });
+
+      let report;
+
+      if (options.report === 'json') {
+        report = `${JSON.stringify(result, null, 2)}\n`;
+      } else if (options.report === 'junit') {
+        report = formatJUnitReport(result.issues);
+      } else {
+        report = `${formatIssues(result.issues)}\n`;
+      }
+
+      if (options.output) {
+        fs.mkdirSync(path.dirname(options.output), { recursive: true });
+        fs.writeFileSync(options.output, report);
+        console.log(`Report saved: ${options.output}`);
+        console.log(formatIssues(result.issues).split('\n').pop());
+      } else {
+        process.stdout.write(report);
+      }
+
+      const maxWarnings = options.maxWarnings === undefined ? Infinity : Number(options.maxWarnings);
+
+      if (result.summary.errors > 0 || result.summary.warnings > maxWarnings) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Command to find unused keys and keys missing from the sheet or files by scanning source code
+program
+  .command('scan')
+  .description('Scan source code for unused translation keys and keys missing from the files or the sheet')
+  .option('-s, --spreadsheet-id <id>', 'Google Spreadsheet ID', process.env.I18N_SYNCER_SPREADSHEET_ID)
+  .option('-n, --sheet-name <name>', 'Name of the sheet to compare with --remote', process.env.I18N_SYNCER_SHEET_NAME)
+  .option('-c, --credentials <path>', 'Path to credentials file (default: ./credentials.json)', process.env.I18N_SYNCER_CREDENTIALS_PATH)
+  .option('-t, --translation-dir <directory>', 'Directory for translation JSON files (default: ./translations)', process.env.I18N_SYNCER_TRANSLATION_DIR)
+  .option('-f, --format <format>', 'Format of translation files to read (json, js, ts, yaml, po, android, apple or xliff, default: json)', process.env.I18N_SYNCER_FORMAT)
+  .option('-m, --main-language <language>', 'Main language to use as base for key ordering (default: en)', process.env.I18N_SYNCER_MAIN_LANGUAGE)
+  .option('--src <dirs>', 'Comma-separated directories of the source code (default: .)', process.env.I18N_SYNCER_SOURCE_DIRS)
+  .option('--include <patterns>', 'Comma-separated glob patterns of the source files to scan (default: JavaScript, TypeScript, Vue, Svelte and HTML files)')
+  .option('--exclude <patterns>', 'Comma-separated glob patterns of the source files to skip')
+  .option('--functions <names>', 'Comma-separated translation functions (default: t,$t,i18n.t)', process.env.I18N_SYNCER_FUNCTIONS)
+  .option('--pattern <regex>', 'Regular expression whose named group "key" or first group is a key (repeatable)', collect)
+  .option('--remote', 'Compare with the keys of the sheet instead of the local files')
+  .option('--append', 'Append the keys missing from the sheet as new rows (compares with the sheet)')
+  .option('--dry-run', 'Show which keys would be appended without writing anything')
+  .option('--json', 'Print the result as JSON')
+  .option('--exit-code', 'Exit with code 1 if there are unused or missing keys')
+  .action(async (options) => {
+    try {
+      // Keep stdout clean for the JSON result by sending progress messages to stderr
+      if (options.json) {
+        console.log = console.error;
+      }
+
+      const syncer = await createSyncer(options);
+
+      const result = await syncer.scan({
+        sheetName: options.sheetName,
+        translationDir: options.translationDir,
+        format: options.format,
+        mainLanguage: options.mainLanguage,
+        remote: options.remote,
+        sourceDirs: parseList(options.src),
+        sourceInclude: parseList(options.include),
+        sourceExclude: parseList(options.exclude),
+        functions: parseList(options.functions),
+        keyPatterns: options.pattern,
+        append: options.append,
+        dryRun: options.dryRun,
+      });
+
+      if (!result) {
+        process.exit(1);
+      }
+
+      if (options.json) {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+      } else {
+        console.log(formatScanResult(result));
+      }
+
+      if (options.exitCode && (result.unused.length || result.missing.length)) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Command to append the keys used in source code that the sheet doesn't have yet
+program
+  .command('extract')
+  .description('Append keys used in source code that are not in the sheet yet, with their default text')
+  .option('-s, --spreadsheet-id <id>', 'Google Spreadsheet ID', process.env.I18N_SYNCER_SPREADSHEET_ID)
+  .option('-n, --sheet-name <name>', 'Name of the sheet to append keys to', process.env.I18N_SYNCER_SHEET_NAME)
+  .option('-c, --credentials <path>', 'Path to credentials file (default: ./credentials.json)', process.env.I18N_SYNCER_CREDENTIALS_PATH)
+  .option('-f, --format <format>', 'Format of translation files, whose key separator is used (json, js, ts, yaml, po, android, apple or xliff, default: json)', process.env.I18N_SYNCER_FORMAT)
+  .option('-m, --main-language <language>', 'Main language, whose column gets the default texts (default: en)', process.env.I18N_SYNCER_MAIN_LANGUAGE)
+  .option('--src <dirs>', 'Comma-separated directories of the source code (default: .)', process.env.I18N_SYNCER_SOURCE_DIRS)
+  .option('--include <patterns>', 'Comma-separated glob patterns of the source files to scan (default: JavaScript, TypeScript, Vue, Svelte and HTML files)')
+  .option('--exclude <patterns>', 'Comma-separated glob patterns of the source files to skip')
+  .option('--functions <names>', 'Comma-separated translation functions (default: t,$t,i18n.t)', process.env.I18N_SYNCER_FUNCTIONS)
+  .option('--pattern <regex>', 'Regular expression whose named group "key" or first group is a key (repeatable)', collect)
+  .option('--dry-run', 'Show which keys would be appended without writing anything (default without --yes)')
+  .option('-y, --yes', 'Append the new keys to the sheet, after reviewing them with a dry run')
+  .action(async (options) => {
+    try {
+      const syncer = await createSyncer(options);
+      // Keys are only appended once they have been reviewed
+      const dryRun = options.dryRun || !options.yes;
+
+      const result = await syncer.extract({
+        sheetName: options.sheetName,
+        format: options.format,
+        mainLanguage: options.mainLanguage,
+        sourceDirs: parseList(options.src),
+        sourceInclude: parseList(options.include),
+        sourceExclude: parseList(options.exclude),
+        functions: parseList(options.functions),
+        keyPatterns: options.pattern,
+        dryRun,
+      });
+
+      if (!result) {
+        process.exit(1);
+      }
+
+      if (dryRun && !options.dryRun && result.keys.length) {
+        console.log('Review the keys above and run extract again with --yes to append them');
+      }
+
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Command to list the snapshots saved before each push, or restore one
+program
+  .command('restore')
+  .description('List the snapshots of the sheet saved before each push, or restore one to the sheet or to local files')
+  .argument('[snapshot]', 'Id of the snapshot to restore (default: list the snapshots)')
+  .option('-s, --spreadsheet-id <id>', 'Google Spreadsheet ID', process.env.I18N_SYNCER_SPREADSHEET_ID)
+  .option('-n, --sheet-name <name>', 'Name of the sheet whose snapshots to list or restore (default: every sheet)', process.env.I18N_SYNCER_SHEET_NAME)
+  .option('-c, --credentials <path>', 'Path to credentials file (default: ./credentials.json)', process.env.I18N_SYNCER_CREDENTIALS_PATH)
+  .option('-t, --translation-dir <directory>', 'Directory for translation JSON files (default: ./translations)', process.env.I18N_SYNCER_TRANSLATION_DIR)
+  .option('-f, --format <format>', 'Format of translation files (json, js, ts, yaml, po, android, apple or xliff, default: json)', process.env.I18N_SYNCER_FORMAT)
+  .option('-m, --main-language <language>', 'Main language, the source of the PO template (default: en)', process.env.I18N_SYNCER_MAIN_LANGUAGE)
+  .option('--to <destination>', 'Where to restore the snapshot: sheet or files (default: sheet)')
+  .option('-a, --all-sheets', 'Restore to the namespace files of the worksheet, as pulled with --all-sheets')
+  .option('--path-pattern <pattern>', 'Path of namespaced files relative to the translation directory, without extension (default: {lang}/{sheet})', process.env.I18N_SYNCER_PATH_PATTERN)
+  .option('--dry-run', 'Show what would be written without writing anything')
+  .option('--json', 'Print the list of snapshots as JSON')
+  .action(async (snapshot, options) => {
+    try {
+      // Keep stdout clean for the JSON list by sending progress messages to stderr
+      if (options.json) {
+        console.log = console.error;
+      }
+
+      const syncer = await createSyncer(options);
+
+      if (!snapshot) {
+        const snapshots = syncer.listSnapshots({ sheetName: options.sheetName });
+
+        if (options.json) {
+          process.stdout.write(`${JSON.stringify(snapshots, null, 2)}\n`);
+        } else if (!snapshots.length) {
+          console.log('No snapshots found');
+        } else {
+          snapshots.forEach(({ id, sheetName, savedAt, reason, rows }) => {
+            console.log(`${id}  "${sheetName}"  ${rows} rows, saved at ${savedAt} before a ${reason}`);
+          });
+        }
+
+        return;
+      }
+
+      await syncer.restore({
+        snapshot,
+        sheetName: options.sheetName,
+        to: options.to,
+        translationDir: options.translationDir,
+        format: options.format,
+        mainLanguage: options.mainLanguage,
+        allSheets: options.allSheets,
+        pathPattern: options.pathPattern,
+        dryRun: options.dryRun,
+        ...missingParams(options),
+      });
+
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Config file and sheet layout options apply to every command
+program.commands.forEach(addConfigOptions);
+program.commands.forEach(addLayoutOptions);
+program.commands.forEach(addFormatOptions);
+
+// Multi-sheet options apply to pull and push
+program.commands
+  .filter(command => ['pull', 'push'].includes(command.name()))
+  .forEach(addNamespaceOptions);
+
+// Missing-value options apply to the commands that write or compare pulled files
+program.commands
+  .filter(command => ['pull', 'push', 'diff', 'restore'].includes(command.name()))
+  .forEach(addMissingOptions);
+
 // Parse command line arguments
 program.parse();
@@ -1,6 +1,22 @@
 import fs from 'fs';
 import { google } from 'googleapis';
 
+/**
+ * Scope of the Google Sheets API, which allows reading and writing spreadsheets
+ */
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+/**
+ * Scope of the Google Drive API needed to read the revision of the spreadsheet
+ */
+const DRIVE_METADATA_SCOPE = 'https://www.googleapis.com/auth/drive.metadata.readonly';
+
+/**
+ * HTTP statuses of Drive requests that fail for good, when the Drive API is not enabled or the
+ * spreadsheet metadata can't be read
+ */
+const DRIVE_UNAVAILABLE_STATUSES = [403, 404];
+
 /**
  * GoogleSheetsClient class
  * Handles operations with Google Sheets API
@@ -30,14 +46,17 @@ class GoogleSheetsClient {
   /**
    * Initialize and authorize
    * Establishes connection with Google Sheets API
+   * @param {Object} [options] - Initialization options
+   * @param {boolean} [options.revisions=false] - Also request read access to the Drive metadata of the
+   * spreadsheet, which getRevision needs
    */
-  async initialize() {
+  async initialize({ revisions = false } = {}) {
     try {
       const credentials = JSON.parse(fs.readFileSync(this.#credentialsPath, 'utf8'));
 
       this.#auth = new google.auth.GoogleAuth({
         credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets'], // Updated to allow write access
+        scopes: revisions ? [SHEETS_SCOPE, DRIVE_METADATA_SCOPE] : [SHEETS_SCOPE],
       });
 
       this.#sheets = google.sheets({ version: 'v4', auth: this.#auth });
@@ -81,6 +100,177 @@ class GoogleSheetsClient {
     }
   }
 
+  /**
+   * Get the revision of the spreadsheet from Google Drive, which changes whenever it is edited
+   * Reading it requires the Drive API to be enabled for the service account's project, and the client
+   * to be initialized with revisions.
+   * @returns {Promise<string|null>} Revision (version and modified time), or null if Drive refuses the
+   * request (403 or 404), in which case it won't be readable later either
+   * @throws {Error} If the request fails otherwise, such as while offline
+   */
+  async getRevision() {
+    try {
+      const drive = google.drive({ version: 'v3', auth: this.#auth });
+      const { data: { version, modifiedTime } } = await drive.files.get({
+        fileId: this.#spreadsheetId,
+        fields: 'version, modifiedTime',
+        supportsAllDrives: true,
+      });
+
+      return `${version}:${modifiedTime}`;
+    } catch (err) {
+      if (DRIVE_UNAVAILABLE_STATUSES.includes(Number(err.response?.status ?? err.code))) {
+        console.warn(`Could not read the spreadsheet revision from Google Drive (${err.message}), comparing worksheet contents instead`);
+        return null;
+      }
+
+      console.error('Error reading the spreadsheet revision:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Add a new worksheet to the spreadsheet
+   * @param {string} sheetName - Worksheet name
+   * @returns {Promise<Object>} Worksheet title and sheetId
+   */
+  async addSheet(sheetName) {
+    try {
+      const { data: { replies: [{ addSheet: { properties } }] } } = await this.#sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.#spreadsheetId,
+        resource: {
+          requests: [{ addSheet: { properties: { title: sheetName } } }],
+        },
+      });
+
+      console.log(`Worksheet created: ${sheetName}`);
+
+      return {
+        title: properties.title,
+        sheetId: properties.sheetId,
+      };
+    } catch (err) {
+      console.error(`Error creating worksheet "${sheetName}":`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get properties of a specific worksheet
+   * @param {string} sheetName - Worksheet name
+   * @returns {Promise<Object>} Worksheet title, sheetId, rowCount and columnCount
+   */
+  async getSheetProperties(sheetName) {
+    try {
+      const { data: { sheets } } = await this.#sheets.spreadsheets.get({
+        spreadsheetId: this.#spreadsheetId,
+        fields: 'sheets.properties(sheetId,title,gridProperties(rowCount,columnCount))',
+      });
+
+      const sheet = sheets.find(({ properties: { title } }) => title === sheetName);
+
+      if (!sheet) {
+        throw new Error(`Worksheet "${sheetName}" not found in the spreadsheet`);
+      }
+
+      const { properties: { title, sheetId, gridProperties } } = sheet;
+
+      return {
+        title,
+        sheetId,
+        rowCount: gridProperties?.rowCount ?? 0,
+        columnCount: gridProperties?.columnCount ?? 0,
+      };
+    } catch (err) {
+      console.error(`Error fetching properties of worksheet "${sheetName}":`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Convert a column number to its A1 notation letters
+   * @param {number} columnNumber - Column number starting from 1
+   * @returns {string} Column letters, e.g. 'A', 'Z', 'AA'
+   */
+  static columnToLetter(columnNumber) {
+    let letters = '';
+
+    for (let n = columnNumber; n > 0; n = Math.floor((n - 1) / 26)) {
+      letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+
+    return letters;
+  }
+
+  /**
+   * Build an A1 notation reference to a cell
+   * @param {string} sheetName - Worksheet name
+   * @param {number} rowNumber - Row number starting from 1
+   * @param {number} columnIndex - Column index starting from 0
+   * @returns {string} Cell reference, e.g. Sheet1!C5 or 'My Sheet'!C5
+   */
+  static cellReference(sheetName, rowNumber, columnIndex) {
+    const name = /^[A-Za-z_][\w]*$/.test(sheetName) ? sheetName : `'${sheetName.replace(/'/g, '\'\'')}'`;
+
+    return `${name}!${GoogleSheetsClient.columnToLetter(columnIndex + 1)}${rowNumber}`;
+  }
+
+  /**
+   * Build an A1 notation range covering a whole worksheet grid
+   * @param {string} sheetName - Worksheet name
+   * @param {number} rowCount - Number of rows
+   * @param {number} columnCount - Number of columns
+   * @returns {string} Range, e.g. 'Sheet1'!A1:AF1000
+   */
+  static gridRange(sheetName, rowCount, columnCount) {
+    const quotedName = `'${sheetName.replace(/'/g, '\'\'')}'`;
+    const lastColumn = GoogleSheetsClient.columnToLetter(Math.max(columnCount, 1));
+
+    return `${quotedName}!A1:${lastColumn}${Math.max(rowCount, 1)}`;
+  }
+
+  /**
+   * Grow a worksheet so that its grid has at least the given size
+   * @param {string} sheetName - Worksheet name
+   * @param {number} rowCount - Minimum number of rows
+   * @param {number} columnCount - Minimum number of columns
+   * @returns {Promise<Object>} Worksheet properties after resizing
+   */
+  async ensureSheetSize(sheetName, rowCount, columnCount) {
+    try {
+      const properties = await this.getSheetProperties(sheetName);
+
+      const requests = [
+        ['ROWS', rowCount - properties.rowCount],
+        ['COLUMNS', columnCount - properties.columnCount],
+      ]
+        .filter(([, length]) => length > 0)
+        .map(([dimension, length]) => ({
+          appendDimension: { sheetId: properties.sheetId, dimension, length },
+        }));
+
+      if (!requests.length) {
+        return properties;
+      }
+
+      await this.#sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.#spreadsheetId,
+        resource: { requests },
+      });
+
+      console.log(`Resized worksheet "${sheetName}" to ${Math.max(rowCount, properties.rowCount)} rows × ${Math.max(columnCount, properties.columnCount)} columns`);
+
+      return {
+        ...properties,
+        rowCount: Math.max(rowCount, properties.rowCount),
+        columnCount: Math.max(columnCount, properties.columnCount),
+      };
+    } catch (err) {
+      console.error(`Error resizing worksheet "${sheetName}":`, err);
+      throw err;
+    }
+  }
+
   /**
    * Get spreadsheet data for specified range
    * @param {string} range - Range to fetch, e.g. 'Sheet1!A1:D10'
@@ -110,7 +300,11 @@ class GoogleSheetsClient {
    * @param {string} sheetName - Worksheet name
    * @returns {Promise<Array>} Worksheet data array
    */
-  getEntireSheetData = (sheetName) => this.getSheetData(`${sheetName}!A:Z`);
+  async getEntireSheetData(sheetName) {
+    const { rowCount, columnCount } = await this.getSheetProperties(sheetName);
+
+    return this.getSheetData(GoogleSheetsClient.gridRange(sheetName, rowCount, columnCount));
+  }
 
   /**
    * Update spreadsheet data for specified range
@@ -137,6 +331,36 @@ class GoogleSheetsClient {
     }
   }
 
+  /**
+   * Append rows below the last row with data, leaving the existing rows and their formatting untouched
+   * @param {string} sheetName - Sheet name
+   * @param {Array} values - 2D array of values to append
+   * @returns {Promise<Object>} Append result
+   */
+  async appendRows(sheetName, values) {
+    try {
+      // Grow the grid first if the new rows are wider than it
+      const columnCount = Math.max(1, ...values.map(row => row.length));
+      const properties = await this.ensureSheetSize(sheetName, 0, columnCount);
+
+      const result = await this.#sheets.spreadsheets.values.append({
+        spreadsheetId: this.#spreadsheetId,
+        range: GoogleSheetsClient.gridRange(sheetName, properties.rowCount, properties.columnCount),
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: {
+          values,
+        },
+      });
+
+      console.log(`Appended ${result.data.updates?.updatedRows ?? values.length} rows to worksheet "${sheetName}"`);
+      return result.data;
+    } catch (err) {
+      console.error(`Error appending rows to sheet "${sheetName}":`, err);
+      throw err;
+    }
+  }
+
   /**
    * Clear and then update sheet data (ensures consistent structure)
    * @param {string} sheetName - Sheet name
@@ -145,14 +369,18 @@ class GoogleSheetsClient {
    */
   async clearAndUpdateSheet(sheetName, values) {
     try {
-      // First, clear the existing data
+      // Grow the grid first if the new data doesn't fit
+      const columnCount = Math.max(0, ...values.map(row => row.length));
+      const properties = await this.ensureSheetSize(sheetName, values.length, columnCount);
+
+      // Then clear the existing data across the whole grid
       await this.#sheets.spreadsheets.values.clear({
         spreadsheetId: this.#spreadsheetId,
-        range: `${sheetName}!A:Z`,
+        range: GoogleSheetsClient.gridRange(sheetName, properties.rowCount, properties.columnCount),
       });
 
-      // Then write the new data
-      return this.updateSheetData(`${sheetName}!A1`, values);
+      // Finally write the new data
+      return this.updateSheetData(GoogleSheetsClient.gridRange(sheetName, values.length, columnCount), values);
     } catch (err) {
       console.error(`Error clearing and updating sheet "${sheetName}":`, err);
       throw err;
@@ -1,28 +1,79 @@
+import { applyMissingPolicy, DEFAULT_MISSING_MARKER, MISSING_POLICIES, removeFilledValues } from './utils/missing.js';
+import { CHECKS, checkTranslations, createIssue, summarizeIssues } from './utils/check.js';
+import { checkPluralForms, findPluralGroups, findSourceValue, groupPluralKeys, keepUnusedPluralForms, selectPluralForms } from './utils/plurals.js';
+import { comparePlaceholders, extractPlaceholders, PLACEHOLDER_STYLES, VALIDATION_MODES } from './utils/placeholders.js';
+import { compareKeyUsage, scanSourceFiles } from './utils/scan.js';
+import { countChangedCells, diffTranslations, summarizeDiff } from './utils/diff.js';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { filterByPatterns } from './utils/glob.js';
+import { findKeyConflicts, hasSurroundingWhitespace } from './utils/keys.js';
 import { getFormatHandler } from './formatHandlers/index.js';
+import { loadConfig, resolveTarget } from './config.js';
 import fs from 'fs';
 import GoogleSheetsClient from './GoogleSheetsClient.js';
+import LanguageFileSet, { DEFAULT_PATH_PATTERN } from './LanguageFileSet.js';
+import { mergeTranslations } from './utils/merge.js';
 import path from 'path';
+import SheetLayout from './SheetLayout.js';
+import SyncStateStore from './SyncStateStore.js';
+
+/**
+ * @import BaseFormatHandler from './formatHandlers/BaseFormatHandler.js';
+ */
+
+/**
+ * Remove entries with undefined values, so that they don't override other settings
+ * @param {Object} [obj={}] - Object to filter
+ * @returns {Object} Object without undefined values
+ */
+const omitUndefined = (obj = {}) => Object.fromEntries(
+  Object.entries(obj).filter(([, value]) => value !== undefined),
+);
 
 /**
  * I18nSyncer class
  * Handles the workflow for syncing translations from Google Sheets and organizing by language
+ *
+ * Emits 'change' with { sheetName, updated, unchanged, translations } when a pull updates local files,
+ * and 'error' when a pull fails in watch mode.
  */
-export class I18nSyncer {
+export class I18nSyncer extends EventEmitter {
   #client;
   #translationDir;
+  #stateStore;
+  #layout;
+  #formatOptions;
+  #defaults;
 
   /**
    * Constructor
+   * Settings of the config target are used where no parameter is given, and any other
+   * settings of the target (such as sheetName, format or mainLanguage) become the defaults of pull, push and diff
    * @param {Object} params - Constructor parameters
    * @param {string} params.spreadsheetId - Google Spreadsheet ID
    * @param {string} [params.credentialsPath='./credentials.json'] - Path to credentials file
    * @param {string} [params.translationDir='./translations'] - Directory for translation JSON files
+   * @param {string} [params.stateDir='./.i18n-syncer'] - Directory for sync state such as base snapshots
+   * @param {Object} [params.layout] - Sheet layout options (see SheetLayout)
+   * @param {Object} [params.formatOptions] - Options for the format handler (e.g. languageRoot for YAML)
+   * @param {Object} [params.config] - Config object (see loadConfig)
+   * @param {string} [params.target] - Name of the config target to use
    */
-  constructor({
-    spreadsheetId,
-    credentialsPath = './credentials.json',
-    translationDir = './translations',
-  } = {}) {
+  constructor({ config, target, ...params } = {}) {
+    super();
+
+    const {
+      spreadsheetId,
+      credentialsPath = './credentials.json',
+      translationDir = './translations',
+      stateDir = './.i18n-syncer',
+      historyLimit = 50,
+      layout = {},
+      formatOptions = {},
+      ...defaults
+    } = I18nSyncer.#resolveSettings(config, target, params);
+
     // Validate required parameters
     if (!spreadsheetId) {
       throw new Error('Spreadsheet ID is required');
@@ -38,11 +89,70 @@ export class I18nSyncer {
       spreadsheetId,
       credentialsPath,
     });
+    this.#stateStore = new SyncStateStore({ spreadsheetId, stateDir, historyLimit });
+    this.#layout = new SheetLayout(layout);
+    this.#formatOptions = formatOptions;
+    this.#defaults = defaults;
 
     // Ensure translation directory exists
     this.#ensureDirectoryExists(this.#translationDir);
   }
 
+  /**
+   * Create a syncer from a config file
+   * @param {Object} [params] - Parameters
+   * @param {string} [params.configPath] - Path to the config file (default: the nearest config file)
+   * @param {string} [params.target] - Name of the config target to use
+   * @returns {Promise<I18nSyncer>} Syncer for the target, with the other parameters overriding its settings
+   */
+  static async fromConfig({ configPath, target, ...params } = {}) {
+    const config = await loadConfig({ configPath });
+
+    if (!config) {
+      throw new Error('No config file found (i18n-syncer.config.js or .i18nsyncerrc)');
+    }
+
+    return new I18nSyncer({ config, target, ...params });
+  }
+
+  /**
+   * Combine the settings of a config target with explicit parameters
+   * @param {Object} [config] - Config object
+   * @param {string} [target] - Name of the config target
+   * @param {Object} params - Explicit parameters, which take precedence
+   * @returns {Object} Settings
+   * @private
+   */
+  static #resolveSettings(config, target, params) {
+    const targetSettings = config ? resolveTarget(config, target) : {};
+
+    return {
+      ...targetSettings,
+      ...omitUndefined(params),
+      layout: { ...targetSettings.layout, ...omitUndefined(params.layout) },
+      formatOptions: { ...targetSettings.formatOptions, ...omitUndefined(params.formatOptions) },
+    };
+  }
+
+  /**
+   * Get a format handler configured with the format options
+   * @param {string} format - Format name
+   * @returns {BaseFormatHandler} Format handler instance
+   */
+  #getFormatHandler(format) {
+    return getFormatHandler(format, this.#formatOptions);
+  }
+
+  /**
+   * Apply the defaults from the config target to method parameters
+   * @param {Object} params - Method parameters
+   * @returns {Object} Parameters with defaults
+   * @private
+   */
+  #withDefaults(params) {
+    return { ...this.#defaults, ...omitUndefined(params) };
+  }
+
   /**
    * Ensure the specified directory exists
    * @param {string} dir - Directory path
@@ -60,327 +170,1019 @@ export class I18nSyncer {
    * @returns {Object} Object with language codes as keys and their respective translation objects as values
    */
   #processDataByLanguage(data) {
-    if (!data || data.length < 2) {
-      console.log('Insufficient data for processing (minimum 2 rows required)');
+    const sheet = this.#layout.parse(data);
+
+    if (!sheet || !sheet.rows.length) {
+      console.log(`Insufficient data for processing (header row ${this.#layout.headerRow} and at least one data row required)`);
       return {};
     }
 
-    // First row contains headers like Key, lang1, lang2
-    const [headers] = data;
-
-    // Assuming "Key" is always the first column
-    const keyIndex = 0;
-
-    // Create translation objects for each language
-    const translations = {};
-
-    // Initialize translation objects based on headers
-    for (let i = 1; i < headers.length; i++) {
-      const langCode = headers[i];
-      translations[langCode] = {};
-    }
+    // Create translation objects for each language column
+    const translations = Object.fromEntries(
+      sheet.languageColumns.map(({ language }) => [language, {}]),
+    );
 
     // Process each data row
-    for (let rowIndex = 1; rowIndex < data.length; rowIndex++) {
-      const row = data[rowIndex];
-      const key = row[keyIndex];
-
+    for (const { key, cells } of sheet.rows) {
       // Skip if no key
       if (!key) continue;
 
       // For each language, add the translation
-      for (let colIndex = 1; colIndex < headers.length; colIndex++) {
-        const langCode = headers[colIndex];
-        const value = row[colIndex] || '';
+      for (const { language, index } of sheet.languageColumns) {
+        const value = cells[index] || '';
 
         // Convert actual newlines to escaped \n strings
         const processedValue = value.replace(/\r?\n/g, '\\n');
 
         // Store the processed translation value
-        translations[langCode][key] = processedValue;
+        translations[language][key] = processedValue;
       }
     }
 
     return translations;
   }
 
+  /**
+   * Process the comment columns into comments by key
+   * @param {Array} data - Raw sheet data
+   * @returns {Object} Comments by key, joining the non-empty comment cells of a row with newlines
+   */
+  #processCommentsByKey(data) {
+    const sheet = this.#layout.parse(data);
+    const comments = {};
+
+    if (!sheet) {
+      return comments;
+    }
+
+    for (const { key, cells } of sheet.rows) {
+      const comment = sheet.commentColumns
+        .map(({ index }) => cells[index])
+        .filter(Boolean)
+        .join('\n');
+
+      if (key && comment) {
+        comments[key] = comment;
+      }
+    }
+
+    return comments;
+  }
+
+  /**
+   * Write a file if its content changed, or only report whether it would change in dry-run mode
+   * @param {string} filePath - File path
+   * @param {string} fileContent - File content
+   * @param {boolean} dryRun - Only report whether the file would be written
+   * @param {string} [label='Translation file'] - Description of the file for log messages
+   * @returns {boolean} True if the file was (or would be) created or rewritten, false if it is unchanged
+   */
+  #writeFile(filePath, fileContent, dryRun, label = 'Translation file') {
+    const exists = fs.existsSync(filePath);
+
+    if (exists && fs.readFileSync(filePath, 'utf8') === fileContent) {
+      console.log(`${dryRun ? '[dry run] ' : ''}${label} is unchanged: ${filePath}`);
+      return false;
+    }
+
+    if (dryRun) {
+      console.log(`[dry run] ${label} would be ${exists ? 'rewritten' : 'created'}: ${filePath}`);
+      return true;
+    }
+
+    this.#ensureDirectoryExists(path.dirname(filePath));
+    fs.writeFileSync(filePath, fileContent);
+    console.log(`${label} saved: ${filePath}`);
+    return true;
+  }
+
+  /**
+   * Check whether a language file already has a translation, so that it can be left as it is
+   * @param {string} filePath - Path of the language file
+   * @param {Object} translation - Translation object
+   * @param {BaseFormatHandler} formatHandler - Format handler for the file
+   * @returns {boolean} True if the file reads as the same translation object
+   */
+  #hasTranslation(filePath, translation, formatHandler) {
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+
+    try {
+      return JSON.stringify(formatHandler.read(filePath)) === JSON.stringify(translation);
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Save translations to separate files based on format
+   * Files are only written when their content changes, and the files of a language whose translations are
+   * the same as on disk are kept as they are, even if they are formatted differently
    * @param {Object} translations - Processed translations data
-   * @param {string} translationDir - Directory to save translation files
+   * @param {LanguageFileSet} fileSet - Location of the translation files
    * @param {string} [format='json'] - Format of translation files ('json', 'js', etc.)
+   * @param {boolean} [dryRun=false] - Only report which files would be written
+   * @param {string} [mainLanguage='en'] - Main language, from which formats with templates (such as PO) generate the template file
+   * @returns {{updated: number, unchanged: number}} Number of files that were (or would be) written, and
+   * of files that were left as they are
    */
-  #saveLanguageFiles(translations, translationDir, format = 'json') {
-    // Only ensure directory exists if it's different from the default one
-    if (translationDir !== this.#translationDir) {
-      this.#ensureDirectoryExists(translationDir);
-    }
+  #saveLanguageFiles(translations, fileSet, format = 'json', dryRun = false, mainLanguage = 'en') {
+    const formatHandler = this.#getFormatHandler(format);
+    const counts = { updated: 0, unchanged: 0 };
+    const count = (written) => {
+      counts[written ? 'updated' : 'unchanged']++;
+    };
 
-    const formatHandler = getFormatHandler(format);
+    const templatePath = fileSet.templatePath();
 
     for (const [langCode, translation] of Object.entries(translations)) {
-      const filePath = formatHandler.generateFilePath(translationDir, langCode);
-      const fileContent = formatHandler.save(translation);
+      const filePath = fileSet.filePath(langCode);
+      const companions = formatHandler.generateCompanionFiles(translation, filePath);
+
+      if (this.#hasTranslation(filePath, translation, formatHandler)) {
+        console.log(`${dryRun ? '[dry run] ' : ''}Translation file is unchanged: ${filePath}`);
+        [filePath, ...companions].forEach(() => count(false));
+        continue;
+      }
+
+      count(this.#writeFile(filePath, formatHandler.save(translation, langCode, { filePath, templatePath }), dryRun));
 
-      fs.writeFileSync(filePath, fileContent);
-      console.log(`Translation file saved: ${filePath}`);
+      for (const companion of companions) {
+        count(this.#writeFile(companion.filePath, companion.content, dryRun));
+      }
+    }
+
+    if (templatePath && translations[mainLanguage]) {
+      count(this.#writeFile(templatePath, formatHandler.generateTemplate(translations[mainLanguage]), dryRun, 'Template file'));
     }
+
+    console.log(dryRun
+      ? `[dry run] ${counts.updated} files would be updated, ${counts.unchanged} unchanged`
+      : `${counts.updated} files updated, ${counts.unchanged} unchanged`);
+
+    return counts;
   }
 
   /**
-   * Pull translations from Google Sheets to translation files
-   * @param {Object} params - Pull parameters
-   * @param {string} [params.translationDir] - Directory to save translation files
-   * @param {string} [params.sheetName] - Specific sheet name to pull from
-   * @param {string} [params.format='json'] - Format of translation files ('json' or 'js')
-   * @returns {Promise<Object>} Translations organized by language code
+   * Resolve the worksheet to operate on
+   * @param {string} [sheetName] - Specific sheet name
+   * @returns {Promise<string|null>} Sheet name, or null if the spreadsheet has no worksheets
    */
-  async pull({ translationDir, sheetName, format = 'json' } = {}) {
-    try {
-      console.log('Starting translation pull from Google Sheets...');
+  async #resolveSheetName(sheetName) {
+    if (sheetName) {
+      return sheetName;
+    }
 
-      // Initialize client
-      await this.#client.initialize();
+    // If no specific sheet name was provided, use the first sheet
+    const sheetsList = await this.#client.getSheetList();
 
-      // Determine which sheet to use
-      let targetSheet = sheetName;
+    if (!sheetsList.length) {
+      console.error('No worksheets found in the spreadsheet');
+      return null;
+    }
 
-      // If no specific sheet name was provided, use the first sheet
-      if (!targetSheet) {
-        const sheetsList = await this.#client.getSheetList();
+    const [firstSheet] = sheetsList;
+    return firstSheet.title;
+  }
+
+  /**
+   * Read all language files of a file set
+   * @param {LanguageFileSet} fileSet - Location of the translation files
+   * @param {BaseFormatHandler} formatHandler - Format handler for the files
+   * @param {string} mainLanguage - Main language, sorted first
+   * @param {Array<Object>} [errors=[]] - Collects the langCode, filePath and message of files that could not be read
+   * @returns {Array<{langCode: string, filePath: string, content: Object}>} Parsed language files
+   */
+  #readLanguageFiles(fileSet, formatHandler, mainLanguage, errors = []) {
+    const languageFiles = fileSet.list()
+      .map(({ langCode, filePath }) => {
+        const file = path.relative(fileSet.dir, filePath);
+
+        try {
+          let content;
+
+          try {
+            content = formatHandler.read(filePath);
+          } catch (err) {
+            console.warn(`Could not read ${file}: ${err.message}`);
+            errors.push({ langCode, filePath, message: err.message });
+            return null;
+          }
 
-        // Return early if no sheets found
-        if (!sheetsList.length) {
-          console.error('No worksheets found in the spreadsheet');
-          return {};
+          return { langCode, filePath, content };
+        } catch (err) {
+          console.warn(`Could not process file ${file}: ${err.message}`);
+          errors.push({ langCode, filePath, message: err.message });
+          return null;
         }
+      })
+      .filter(Boolean)
+      // Only languages that the sheet layout treats as language columns
+      .filter(({ langCode }) => this.#layout.includesLanguage(langCode));
+
+    // Sort language files to prioritize main language and put underscore files at the end
+    languageFiles.sort((a, b) => {
+      // Main language always comes first
+      if (a.langCode === mainLanguage) return -1;
+      if (b.langCode === mainLanguage) return 1;
+
+      // Files starting with underscore come last
+      const aStartsWithUnderscore = a.langCode.startsWith('_');
+      const bStartsWithUnderscore = b.langCode.startsWith('_');
+
+      if (aStartsWithUnderscore && !bStartsWithUnderscore) return 1;
+      if (!aStartsWithUnderscore && bStartsWithUnderscore) return -1;
+
+      // For all other cases, sort alphabetically
+      return a.langCode.localeCompare(b.langCode);
+    });
+
+    return languageFiles;
+  }
+
+  /**
+   * Convert a flattened value to the string stored in translation data
+   * @param {*} value - Flattened value
+   * @returns {string} String value
+   */
+  #stringifyValue(value) {
+    // Handle nested objects and arrays by stringifying them
+    if (typeof value === 'object' && value !== null) {
+      return JSON.stringify(value);
+    }
+
+    return String(value ?? '');
+  }
+
+  /**
+   * Flatten parsed language files into string values keyed by language code
+   * @param {Array<{langCode: string, content: Object}>} languageFiles - Parsed language files
+   * @param {BaseFormatHandler} formatHandler - Format handler for the files
+   * @returns {Object} Flat translations by language code
+   */
+  #flattenLanguageFiles(languageFiles, formatHandler) {
+    return Object.fromEntries(
+      languageFiles.map(({ langCode, content }) => [
+        langCode,
+        Object.fromEntries(
+          Object.entries(formatHandler.toSheets(content))
+            .map(([key, value]) => [key, this.#stringifyValue(value)]),
+        ),
+      ]),
+    );
+  }
+
+  /**
+   * Collect the comments of parsed language files, preferring those of the main language
+   * @param {Array<{langCode: string, content: Object}>} languageFiles - Parsed language files, main language first
+   * @param {BaseFormatHandler} formatHandler - Format handler for the files
+   * @returns {Object} Comments by key
+   */
+  #collectComments(languageFiles, formatHandler) {
+    const comments = {};
 
-        // Use first sheet
-        const [firstSheet] = sheetsList;
-        targetSheet = firstSheet.title;
+    for (const { content } of languageFiles) {
+      for (const [key, comment] of Object.entries(formatHandler.getComments(content))) {
+        if (!(key in comments)) comments[key] = comment;
       }
+    }
 
-      console.log(`Fetching data from worksheet "${targetSheet}"...`);
-      const data = await this.#client.getEntireSheetData(targetSheet);
+    if (Object.keys(comments).length && !this.#layout.commentColumns.length) {
+      console.warn(`Found comments for ${Object.keys(comments).length} keys in the language files, set a comment column to push them to the sheet`);
+    }
+
+    return comments;
+  }
+
+  /**
+   * Collect all unique keys while preserving the order from the main language
+   * @param {Object} flattenedByLang - Flat translations by language code, main language first
+   * @param {string} mainLanguage - Main language to use as base for key ordering
+   * @param {string|null} [pluralForms=null] - How plural forms are keyed, to keep the forms of each plural together
+   * @returns {Array<string>} Ordered keys
+   */
+  #collectKeys(flattenedByLang, mainLanguage, pluralForms = null) {
+    const allKeys = [];
+    const keySet = new Set();
+    const languages = Object.keys(flattenedByLang);
+
+    // First, add keys from the main language file to maintain its order
+    if (!flattenedByLang[mainLanguage]) {
+      console.warn(`Main language file (${mainLanguage}) not found, using first available file for key ordering`);
+    }
+
+    const orderingLanguage = flattenedByLang[mainLanguage] ? mainLanguage : languages[0];
+
+    if (orderingLanguage) {
+      Object.keys(flattenedByLang[orderingLanguage]).forEach(key => {
+        if (!keySet.has(key)) {
+          allKeys.push(key);
+          keySet.add(key);
+        }
+      });
+    }
 
-      console.log('Processing data and generating language files...');
-      const flatLanguageData = this.#processDataByLanguage(data);
+    if (flattenedByLang[mainLanguage]) {
+      console.log(`Main language file (${mainLanguage}) has ${Object.keys(flattenedByLang[mainLanguage]).length} keys`);
+    }
+
+    // Then add any additional keys from other language files
+    languages.forEach(langCode => {
+      Object.keys(flattenedByLang[langCode]).forEach(key => {
+        if (!keySet.has(key)) {
+          console.log(`Adding missing key "${key}" from ${langCode}`);
+          allKeys.push(key);
+          keySet.add(key);
+        }
+      });
+    });
 
-      const formatHandler = getFormatHandler(format);
+    // Forms that only other languages have, such as Polish "few", go next to the forms of the main language
+    return pluralForms ? groupPluralKeys(allKeys, pluralForms) : allKeys;
+  }
 
-      // Convert from flat to nested structure for all formats
-      const nestedLanguageData = Object.fromEntries(
-        Object.entries(flatLanguageData).map(([lang, flatData]) =>
-          [lang, formatHandler.fromSheets(flatData)],
+  /**
+   * Build the sheet grid for flat translations
+   * @param {Array<string>} keys - Ordered keys (one row each)
+   * @param {Object} flattenedByLang - Flat translations by language code (one column each)
+   * @param {Array<Array<string>>} [currentData=[]] - Current sheet data, whose non-language columns are kept
+   * @param {Object} [comments={}] - Comments by key for the comment column
+   * @returns {Array<Array<string>>} 2D array of cell values including the header row
+   */
+  #buildSheetData(keys, flattenedByLang, currentData = [], comments = {}) {
+    // Convert \n string representations to actual newlines for Google Sheets display
+    const valuesByLang = Object.fromEntries(
+      Object.entries(flattenedByLang).map(([langCode, flatData]) => [
+        langCode,
+        Object.fromEntries(
+          Object.entries(flatData).map(([key, value]) => [key, String(value ?? '').replace(/\\n/g, '\n')]),
         ),
-      );
+      ]),
+    );
 
-      // Save language files
-      const saveDir = translationDir || this.#translationDir;
-      this.#saveLanguageFiles(nestedLanguageData, saveDir, format);
+    const sheetData = this.#layout.build(keys, valuesByLang, currentData, comments);
 
-      // Count languages and keys for symmetrical reporting with push
-      const languageCount = Object.keys(nestedLanguageData).length;
-      let keyCount = 0;
+    // Additional check for any potential null/undefined values that could cause API errors
+    return sheetData.map(row =>
+      row.map(cell => (cell === null || cell === undefined) ? '' : String(cell)),
+    );
+  }
 
-      // Get key count if languages exist using flat data for accurate count
-      if (languageCount > 0) {
-        const firstLang = Object.keys(flatLanguageData)[0];
-        keyCount = Object.keys(flatLanguageData[firstLang]).length;
-      }
+  /**
+   * Keep the plural forms each language uses, for formats with plural forms
+   * @param {Object} flatLanguageData - Flat translations by language code
+   * @param {BaseFormatHandler} formatHandler - Format handler for the files
+   * @returns {Object} Flat translations by language code
+   */
+  #selectPluralForms(flatLanguageData, formatHandler) {
+    if (!formatHandler.pluralForms) {
+      return flatLanguageData;
+    }
 
-      console.log(`Pulled ${keyCount} translation keys across ${languageCount} languages from Google Sheets`);
-      return nestedLanguageData;
+    return Object.fromEntries(
+      Object.entries(flatLanguageData).map(([lang, flatData]) => [lang, selectPluralForms(flatData, lang, formatHandler.pluralForms)]),
+    );
+  }
 
-    } catch (err) {
-      console.error('Error pulling data:', err);
-      throw err;
+  /**
+   * Keep the sheet values of plural forms that languages don't use, which pull leaves out of the files
+   * @param {Object} localData - Flat translations by language code from local files
+   * @param {Array<Array<string>>} currentData - Current sheet data
+   * @param {BaseFormatHandler} formatHandler - Format handler for the files
+   * @returns {Object} Flat translations by language code
+   */
+  #keepUnusedPluralForms(localData, currentData, formatHandler) {
+    if (!formatHandler.pluralForms) {
+      return localData;
     }
+
+    const { translations, counts } = keepUnusedPluralForms(localData, this.#processDataByLanguage(currentData), formatHandler.pluralForms);
+
+    for (const [langCode, count] of Object.entries(counts).filter(([, count]) => count)) {
+      console.log(`Keeping ${count} plural forms of ${langCode} in the sheet, which ${langCode} doesn't use`);
+    }
+
+    return translations;
   }
 
   /**
-   * Push translations from translation files to Google Sheets
-   * @param {Object} params - Push parameters
-   * @param {string} [params.translationDir] - Directory to load translation files from
-   * @param {string} [params.sheetName] - Specific sheet name to push to
-   * @param {string} [params.format='json'] - Format of translation files to read
-   * @param {string} [params.mainLanguage='en'] - Main language to use as base for key ordering
-   * @returns {Promise<boolean>} Success status
+   * Get the options of the missing-value policy for a format
+   * @param {BaseFormatHandler} formatHandler - Format handler for the files
+   * @param {Object} params - Policy parameters
+   * @param {string} [params.missing='empty'] - Missing-value policy ('empty', 'omit', 'fallback' or 'marker')
+   * @param {Object} [params.fallbacks={}] - Fallback languages by language code
+   * @param {string} [params.missingMarker] - Marker of missing values
+   * @param {string} params.mainLanguage - Main language, the last fallback of every language
+   * @returns {Object} Options for applyMissingPolicy
    */
-  async push({ translationDir, sheetName, format = 'json', mainLanguage = 'en' } = {}) {
-    try {
-      // Initialize client
-      await this.#client.initialize();
+  #missingPolicyOptions(formatHandler, { missing = 'empty', fallbacks = {}, missingMarker = DEFAULT_MISSING_MARKER, mainLanguage }) {
+    return {
+      policy: missing,
+      fallbacks,
+      marker: missingMarker,
+      mainLanguage,
+      keySeparator: formatHandler.keySeparator,
+      pluralForms: formatHandler.pluralForms,
+    };
+  }
 
-      const sourceDir = translationDir || this.#translationDir;
-      console.log(`Scanning for language files in ${sourceDir}...`);
+  /**
+   * Resolve the missing-value policy of the local files of a worksheet
+   * Without a policy, the one the files were pulled with is used, so that push doesn't write the values
+   * pull filled in to the sheet as if they were translations.
+   * @param {string} targetSheet - Sheet name
+   * @param {Object} params - Policy parameters
+   * @param {string} [params.missing] - Missing-value policy
+   * @param {Object} [params.fallbacks] - Fallback languages by language code
+   * @param {string} [params.missingMarker] - Marker of missing values
+   * @returns {Object} Policy parameters (missing, fallbacks and missingMarker)
+   */
+  #resolveMissingPolicy(targetSheet, { missing, fallbacks, missingMarker }) {
+    const policy = omitUndefined({ missing, fallbacks, missingMarker });
 
-      // Check if directory exists
-      if (!fs.existsSync(sourceDir)) {
-        console.error(`Directory not found: ${sourceDir}`);
-        return false;
-      }
+    if (missing !== undefined) {
+      return policy;
+    }
 
-      const formatHandler = getFormatHandler(format);
+    const savedPolicy = this.#stateStore.loadMissingPolicy(targetSheet);
 
-      // Determine which sheet to use
-      let targetSheet = sheetName;
-      if (!targetSheet) {
-        const sheetsList = await this.#client.getSheetList();
+    if (savedPolicy?.missing && savedPolicy.missing !== 'empty') {
+      console.log(`Using the missing-value policy "${savedPolicy.missing}" that worksheet "${targetSheet}" was pulled with`);
+    }
 
-        if (!sheetsList.length) {
-          console.error('No worksheets found in the spreadsheet');
-          return false;
-        }
+    return { ...savedPolicy, ...policy };
+  }
 
-        const [firstSheet] = sheetsList;
-        targetSheet = firstSheet.title;
-      }
+  /**
+   * Empty the local values that pull filled in for empty cells, and put back the keys it omitted, so that
+   * they are pushed as empty cells
+   * @param {string} targetSheet - Sheet name, whose base snapshot has the sheet contents the values were filled from
+   * @param {Object} localData - Flat translations by language code from local files
+   * @param {BaseFormatHandler} formatHandler - Format handler for the files
+   * @param {Object} params - Policy parameters (see #missingPolicyOptions)
+   * @returns {Object} Flat translations by language code
+   */
+  #removeFilledValues(targetSheet, localData, formatHandler, params) {
+    const baseData = ['omit', 'fallback', 'marker'].includes(params.missing) ? this.#stateStore.loadBase(targetSheet) : null;
+
+    if (!baseData) {
+      return localData;
+    }
 
-      console.log(`Pushing translations to worksheet "${targetSheet}"...`);
+    const { translations, counts } = removeFilledValues(
+      localData,
+      this.#selectPluralForms(baseData, formatHandler),
+      this.#missingPolicyOptions(formatHandler, params),
+    );
 
-      // Read all language files from the directory
-      const languageFiles = fs.readdirSync(sourceDir)
-        .filter(file => file.endsWith(formatHandler.extension))
-        .map(file => {
-          try {
-            const filePath = path.join(sourceDir, file);
-            let content;
-
-            try {
-              content = formatHandler.read(filePath);
-            } catch (err) {
-              console.warn(`Could not read ${file}: ${err.message}`);
-              return null;
-            }
+    for (const [langCode, count] of Object.entries(counts).filter(([, count]) => count)) {
+      console.log(`Keeping ${count} ${params.missing === 'omit' ? 'omitted' : 'filled'} translations of ${langCode} as empty cells`);
+    }
+
+    return translations;
+  }
+
+  /**
+   * Convert flat translations to nested translations for each language
+   * @param {Object} flatLanguageData - Flat translations by language code
+   * @param {BaseFormatHandler} formatHandler - Format handler for the files
+   * @param {Object} [context] - Sheet context
+   * @param {string} [context.mainLanguage='en'] - Main language, whose values are the source of the other languages
+   * @param {Object} [context.comments={}] - Comments by key from the comment columns
+   * @param {LanguageFileSet} [context.fileSet] - Location of the existing files, for formats that use them
+   * @returns {Object} Nested translations by language code
+   */
+  #nestLanguageData(flatLanguageData, formatHandler, { mainLanguage = 'en', comments = {}, fileSet } = {}) {
+    const source = flatLanguageData[mainLanguage] || {};
 
-            const langCode = path.basename(file, formatHandler.extension);
-            return { langCode, content };
+    return Object.fromEntries(
+      Object.entries(flatLanguageData).map(([lang, flatData]) => {
+        let existing;
+
+        if (fileSet && formatHandler.usesExistingFiles && fs.existsSync(fileSet.filePath(lang))) {
+          try {
+            existing = formatHandler.read(fileSet.filePath(lang));
           } catch (err) {
-            console.warn(`Could not process file ${file}: ${err.message}`);
-            return null;
+            console.warn(`Could not read ${fileSet.filePath(lang)}: ${err.message}`);
           }
-        })
-        .filter(Boolean);
+        }
 
-      if (languageFiles.length === 0) {
-        console.error(`No valid language files with extension ${formatHandler.extension} found in the specified directory`);
-        return false;
-      }
+        return [lang, formatHandler.fromSheets(flatData, { langCode: lang, mainLanguage, source, comments, existing })];
+      }),
+    );
+  }
 
-      console.log(`Found ${languageFiles.length} language files: ${languageFiles.map(f => f.langCode).join(', ')}`);
+  /**
+   * Check the values of a worksheet, comparing the placeholders of each translation with the main language,
+   * and the plural forms of each language with its plural categories
+   * @param {Array} data - Raw sheet data
+   * @param {string} sheetName - Sheet name, for cell references
+   * @param {Object} params - Validation parameters
+   * @param {string} params.mainLanguage - Main language
+   * @param {Array<string>} params.placeholders - Placeholder styles (see extractPlaceholders)
+   * @param {string|null} [params.pluralForms=null] - How plural forms are keyed, or null if the format has none
+   * @returns {Array<{key: string, language: string, cell: string, message: string}>} Problems with their cell references
+   */
+  #validateSheet(data, sheetName, { mainLanguage, placeholders, pluralForms = null }) {
+    const sheet = this.#layout.parse(data);
+    const issues = [];
 
-      // Sort language files to prioritize main language and put underscore files at the end
-      languageFiles.sort((a, b) => {
-        // Main language always comes first
-        if (a.langCode === mainLanguage) return -1;
-        if (b.langCode === mainLanguage) return 1;
+    if (!sheet) {
+      return issues;
+    }
 
-        // Files starting with underscore come last
-        const aStartsWithUnderscore = a.langCode.startsWith('_');
-        const bStartsWithUnderscore = b.langCode.startsWith('_');
+    const mainColumn = sheet.languageColumns.find(({ language }) => language === mainLanguage);
+    const rows = sheet.rows.filter(({ key }) => key);
+    const sourceValues = Object.fromEntries(rows.map(({ key, cells }) => [key, mainColumn ? cells[mainColumn.index] || '' : '']));
 
-        if (aStartsWithUnderscore && !bStartsWithUnderscore) return 1;
-        if (!aStartsWithUnderscore && bStartsWithUnderscore) return -1;
+    for (const { rowNumber, key, cells } of rows) {
+      // Plural forms the main language doesn't have are translated from its last form
+      const source = findSourceValue(sourceValues, key, pluralForms) || '';
 
-        // For all other cases, sort alphabetically
-        return a.langCode.localeCompare(b.langCode);
-      });
+      for (const { language, index } of sheet.languageColumns) {
+        const value = cells[index] || '';
 
-      console.log(`Using ${mainLanguage} as the primary language for key ordering`);
+        if (!value) continue;
 
-      // Flatten contents so nested objects become dotted keys for Sheets
-      const flattenedByLang = Object.fromEntries(
-        languageFiles.map(({ langCode, content }) => [langCode, formatHandler.toSheets(content)]),
-      );
+        // Values of the main language, and values without a source, are only checked for syntax
+        const problems = language === mainLanguage || !source
+          ? [extractPlaceholders(value, placeholders).error].filter(Boolean)
+          : comparePlaceholders(source, value, { styles: placeholders, sourceLanguage: mainLanguage });
 
-      // Collect all unique keys while preserving the order from the main language file
-      const allKeys = [];
-      const keySet = new Set();
+        for (const message of problems) {
+          issues.push({ key, language, cell: GoogleSheetsClient.cellReference(sheetName, rowNumber, index), message });
+        }
+      }
+    }
 
-      // First, add keys from the main language file to maintain its order
-      const mainLanguageFile = languageFiles.find(f => f.langCode === mainLanguage);
+    if (pluralForms) {
+      const rowNumbers = new Map(rows.map(({ key, rowNumber }) => [key, rowNumber]));
+      const groups = findPluralGroups([...rowNumbers.keys()], pluralForms);
+      const flatByLang = this.#processDataByLanguage(data);
+
+      for (const { language, index } of sheet.languageColumns) {
+        const values = flatByLang[language];
+
+        // Untranslated plurals are not missing forms, like other empty values
+        const translated = [...groups.keys()].filter(base => groups.get(base).some(form => values[`${base}[${form}]`]));
+        const { required, missing, unused } = checkPluralForms(values, language, pluralForms, translated);
+        const cellOf = (base, key) => GoogleSheetsClient.cellReference(
+          sheetName,
+          rowNumbers.get(key) ?? rowNumbers.get(`${base}[${groups.get(base)[0]}]`),
+          index,
+        );
+
+        for (const { key, base, form } of missing) {
+          issues.push({ key, language, cell: cellOf(base, key), message: `Missing plural form ${form} (${language} uses ${required.join(', ')})` });
+        }
 
-      if (!mainLanguageFile) {
-        console.warn(`Main language file (${mainLanguage}) not found, using first available file for key ordering`);
-        if (languageFiles.length > 0) {
-          Object.keys(flattenedByLang[languageFiles[0].langCode]).forEach(key => {
-            if (!keySet.has(key)) {
-              allKeys.push(key);
-              keySet.add(key);
-            }
-          });
+        for (const { key, base, form } of unused) {
+          issues.push({ key, language, cell: cellOf(base, key), message: `Plural form ${form} is not used in ${language} and is left out of the files` });
         }
       }
+    }
 
-      if (mainLanguageFile) {
-        Object.keys(flattenedByLang[mainLanguageFile.langCode]).forEach(key => {
-          if (!keySet.has(key)) {
-            allKeys.push(key);
-            keySet.add(key);
-          }
-        });
-        console.log(`Main language file (${mainLanguage}) has ${Object.keys(flattenedByLang[mainLanguageFile.langCode]).length} keys`);
-      }
+    return issues;
+  }
 
-      // Then add any additional keys from other language files
-      languageFiles.forEach(({ langCode }) => {
-        Object.keys(flattenedByLang[langCode]).forEach(key => {
-          if (!keySet.has(key)) {
-            console.log(`Adding missing key "${key}" from ${langCode}`);
-            allKeys.push(key);
-            keySet.add(key);
-          }
-        });
-      });
+  /**
+   * List the worksheets that map to namespaces
+   * @param {Object} params - Filter parameters
+   * @param {Array<string>} [params.includeSheets=[]] - Glob patterns of sheet names to include (default: all)
+   * @param {Array<string>} [params.excludeSheets=[]] - Glob patterns of sheet names to exclude
+   * @returns {Promise<Array<string>>} Sheet names
+   */
+  async #listNamespaceSheets({ includeSheets = [], excludeSheets = [] } = {}) {
+    const sheetsList = await this.#client.getSheetList();
 
-      const headers = ['Key', ...languageFiles.map(f => f.langCode)];
+    return filterByPatterns(sheetsList.map(({ title }) => title), {
+      include: includeSheets,
+      exclude: excludeSheets,
+    });
+  }
 
-      // Create the rows with translations for each key
-      const rows = allKeys.map(key => {
-        // First column is the key
-        const row = [key];
+  /**
+   * Pull translations from Google Sheets to translation files
+   * @param {Object} params - Pull parameters
+   * @param {string} [params.translationDir] - Directory to save translation files
+   * @param {string} [params.sheetName] - Specific sheet name to pull from
+   * @param {string} [params.format='json'] - Format of translation files ('json', 'js', 'yaml' or 'po')
+   * @param {string} [params.mainLanguage='en'] - Main language, the source of templates such as the PO template
+   * @param {boolean} [params.dryRun=false] - Report which files would be written without writing them
+   * @param {string} [params.validate='warn'] - What to do with values that are not valid messages or whose placeholders
+   * don't match the main language ('warn', 'error' to pull nothing from the worksheet, or 'off')
+   * @param {Array<string>} [params.placeholders=['icu', 'double-brace']] - Placeholder styles to check ('icu', 'double-brace' or 'printf')
+   * @param {string} [params.missing='empty'] - What to write for empty cells: 'empty' values, 'omit' the keys, the
+   * value of a 'fallback' language, or a 'marker'
+   * @param {Object} [params.fallbacks={}] - Fallback language, or array of languages, by language code, followed
+   * by the main language (e.g. { 'zh-HK': 'zh-TW' } for zh-HK → zh-TW → en)
+   * @param {string} [params.missingMarker='[MISSING] {key}'] - Marker of missing values, where {key}, {lang} and
+   * {source} are replaced with the key, the language code and the value of the main language
+   * @param {boolean} [params.allSheets=false] - Pull every worksheet into its own namespace
+   * @param {Array<string>} [params.includeSheets=[]] - Glob patterns of sheet names to pull in all-sheets mode
+   * @param {Array<string>} [params.excludeSheets=[]] - Glob patterns of sheet names to skip in all-sheets mode
+   * @param {string} [params.pathPattern='{lang}/{sheet}'] - Path of namespaced files relative to the translation directory
+   * @returns {Promise<Object>} Translations organized by language code, or by sheet name and
+   * language code in all-sheets mode
+   */
+  async pull(params = {}) {
+    try {
+      console.log('Starting translation pull from Google Sheets...');
 
-        // Add translations for each language
-        languageFiles.forEach(({ langCode }) => {
-          // Convert any problematic values to strings and handle potential undefined values
-          let value = flattenedByLang[langCode][key] ?? '';
+      // Initialize client
+      await this.#client.initialize();
 
-          // Handle nested objects and arrays by stringifying them
-          if (typeof value === 'object' && value !== null) {
-            value = JSON.stringify(value);
-          }
+      return await this.#pull(params);
+    } catch (err) {
+      console.error('Error pulling data:', err);
+      throw err;
+    }
+  }
 
-          // Ensure the value is a string
-          value = String(value);
+  /**
+   * Pull translations whenever the sheet changes, until watching is stopped
+   * At every interval the Drive revision of the spreadsheet is checked, and the worksheets are only
+   * downloaded when it changed (or at every interval if Drive can't be read). Worksheets whose contents
+   * are the same as at the last pull are skipped, and only changed files are rewritten.
+   * Emits 'change' when files are updated and 'error' when a pull fails; without an 'error' listener,
+   * errors are logged and watching goes on.
+   * @param {Object} [params] - Pull parameters (see pull)
+   * @param {number} [params.interval=30] - Seconds between checks
+   * @returns {Promise<Function>} Function that stops watching, resolved after the first pull
+   */
+  async watch(params = {}) {
+    const { interval = 30, ...pullParams } = this.#withDefaults(params);
 
-          // Convert \n string representations to actual newlines for Google Sheets display
-          value = value.replace(/\\n/g, '\n');
+    if (!(Number(interval) > 0)) {
+      throw new Error(`Invalid watch interval "${interval}", expected a number of seconds`);
+    }
 
-          row.push(value);
-        });
+    const sheetHashes = new Map();
+    let revision = null;
+    let useRevision = true;
+    let stopped = false;
+    let timer = null;
+
+    const check = async () => {
+      let currentRevision = null;
+
+      if (useRevision) {
+        // Drive is only given up when it refuses the request, other failures are retried at the next check
+        try {
+          currentRevision = await this.#client.getRevision();
+          useRevision = currentRevision !== null;
+        } catch (err) {
+          console.warn(`Comparing worksheet contents at this check, as the revision couldn't be read (${err.message})`);
+        }
 
-        return row;
-      });
+        if (currentRevision !== null && currentRevision === revision) {
+          return;
+        }
+      }
 
-      // Prepare the complete data for upload with headers and rows
-      const sheetData = [headers, ...rows];
+      await this.#pull(pullParams, sheetHashes);
+      revision = currentRevision;
+    };
+
+    const poll = async () => {
+      try {
+        await check();
+      } catch (err) {
+        if (this.listenerCount('error')) {
+          this.emit('error', err);
+        } else {
+          console.error('Error pulling data:', err);
+        }
+      } finally {
+        if (!stopped) {
+          timer = setTimeout(poll, Number(interval) * 1000);
+        }
+      }
+    };
 
-      // Log data dimensions for debugging
-      console.log(`Preparing data: ${sheetData.length} rows × ${headers.length} columns`);
+    console.log('Starting translation pull from Google Sheets...');
+    await this.#client.initialize({ revisions: true });
 
-      // Additional check for any potential null/undefined values that could cause API errors
-      const sanitizedData = sheetData.map(row =>
-        row.map(cell => (cell === null || cell === undefined) ? '' : String(cell)),
-      );
+    // Invalid parameters and a failing first pull are thrown instead of emitted
+    await check();
 
-      // Clear and update the sheet with the sanitized data
-      await this.#client.clearAndUpdateSheet(targetSheet, sanitizedData);
+    console.log(`Watching the spreadsheet for changes every ${interval} seconds...`);
+    timer = setTimeout(poll, Number(interval) * 1000);
 
-      console.log(`Pushed ${rows.length} translation keys across ${languageFiles.length} languages to Google Sheets`);
-      return true;
-    } catch (err) {
-      console.error('Error pushing translations:', err);
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  /**
+   * Pull translations from Google Sheets to translation files, with an initialized client
+   * @param {Object} params - Pull parameters (see pull)
+   * @param {Map<string, string>} [sheetHashes] - Content hashes by sheet name of the worksheets pulled before,
+   * which are skipped if their contents are the same, and updated with the pulled worksheets
+   * @returns {Promise<Object>} Translations organized by language code, or by sheet name and
+   * language code in all-sheets mode
+   */
+  async #pull(params, sheetHashes) {
+    const {
+      translationDir,
+      sheetName,
+      format = 'json',
+      mainLanguage = 'en',
+      dryRun = false,
+      validate = 'warn',
+      placeholders = ['icu', 'double-brace'],
+      missing = 'empty',
+      fallbacks = {},
+      missingMarker = DEFAULT_MISSING_MARKER,
+      allSheets = false,
+      includeSheets = [],
+      excludeSheets = [],
+      pathPattern = DEFAULT_PATH_PATTERN,
+    } = this.#withDefaults(params);
+
+    if (!MISSING_POLICIES.includes(missing)) {
+      throw new Error(`Invalid missing-value policy "${missing}", expected one of: ${MISSING_POLICIES.join(', ')}`);
+    }
+
+    if (!VALIDATION_MODES.includes(validate)) {
+      throw new Error(`Invalid validation mode "${validate}", expected one of: ${VALIDATION_MODES.join(', ')}`);
+    }
+
+    const invalidStyles = placeholders.filter(style => !PLACEHOLDER_STYLES.includes(style));
+
+    if (invalidStyles.length) {
+      throw new Error(`Invalid placeholder styles: ${invalidStyles.join(', ')}, expected some of: ${PLACEHOLDER_STYLES.join(', ')}`);
+    }
+
+    const saveDir = translationDir || this.#translationDir;
+    const formatHandler = this.#getFormatHandler(format);
+    const options = { format, mainLanguage, dryRun, validate, placeholders, missing, fallbacks, missingMarker };
+
+    // Fetch a worksheet, and pull it unless its contents are the same as at the last pull
+    const pullSheet = async (targetSheet, fileSet) => {
+      console.log(`Fetching data from worksheet "${targetSheet}"...`);
+      const data = await this.#client.getEntireSheetData(targetSheet);
+
+      if (sheetHashes) {
+        const hash = crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+
+        if (sheetHashes.get(targetSheet) === hash) {
+          console.log(`Worksheet "${targetSheet}" is unchanged`);
+          return null;
+        }
+
+        // The hash is only remembered once the files are written, so that a failed pull is retried
+        const result = await this.#pullSheet(targetSheet, data, { ...options, fileSet });
+        sheetHashes.set(targetSheet, hash);
+        return result;
+      }
+
+      return this.#pullSheet(targetSheet, data, { ...options, fileSet });
+    };
+
+    if (allSheets) {
+      const sheetNames = await this.#listNamespaceSheets({ includeSheets, excludeSheets });
+
+      if (!sheetNames.length) {
+        console.error('No worksheets found in the spreadsheet matching the sheet patterns');
+        return {};
+      }
+
+      console.log(`Pulling ${sheetNames.length} worksheets into namespaces: ${sheetNames.join(', ')}`);
+
+      const namespaces = {};
+
+      for (const namespace of sheetNames) {
+        const fileSet = new LanguageFileSet({ dir: saveDir, formatHandler, namespace, pathPattern });
+        const translations = await pullSheet(namespace, fileSet);
+
+        if (translations) {
+          namespaces[namespace] = translations;
+        }
+      }
+
+      return namespaces;
+    }
+
+    // Determine which sheet to use
+    const targetSheet = await this.#resolveSheetName(sheetName);
+
+    // Return early if no sheets found
+    if (!targetSheet) {
+      return {};
+    }
+
+    return await pullSheet(targetSheet, new LanguageFileSet({ dir: saveDir, formatHandler })) ?? {};
+  }
+
+  /**
+   * Pull translations of one worksheet to translation files
+   * @param {string} targetSheet - Sheet name
+   * @param {Array<Array<string>>} data - Worksheet data
+   * @param {Object} params - Pull parameters
+   * @param {LanguageFileSet} params.fileSet - Location of the translation files
+   * @param {string} params.format - Format of translation files
+   * @param {string} params.mainLanguage - Main language
+   * @param {boolean} params.dryRun - Only report which files would be written
+   * @param {string} params.validate - Validation mode ('warn', 'error' or 'off')
+   * @param {Array<string>} params.placeholders - Placeholder styles to check
+   * @param {string} params.missing - Missing-value policy
+   * @param {Object} params.fallbacks - Fallback languages by language code
+   * @param {string} params.missingMarker - Marker of missing values
+   * @param {boolean} [params.keepBase=false] - Leave the base snapshot of the last sync as it is
+   * @returns {Promise<Object>} Translations organized by language code
+   */
+  async #pullSheet(targetSheet, data, { fileSet, format, mainLanguage, dryRun, validate, placeholders, missing, fallbacks, missingMarker, keepBase = false }) {
+    const formatHandler = this.#getFormatHandler(format);
+    const sheet = this.#layout.parse(data);
+
+    // Duplicate, conflicting and untrimmed keys would silently lose or rename translations
+    if (sheet) {
+      const { issues } = this.#findKeyProblems(sheet, targetSheet, formatHandler.keySeparator);
+
+      for (const { location, message } of issues) {
+        console.error(`${location}: ${message}`);
+      }
+
+      if (issues.length) {
+        throw new Error(`Found ${issues.length} duplicate, conflicting or untrimmed keys in worksheet "${targetSheet}", no files were written`);
+      }
+    }
+
+    if (validate !== 'off') {
+      const issues = this.#validateSheet(data, targetSheet, { mainLanguage, placeholders, pluralForms: formatHandler.pluralForms });
+      const report = validate === 'error' ? console.error : console.warn;
+
+      for (const { cell, key, language, message } of issues) {
+        report(`${cell} (${key}, ${language}): ${message}`);
+      }
+
+      const summary = `Found ${issues.length} problems in ${new Set(issues.map(({ cell }) => cell)).size} translations of worksheet "${targetSheet}"`;
+
+      if (issues.length && validate === 'error') {
+        throw new Error(`${summary}, no files were written`);
+      }
+
+      if (issues.length) {
+        console.warn(summary);
+      }
+    }
+
+    console.log('Processing data and generating language files...');
+    const flatLanguageData = this.#processDataByLanguage(data);
+
+    // Keep the plural forms of each language, and omit or fill the empty values
+    const { translations, counts } = applyMissingPolicy(
+      this.#selectPluralForms(flatLanguageData, formatHandler),
+      this.#missingPolicyOptions(formatHandler, { missing, fallbacks, missingMarker, mainLanguage }),
+    );
+
+    for (const [langCode, count] of Object.entries(counts).filter(([, count]) => count)) {
+      const action = missing === 'omit' ? 'Omitted' : 'Filled';
+      const source = { omit: '', fallback: ' from fallback languages', marker: ' with a marker' }[missing];
+
+      console.log(`${action} ${count} missing translations of ${langCode}${source}`);
+    }
+
+    // Convert from flat to nested structure for all formats
+    const nestedLanguageData = this.#nestLanguageData(translations, formatHandler, {
+      mainLanguage,
+      comments: this.#processCommentsByKey(data),
+      fileSet,
+    });
+
+    // Save language files
+    const { updated, unchanged } = this.#saveLanguageFiles(nestedLanguageData, fileSet, format, dryRun, mainLanguage);
+
+    // Remember the sheet contents as the base for the next merge
+    if (!dryRun && !keepBase) {
+      this.#stateStore.saveBase(targetSheet, flatLanguageData, { missingPolicy: { missing, fallbacks, missingMarker } });
+    }
+
+    // Count languages and keys for symmetrical reporting with push
+    const languageCount = Object.keys(nestedLanguageData).length;
+    let keyCount = 0;
+
+    // Get key count if languages exist using flat data for accurate count
+    if (languageCount > 0) {
+      const firstLang = Object.keys(flatLanguageData)[0];
+      keyCount = Object.keys(flatLanguageData[firstLang]).length;
+    }
+
+    if (dryRun) {
+      console.log(`[dry run] Would pull ${keyCount} translation keys across ${languageCount} languages from worksheet "${targetSheet}"`);
+    } else {
+      console.log(`Pulled ${keyCount} translation keys across ${languageCount} languages from worksheet "${targetSheet}"`);
+    }
+
+    if (updated && !dryRun) {
+      this.emit('change', { sheetName: targetSheet, updated, unchanged, translations: nestedLanguageData });
+    }
+
+    return nestedLanguageData;
+  }
+
+  /**
+   * Push translations from translation files to Google Sheets
+   * @param {Object} params - Push parameters
+   * @param {string} [params.translationDir] - Directory to load translation files from
+   * @param {string} [params.sheetName] - Specific sheet name to push to
+   * @param {string} [params.format='json'] - Format of translation files to read
+   * @param {string} [params.mainLanguage='en'] - Main language to use as base for key ordering
+   * @param {boolean} [params.merge=false] - Merge with the sheet instead of overwriting it
+   * @param {string} [params.conflictStrategy='abort'] - How to resolve merge conflicts ('abort', 'local' or 'remote')
+   * @param {boolean} [params.dryRun=false] - Report how many cells would change without writing anything
+   * @param {string} [params.missing] - Missing-value policy the files were pulled with (see pull); values
+   * it filled in for cells that were empty at the last sync are pushed as empty cells (default: the policy
+   * of the last sync)
+   * @param {Object} [params.fallbacks={}] - Fallback languages by language code
+   * @param {string} [params.missingMarker] - Marker of missing values
+   * @param {boolean} [params.allSheets=false] - Push every local namespace to its own worksheet
+   * @param {Array<string>} [params.includeSheets=[]] - Glob patterns of namespaces to push in all-sheets mode
+   * @param {Array<string>} [params.excludeSheets=[]] - Glob patterns of namespaces to skip in all-sheets mode
+   * @param {string} [params.pathPattern='{lang}/{sheet}'] - Path of namespaced files relative to the translation directory
+   * @returns {Promise<boolean>} Success status
+   */
+  async push(params = {}) {
+    const {
+      translationDir,
+      sheetName,
+      format = 'json',
+      mainLanguage = 'en',
+      merge = false,
+      conflictStrategy = 'abort',
+      dryRun = false,
+      missing,
+      fallbacks,
+      missingMarker,
+      allSheets = false,
+      includeSheets = [],
+      excludeSheets = [],
+      pathPattern = DEFAULT_PATH_PATTERN,
+    } = this.#withDefaults(params);
+
+    try {
+      // Initialize client
+      await this.#client.initialize();
+
+      const sourceDir = translationDir || this.#translationDir;
+      console.log(`Scanning for language files in ${sourceDir}...`);
+
+      // Check if directory exists
+      if (!fs.existsSync(sourceDir)) {
+        console.error(`Directory not found: ${sourceDir}`);
+        return false;
+      }
+
+      const formatHandler = this.#getFormatHandler(format);
+      const options = { format, mainLanguage, merge, conflictStrategy, dryRun, missing, fallbacks, missingMarker };
+
+      if (allSheets) {
+        const namespaces = filterByPatterns(
+          LanguageFileSet.listNamespaces({ dir: sourceDir, formatHandler, pathPattern }),
+          { include: includeSheets, exclude: excludeSheets },
+        );
+
+        if (!namespaces.length) {
+          console.error(`No namespaced language files matching "${pathPattern}${formatHandler.extension}" found in the specified directory`);
+          return false;
+        }
+
+        console.log(`Pushing ${namespaces.length} namespaces to worksheets: ${namespaces.join(', ')}`);
+
+        const existingSheets = new Set((await this.#client.getSheetList()).map(({ title }) => title));
+        let success = true;
+
+        for (const namespace of namespaces) {
+          if (!existingSheets.has(namespace)) {
+            if (dryRun) {
+              console.log(`[dry run] Worksheet "${namespace}" would be created`);
+              continue;
+            }
+
+            await this.#client.addSheet(namespace);
+          }
+
+          const fileSet = new LanguageFileSet({ dir: sourceDir, formatHandler, namespace, pathPattern });
+          success = await this.#pushSheet(namespace, { ...options, fileSet }) && success;
+        }
+
+        return success;
+      }
+
+      // Determine which sheet to use
+      const targetSheet = await this.#resolveSheetName(sheetName);
+
+      if (!targetSheet) {
+        return false;
+      }
+
+      const fileSet = new LanguageFileSet({ dir: sourceDir, formatHandler });
+      return await this.#pushSheet(targetSheet, { ...options, fileSet });
+    } catch (err) {
+      console.error('Error pushing translations:', err);
       // Log more details about the error for debugging
       if (err.response && err.response.data) {
         console.error('API error details:', JSON.stringify(err.response.data, null, 2));
@@ -388,6 +1190,791 @@ export class I18nSyncer {
       throw err;
     }
   }
+
+  /**
+   * Push translations from translation files to one worksheet
+   * @param {string} targetSheet - Sheet name
+   * @param {Object} params - Push parameters
+   * @param {LanguageFileSet} params.fileSet - Location of the translation files
+   * @param {string} params.format - Format of translation files
+   * @param {string} params.mainLanguage - Main language to use as base for key ordering
+   * @param {boolean} params.merge - Merge with the sheet instead of overwriting it
+   * @param {string} params.conflictStrategy - How to resolve merge conflicts
+   * @param {boolean} params.dryRun - Only report what would be written
+   * @param {string} [params.missing] - Missing-value policy the files were pulled with
+   * @param {Object} [params.fallbacks] - Fallback languages by language code
+   * @param {string} [params.missingMarker] - Marker of missing values
+   * @returns {Promise<boolean>} Success status
+   */
+  async #pushSheet(targetSheet, { fileSet, format, mainLanguage, merge, conflictStrategy, dryRun, missing, fallbacks, missingMarker }) {
+    const formatHandler = this.#getFormatHandler(format);
+
+    console.log(`Pushing translations to worksheet "${targetSheet}"...`);
+
+    // Read all language files of the worksheet
+    const languageFiles = this.#readLanguageFiles(fileSet, formatHandler, mainLanguage);
+
+    if (languageFiles.length === 0) {
+      console.error(`No valid language files with extension ${formatHandler.extension} found in the specified directory`);
+      return false;
+    }
+
+    console.log(`Found ${languageFiles.length} language files: ${languageFiles.map(f => f.langCode).join(', ')}`);
+    console.log(`Using ${mainLanguage} as the primary language for key ordering`);
+
+    // Flatten contents so nested objects become dotted keys for Sheets, without the values pull filled in
+    const missingPolicy = this.#resolveMissingPolicy(targetSheet, { missing, fallbacks, missingMarker });
+    const localData = this.#removeFilledValues(targetSheet, this.#flattenLanguageFiles(languageFiles, formatHandler), formatHandler, { ...missingPolicy, mainLanguage });
+
+    // Read the current sheet to keep its non-language columns, rows above the header and unused plural forms
+    const currentData = await this.#client.getEntireSheetData(targetSheet);
+    const flattenedByLang = this.#keepUnusedPluralForms(localData, currentData, formatHandler);
+
+    if (merge) {
+      return this.#mergePush({
+        targetSheet,
+        fileSet,
+        format,
+        mainLanguage,
+        currentData,
+        localData: flattenedByLang,
+        conflictStrategy,
+        dryRun,
+        missingPolicy,
+      });
+    }
+
+    const allKeys = this.#collectKeys(flattenedByLang, mainLanguage, formatHandler.pluralForms);
+    const comments = this.#collectComments(languageFiles, formatHandler);
+    const sheetData = this.#buildSheetData(allKeys, flattenedByLang, currentData, comments);
+
+    // Log data dimensions for debugging
+    console.log(`Preparing data: ${sheetData.length} rows × ${sheetData[0].length} columns`);
+
+    if (dryRun) {
+      const changedCells = countChangedCells(currentData, sheetData);
+
+      console.log(`[dry run] Would push ${allKeys.length} translation keys across ${languageFiles.length} languages to worksheet "${targetSheet}", changing ${changedCells} cells`);
+      return true;
+    }
+
+    // Keep the current contents in the history, then clear and update the sheet with the sanitized data
+    this.#saveHistory(targetSheet, currentData);
+    await this.#client.clearAndUpdateSheet(targetSheet, sheetData);
+
+    // Remember the pushed contents as the base for the next merge
+    this.#stateStore.saveBase(targetSheet, this.#processDataByLanguage(sheetData), { missingPolicy });
+
+    console.log(`Pushed ${allKeys.length} translation keys across ${languageFiles.length} languages to worksheet "${targetSheet}"`);
+    return true;
+  }
+
+  /**
+   * Save the contents of a worksheet to the history before they are overwritten
+   * @param {string} targetSheet - Sheet name
+   * @param {Array<Array<string>>} currentData - Current worksheet data
+   * @param {string} [reason='push'] - What the contents are overwritten by
+   */
+  #saveHistory(targetSheet, currentData, reason = 'push') {
+    if (!currentData.length) {
+      return;
+    }
+
+    const { id } = this.#stateStore.saveSnapshot(targetSheet, currentData, { reason });
+    console.log(`Saved a snapshot of worksheet "${targetSheet}" before the ${reason}: ${id}`);
+  }
+
+  /**
+   * List the snapshots of the sheet saved before each push and restore
+   * @param {Object} [params] - List parameters
+   * @param {string} [params.sheetName] - Sheet name (default: every sheet)
+   * @returns {Array<Object>} Snapshot id, sheetName, savedAt, reason and number of rows, newest first
+   */
+  listSnapshots(params = {}) {
+    const { sheetName } = this.#withDefaults(params);
+
+    return this.#stateStore.listSnapshots(sheetName);
+  }
+
+  /**
+   * Find a snapshot by id
+   * @param {string} id - Snapshot id
+   * @param {string} [sheetName] - Sheet name, required if several sheets have a snapshot with the id
+   * @returns {Object} Snapshot
+   * @throws {Error} If no snapshot or several snapshots have the id
+   * @private
+   */
+  #findSnapshot(id, sheetName) {
+    const sheetNames = sheetName
+      ? [sheetName]
+      : this.#stateStore.listSnapshots().filter(snapshot => snapshot.id === id).map(snapshot => snapshot.sheetName);
+
+    if (sheetNames.length > 1) {
+      throw new Error(`Snapshot "${id}" exists for several worksheets (${sheetNames.join(', ')}), choose one with the sheet name`);
+    }
+
+    const snapshot = sheetNames.length ? this.#stateStore.loadSnapshot(sheetNames[0], id) : null;
+
+    if (!snapshot) {
+      throw new Error(`Snapshot "${id}" not found${sheetName ? ` for worksheet "${sheetName}"` : ''} in ${this.#stateStore.stateDir}`);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Restore a snapshot saved before a push to its worksheet or to the local translation files
+   * Restoring to the sheet saves the current contents as a snapshot first, so it can be undone. The base
+   * snapshot of the last sync is left as it is, so a merge push treats the restored values as changes.
+   * @param {Object} params - Restore parameters
+   * @param {string} params.snapshot - Snapshot id (see listSnapshots)
+   * @param {string} [params.sheetName] - Sheet name of the snapshot, required if several sheets have a snapshot with the id
+   * @param {string} [params.to='sheet'] - Where to restore the snapshot: 'sheet' or 'files'
+   * @param {string} [params.translationDir] - Directory for translation files when restoring to files
+   * @param {string} [params.format='json'] - Format of translation files
+   * @param {string} [params.mainLanguage='en'] - Main language
+   * @param {string} [params.missing='empty'] - Missing-value policy of the files (see pull)
+   * @param {Object} [params.fallbacks={}] - Fallback languages by language code
+   * @param {string} [params.missingMarker] - Marker of missing values
+   * @param {boolean} [params.allSheets=false] - Restore to the namespace files of the worksheet, as pulled in all-sheets mode
+   * @param {string} [params.pathPattern='{lang}/{sheet}'] - Path of namespaced files relative to the translation directory
+   * @param {boolean} [params.dryRun=false] - Report what would be written without writing anything
+   * @returns {Promise<boolean>} Success status
+   */
+  async restore(params = {}) {
+    const {
+      snapshot: snapshotId,
+      sheetName,
+      to = 'sheet',
+      translationDir,
+      format = 'json',
+      mainLanguage = 'en',
+      missing = 'empty',
+      fallbacks = {},
+      missingMarker = DEFAULT_MISSING_MARKER,
+      allSheets = false,
+      pathPattern = DEFAULT_PATH_PATTERN,
+      dryRun = false,
+    } = this.#withDefaults(params);
+
+    try {
+      if (!['sheet', 'files'].includes(to)) {
+        throw new Error(`Invalid restore destination "${to}", expected "sheet" or "files"`);
+      }
+
+      if (!snapshotId) {
+        throw new Error('A snapshot id is required, list the snapshots with listSnapshots()');
+      }
+
+      const snapshot = this.#findSnapshot(snapshotId, sheetName);
+      const { id, sheetName: targetSheet, savedAt, values } = snapshot;
+
+      console.log(`Restoring snapshot ${id} of worksheet "${targetSheet}", saved at ${savedAt} before a ${snapshot.reason}...`);
+
+      if (to === 'files') {
+        const formatHandler = this.#getFormatHandler(format);
+        const saveDir = translationDir || this.#translationDir;
+        const fileSet = allSheets
+          ? new LanguageFileSet({ dir: saveDir, formatHandler, namespace: targetSheet, pathPattern })
+          : new LanguageFileSet({ dir: saveDir, formatHandler });
+
+        await this.#pullSheet(targetSheet, values, {
+          fileSet,
+          format,
+          mainLanguage,
+          dryRun,
+          validate: 'off',
+          placeholders: [],
+          missing,
+          fallbacks,
+          missingMarker,
+          keepBase: true,
+        });
+
+        return true;
+      }
+
+      await this.#client.initialize();
+
+      const sheetExists = (await this.#client.getSheetList()).some(({ title }) => title === targetSheet);
+      const currentData = sheetExists ? await this.#client.getEntireSheetData(targetSheet) : [];
+
+      if (dryRun) {
+        console.log(`[dry run] Would restore snapshot ${id} to worksheet "${targetSheet}", changing ${countChangedCells(currentData, values)} cells`);
+        return true;
+      }
+
+      if (!sheetExists) {
+        await this.#client.addSheet(targetSheet);
+      }
+
+      this.#saveHistory(targetSheet, currentData, 'restore');
+      await this.#client.clearAndUpdateSheet(targetSheet, values);
+
+      console.log(`Restored snapshot ${id} to worksheet "${targetSheet}" (${values.length} rows)`);
+      return true;
+    } catch (err) {
+      console.error('Error restoring snapshot:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Compare the sheet with the local translation files without writing anything
+   * @param {Object} params - Diff parameters
+   * @param {string} [params.translationDir] - Directory to load translation files from
+   * @param {string} [params.sheetName] - Specific sheet name to compare with
+   * @param {string} [params.format='json'] - Format of translation files to read
+   * @param {string} [params.mainLanguage='en'] - Main language to use as base for key ordering
+   * @param {string} [params.direction='pull'] - Changes to show: 'pull' (sheet to local files) or 'push' (local files to sheet)
+   * @param {string} [params.missing] - Missing-value policy of pull (see pull, default: 'empty'), or of the files
+   * for push (default: the policy of the last sync)
+   * @param {Object} [params.fallbacks={}] - Fallback languages by language code
+   * @param {string} [params.missingMarker] - Marker of missing values
+   * @returns {Promise<Object|null>} Diff result with sheetName, direction, per-language changes and
+   * summary, or null if the spreadsheet has no worksheets
+   */
+  async diff(params = {}) {
+    const {
+      translationDir,
+      sheetName,
+      format = 'json',
+      mainLanguage = 'en',
+      direction = 'pull',
+      missing,
+      fallbacks,
+      missingMarker,
+    } = this.#withDefaults(params);
+
+    try {
+      if (!['pull', 'push'].includes(direction)) {
+        throw new Error(`Invalid diff direction "${direction}", expected "pull" or "push"`);
+      }
+
+      // Initialize client
+      await this.#client.initialize();
+
+      // Determine which sheet to use
+      const targetSheet = await this.#resolveSheetName(sheetName);
+
+      if (!targetSheet) {
+        return null;
+      }
+
+      console.log(`Fetching data from worksheet "${targetSheet}"...`);
+      const currentData = await this.#client.getEntireSheetData(targetSheet);
+      const remoteData = this.#processDataByLanguage(currentData);
+
+      const sourceDir = translationDir || this.#translationDir;
+      const formatHandler = this.#getFormatHandler(format);
+      const fileSet = new LanguageFileSet({ dir: sourceDir, formatHandler });
+
+      console.log(`Scanning for language files in ${sourceDir}...`);
+      const languageFiles = this.#readLanguageFiles(fileSet, formatHandler, mainLanguage);
+      const localData = this.#flattenLanguageFiles(languageFiles, formatHandler);
+
+      let languages;
+
+      if (direction === 'pull') {
+        // Pull leaves the files of languages missing from the sheet untouched
+        const affectedLocalData = Object.fromEntries(
+          Object.entries(localData).filter(([langCode]) => langCode in remoteData),
+        );
+
+        const { translations } = applyMissingPolicy(
+          this.#selectPluralForms(remoteData, formatHandler),
+          this.#missingPolicyOptions(formatHandler, { missing, fallbacks, missingMarker, mainLanguage }),
+        );
+
+        languages = diffTranslations(affectedLocalData, translations);
+      } else {
+        // Compare with exactly what push would write to the sheet
+        const pushedData = this.#keepUnusedPluralForms(
+          this.#removeFilledValues(targetSheet, localData, formatHandler, {
+            ...this.#resolveMissingPolicy(targetSheet, { missing, fallbacks, missingMarker }),
+            mainLanguage,
+          }),
+          currentData,
+          formatHandler,
+        );
+        const sheetData = this.#buildSheetData(this.#collectKeys(pushedData, mainLanguage, formatHandler.pluralForms), pushedData, currentData);
+
+        languages = diffTranslations(remoteData, this.#processDataByLanguage(sheetData));
+      }
+
+      return {
+        sheetName: targetSheet,
+        direction,
+        languages,
+        summary: summarizeDiff(languages),
+      };
+    } catch (err) {
+      console.error('Error comparing translations:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Check the local translation files, and optionally the sheet, for incomplete and inconsistent translations
+   * @param {Object} params - Check parameters
+   * @param {string} [params.translationDir] - Directory to load translation files from
+   * @param {string} [params.sheetName] - Specific sheet name to check
+   * @param {string} [params.format='json'] - Format of translation files to read
+   * @param {string} [params.mainLanguage='en'] - Main language, which other languages are compared with
+   * @param {boolean} [params.remote=false] - Also check the sheet, including duplicate keys
+   * @param {Array<string>} [params.placeholders=['icu', 'double-brace']] - Placeholder styles to check
+   * @param {Array<string>} [params.ignore=[]] - Checks to skip (see CHECKS)
+   * @returns {Promise<Object>} Check result with the sheetName (if the sheet was checked), the problems
+   * (issues) and their summary
+   */
+  async check(params = {}) {
+    const {
+      translationDir,
+      sheetName,
+      format = 'json',
+      mainLanguage = 'en',
+      remote = false,
+      placeholders = ['icu', 'double-brace'],
+      ignore = [],
+    } = this.#withDefaults(params);
+
+    try {
+      const unknownChecks = ignore.filter(check => !(check in CHECKS));
+
+      if (unknownChecks.length) {
+        throw new Error(`Unknown checks: ${unknownChecks.join(', ')}, expected some of: ${Object.keys(CHECKS).join(', ')}`);
+      }
+
+      const sourceDir = translationDir || this.#translationDir;
+      const formatHandler = this.#getFormatHandler(format);
+      const fileSet = new LanguageFileSet({ dir: sourceDir, formatHandler });
+      const readErrors = [];
+
+      console.log(`Scanning for language files in ${sourceDir}...`);
+      const languageFiles = this.#readLanguageFiles(fileSet, formatHandler, mainLanguage, readErrors);
+      const filePaths = Object.fromEntries(languageFiles.map(({ langCode, filePath }) => [langCode, filePath]));
+
+      const issues = [
+        ...readErrors.map(({ langCode, filePath, message }) => createIssue(
+          'unreadable-file',
+          { origin: 'files', language: langCode, location: filePath },
+          message,
+        )),
+        ...checkTranslations(this.#flattenLanguageFiles(languageFiles, formatHandler), {
+          origin: 'files',
+          mainLanguage,
+          placeholders,
+          keySeparator: formatHandler.keySeparator,
+          pluralForms: formatHandler.pluralForms,
+          locate: language => filePaths[language] ?? null,
+        }),
+      ];
+
+      let targetSheet = null;
+
+      if (remote) {
+        await this.#client.initialize();
+        targetSheet = await this.#resolveSheetName(sheetName);
+
+        if (targetSheet) {
+          console.log(`Fetching data from worksheet "${targetSheet}"...`);
+          const data = await this.#client.getEntireSheetData(targetSheet);
+
+          issues.push(...this.#checkSheet(data, targetSheet, {
+            mainLanguage,
+            placeholders,
+            keySeparator: formatHandler.keySeparator,
+            pluralForms: formatHandler.pluralForms,
+          }));
+        }
+      }
+
+      const reported = issues.filter(({ check }) => !ignore.includes(check));
+
+      return {
+        sheetName: targetSheet,
+        issues: reported,
+        summary: summarizeIssues(reported),
+      };
+    } catch (err) {
+      console.error('Error checking translations:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Scan source code for the translation keys it uses, and compare them with the keys of the local files or the sheet
+   * @param {Object} params - Scan parameters
+   * @param {string} [params.translationDir] - Directory to load translation files from
+   * @param {string} [params.sheetName] - Specific sheet name to compare with
+   * @param {string} [params.format='json'] - Format of translation files to read
+   * @param {string} [params.mainLanguage='en'] - Main language to use as base for key ordering
+   * @param {boolean} [params.remote=false] - Compare with the keys of the sheet instead of the local files
+   * @param {Array<string>} [params.sourceDirs=['.']] - Directories of the source code
+   * @param {Array<string>} [params.sourceInclude] - Glob patterns of the source files to scan (see DEFAULT_SCAN_INCLUDE)
+   * @param {Array<string>} [params.sourceExclude=[]] - Glob patterns of the source files to skip
+   * @param {Array<string>} [params.functions] - Translation function names (see DEFAULT_SCAN_FUNCTIONS)
+   * @param {Array<string|RegExp>} [params.keyPatterns=[]] - Additional patterns, whose named group "key" or first
+   * group is a key
+   * @param {boolean} [params.append=false] - Append the keys missing from the sheet as new rows (compares with the sheet)
+   * @param {boolean} [params.dryRun=false] - Report how many rows would be appended without writing them
+   * @returns {Promise<Object|null>} Scan result with the sheetName (if the sheet was compared), the origin of the
+   * keys ('files' or 'sheet'), the number of scanned files, the unused and missing keys, the prefixes of dynamic
+   * keys and the number of appended keys, or null if the spreadsheet has no worksheets
+   */
+  async scan(params = {}) {
+    const {
+      translationDir,
+      sheetName,
+      format = 'json',
+      mainLanguage = 'en',
+      remote = false,
+      sourceDirs = ['.'],
+      sourceInclude,
+      sourceExclude = [],
+      functions,
+      keyPatterns = [],
+      append = false,
+      dryRun = false,
+    } = this.#withDefaults(params);
+
+    try {
+      const formatHandler = this.#getFormatHandler(format);
+
+      console.log(`Scanning source files in ${sourceDirs.join(', ')}...`);
+      const { files, references, dynamic } = scanSourceFiles({
+        dirs: sourceDirs,
+        include: sourceInclude,
+        exclude: sourceExclude,
+        functions,
+        patterns: keyPatterns,
+      });
+
+      console.log(`Found ${references.length} keys and ${dynamic.length} dynamic keys in ${files} files`);
+
+      let keys;
+      let targetSheet = null;
+      let currentData;
+
+      if (remote || append) {
+        await this.#client.initialize();
+        targetSheet = await this.#resolveSheetName(sheetName);
+
+        if (!targetSheet) {
+          return null;
+        }
+
+        console.log(`Fetching data from worksheet "${targetSheet}"...`);
+        currentData = await this.#client.getEntireSheetData(targetSheet);
+        keys = [...new Set((this.#layout.parse(currentData)?.rows || []).map(({ key }) => key).filter(Boolean))];
+      } else {
+        const sourceDir = translationDir || this.#translationDir;
+        const fileSet = new LanguageFileSet({ dir: sourceDir, formatHandler });
+
+        console.log(`Scanning for language files in ${sourceDir}...`);
+        const languageFiles = this.#readLanguageFiles(fileSet, formatHandler, mainLanguage);
+        keys = this.#collectKeys(this.#flattenLanguageFiles(languageFiles, formatHandler), mainLanguage, formatHandler.pluralForms);
+      }
+
+      const { unused, missing } = compareKeyUsage(keys, { references, dynamic }, { keySeparator: formatHandler.keySeparator });
+      let appended = 0;
+
+      if (append && missing.length) {
+        appended = await this.#appendKeys(targetSheet, missing.map(({ key }) => key), currentData, dryRun);
+      }
+
+      return {
+        sheetName: targetSheet,
+        origin: targetSheet ? 'sheet' : 'files',
+        files,
+        unused,
+        missing,
+        dynamic,
+        appended,
+      };
+    } catch (err) {
+      console.error('Error scanning source files:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Extract the keys used in source code that the sheet doesn't have yet, and append them to the sheet
+   * with the default text of their call as the main language value
+   * @param {Object} params - Extract parameters
+   * @param {string} [params.sheetName] - Specific sheet name to append to
+   * @param {string} [params.format='json'] - Format of translation files, whose key separator finds parent keys
+   * @param {string} [params.mainLanguage='en'] - Main language, whose column gets the default texts
+   * @param {Array<string>} [params.sourceDirs=['.']] - Directories of the source code
+   * @param {Array<string>} [params.sourceInclude] - Glob patterns of the source files to scan (see DEFAULT_SCAN_INCLUDE)
+   * @param {Array<string>} [params.sourceExclude=[]] - Glob patterns of the source files to skip
+   * @param {Array<string>} [params.functions] - Translation function names (see DEFAULT_SCAN_FUNCTIONS)
+   * @param {Array<string|RegExp>} [params.keyPatterns=[]] - Additional patterns, whose named group "key" or first
+   * group is a key
+   * @param {boolean} [params.dryRun=false] - Report which keys would be appended without writing them
+   * @returns {Promise<Object|null>} Extract result with the sheetName, the number of scanned files, the new keys
+   * with their default text and locations, and the number of appended keys, or null if the spreadsheet has
+   * no worksheets
+   */
+  async extract(params = {}) {
+    const {
+      sheetName,
+      format = 'json',
+      mainLanguage = 'en',
+      sourceDirs = ['.'],
+      sourceInclude,
+      sourceExclude = [],
+      functions,
+      keyPatterns = [],
+      dryRun = false,
+    } = this.#withDefaults(params);
+
+    try {
+      const formatHandler = this.#getFormatHandler(format);
+
+      console.log(`Scanning source files in ${sourceDirs.join(', ')}...`);
+      const { files, references } = scanSourceFiles({
+        dirs: sourceDirs,
+        include: sourceInclude,
+        exclude: sourceExclude,
+        functions,
+        patterns: keyPatterns,
+      });
+
+      await this.#client.initialize();
+      const targetSheet = await this.#resolveSheetName(sheetName);
+
+      if (!targetSheet) {
+        return null;
+      }
+
+      console.log(`Fetching data from worksheet "${targetSheet}"...`);
+      const currentData = await this.#client.getEntireSheetData(targetSheet);
+      const sheetKeys = (this.#layout.parse(currentData)?.rows || []).map(({ key }) => key).filter(Boolean);
+
+      const { missing } = compareKeyUsage(sheetKeys, { references }, { keySeparator: formatHandler.keySeparator });
+
+      // The first default text of a key is used, calls with another text are reported
+      const keys = missing.map(({ key, locations }) => {
+        const defaults = references.filter(reference => reference.key === key && reference.defaultValue);
+        const [first] = defaults;
+
+        defaults
+          .filter(({ defaultValue }) => defaultValue !== first.defaultValue)
+          .forEach(({ file, line, defaultValue }) => {
+            console.warn(`${file}:${line}: Default text ${JSON.stringify(defaultValue)} of ${key} differs from ${JSON.stringify(first.defaultValue)} (${first.file}:${first.line}), which is used`);
+          });
+
+        return { key, defaultValue: first?.defaultValue ?? '', locations };
+      });
+
+      if (!keys.length) {
+        console.log(`No new keys found in ${files} files for worksheet "${targetSheet}"`);
+        return { sheetName: targetSheet, files, keys, appended: 0 };
+      }
+
+      console.log(`Found ${keys.length} new keys for worksheet "${targetSheet}":`);
+      keys.forEach(({ key, defaultValue, locations }) => {
+        console.log(`  + ${key} = ${JSON.stringify(defaultValue)} (${locations.join(', ')})`);
+      });
+
+      const appended = await this.#appendKeys(
+        targetSheet,
+        keys.map(({ key }) => key),
+        currentData,
+        dryRun,
+        { [mainLanguage]: Object.fromEntries(keys.map(({ key, defaultValue }) => [key, defaultValue])) },
+      );
+
+      return { sheetName: targetSheet, files, keys, appended };
+    } catch (err) {
+      console.error('Error extracting keys:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Append keys to a worksheet as new rows, leaving its current rows untouched
+   * The current contents are saved to the history first, so that the rows can be taken back with restore.
+   * @param {string} targetSheet - Sheet name
+   * @param {Array<string>} keys - Keys to append
+   * @param {Array<Array<string>>} currentData - Current sheet data
+   * @param {boolean} dryRun - Only report how many rows would be appended
+   * @param {Object} [valuesByLang={}] - Values of the new rows by language code and key, empty by default
+   * @returns {Promise<number>} Number of appended keys
+   */
+  async #appendKeys(targetSheet, keys, currentData, dryRun, valuesByLang = {}) {
+    const rows = this.#layout.buildRows(keys, valuesByLang, currentData);
+
+    if (dryRun) {
+      console.log(`[dry run] Would append ${keys.length} keys to worksheet "${targetSheet}": ${keys.join(', ')}`);
+      return keys.length;
+    }
+
+    this.#saveHistory(targetSheet, currentData, 'append');
+    await this.#client.appendRows(targetSheet, rows);
+
+    console.log(`Appended ${keys.length} keys to worksheet "${targetSheet}": ${keys.join(', ')}`);
+    return keys.length;
+  }
+
+  /**
+   * Find keys of a worksheet that would lose translations: keys on more than one row and, for formats
+   * with nested keys, keys that are also the parent of other keys (button and button.save) or that
+   * have whitespace around their parts
+   * @param {Object} sheet - Parsed sheet (see SheetLayout.parse)
+   * @param {string} sheetName - Sheet name, for cell references
+   * @param {string|null} keySeparator - Separator of nested keys, or null if keys are not nested
+   * @returns {{issues: Array<Object>, rowNumbers: Map<string, number>}} Problems located by the cell of
+   * their key, and the first row number of each key
+   * @private
+   */
+  #findKeyProblems(sheet, sheetName, keySeparator) {
+    const issues = [];
+    const rowNumbers = new Map();
+    const add = (check, key, rowNumber, message) => issues.push(createIssue(check, {
+      origin: 'sheet',
+      key,
+      location: GoogleSheetsClient.cellReference(sheetName, rowNumber, sheet.keyIndex),
+    }, message));
+
+    for (const { rowNumber, key } of sheet.rows) {
+      if (!key) continue;
+
+      if (rowNumbers.has(key)) {
+        add('duplicate-key', key, rowNumber, `Key "${key}" on row ${rowNumber} is already on row ${rowNumbers.get(key)}`);
+      } else {
+        rowNumbers.set(key, rowNumber);
+      }
+    }
+
+    if (keySeparator) {
+      for (const { key, conflictsWith } of findKeyConflicts([...rowNumbers.keys()], keySeparator)) {
+        add('key-conflict', key, rowNumbers.get(key), `Key "${key}" on row ${rowNumbers.get(key)} conflicts with key "${conflictsWith}" on row ${rowNumbers.get(conflictsWith)}`);
+      }
+
+      for (const [key, rowNumber] of rowNumbers) {
+        if (hasSurroundingWhitespace(key, keySeparator)) {
+          add('key-whitespace', key, rowNumber, `Key "${key}" on row ${rowNumber} has leading or trailing whitespace`);
+        }
+      }
+    }
+
+    return { issues, rowNumbers };
+  }
+
+  /**
+   * Check the keys and values of a worksheet
+   * @param {Array} data - Raw sheet data
+   * @param {string} sheetName - Sheet name, for cell references
+   * @param {Object} options - Check options (see checkTranslations)
+   * @returns {Array<Object>} Problems, located by cell
+   * @private
+   */
+  #checkSheet(data, sheetName, options) {
+    const sheet = this.#layout.parse(data);
+
+    if (!sheet) {
+      return [];
+    }
+
+    const { issues, rowNumbers } = this.#findKeyProblems(sheet, sheetName, options.keySeparator);
+    const columnIndexes = Object.fromEntries(sheet.languageColumns.map(({ language, index }) => [language, index]));
+
+    // Key problems were found with their row numbers above
+    issues.push(...checkTranslations(this.#processDataByLanguage(data), {
+      ...options,
+      origin: 'sheet',
+      keySeparator: null,
+      locate: (language, key) => (rowNumbers.has(key)
+        ? GoogleSheetsClient.cellReference(sheetName, rowNumbers.get(key), columnIndexes[language] ?? sheet.keyIndex)
+        : null),
+    }));
+
+    return issues;
+  }
+
+  /**
+   * Merge local translations with the sheet using the base snapshot of the last sync,
+   * then write the result to both the sheet and the local files
+   * @param {Object} params - Merge parameters
+   * @param {string} params.targetSheet - Sheet name
+   * @param {LanguageFileSet} params.fileSet - Location of the local translation files
+   * @param {string} params.format - Format of translation files
+   * @param {string} params.mainLanguage - Main language
+   * @param {Array<Array<string>>} params.currentData - Current sheet data
+   * @param {Object} params.localData - Flat translations by language code from local files
+   * @param {string} params.conflictStrategy - How to resolve merge conflicts
+   * @param {boolean} params.dryRun - Only report what would be written
+   * @param {Object} params.missingPolicy - Missing-value policy of the local files (see #resolveMissingPolicy)
+   * @returns {Promise<boolean>} Success status (false if conflicts were found)
+   */
+  async #mergePush({ targetSheet, fileSet, format, mainLanguage, currentData, localData, conflictStrategy, dryRun, missingPolicy }) {
+    const remoteData = this.#processDataByLanguage(currentData);
+    const baseData = this.#stateStore.loadBase(targetSheet);
+
+    if (!baseData) {
+      console.warn(`No base snapshot found for worksheet "${targetSheet}" in ${this.#stateStore.stateDir}, every differing value will be treated as a conflict`);
+    }
+
+    const { translations, conflicts, stats } = mergeTranslations({
+      base: baseData || {},
+      local: localData,
+      remote: remoteData,
+      strategy: conflictStrategy,
+    });
+
+    if (conflicts.length) {
+      const describe = (value) => (value === null ? '(deleted)' : JSON.stringify(value));
+
+      console.warn(`Found ${conflicts.length} conflicts between local files and worksheet "${targetSheet}":`);
+      conflicts.forEach(({ key, language, base, local, remote }) => {
+        console.warn(`  ${key} [${language}]: base ${describe(base)}, local ${describe(local)}, sheet ${describe(remote)}`);
+      });
+
+      if (conflictStrategy === 'abort') {
+        console.error('Merge aborted, nothing was written. Resolve the conflicts or choose the "local" or "remote" conflict strategy');
+        return false;
+      }
+
+      console.log(`Resolved conflicts using the ${conflictStrategy} values`);
+    }
+
+    const formatHandler = this.#getFormatHandler(format);
+    const [firstLanguage] = Object.values(translations);
+    const mergedKeys = formatHandler.pluralForms
+      ? groupPluralKeys(Object.keys(firstLanguage || {}), formatHandler.pluralForms)
+      : Object.keys(firstLanguage || {});
+    const sheetData = this.#buildSheetData(mergedKeys, translations, currentData);
+
+    console.log(`Preparing data: ${sheetData.length} rows × ${sheetData[0].length} columns`);
+
+    // Bring the sheet's changes into the local files as well, filled in as pull would
+    const { translations: localTranslations } = applyMissingPolicy(
+      this.#selectPluralForms(translations, formatHandler),
+      this.#missingPolicyOptions(formatHandler, { ...missingPolicy, mainLanguage }),
+    );
+    const nestedLanguageData = this.#nestLanguageData(localTranslations, formatHandler, {
+      mainLanguage,
+      comments: this.#processCommentsByKey(currentData),
+      fileSet,
+    });
+
+    if (dryRun) {
+      this.#saveLanguageFiles(nestedLanguageData, fileSet, format, true, mainLanguage);
+      console.log(`[dry run] Would merge ${stats.localChanges} local changes and ${stats.remoteChanges} sheet changes (${stats.deletedKeys} keys deleted) into worksheet "${targetSheet}", changing ${countChangedCells(currentData, sheetData)} cells`);
+      return true;
+    }
+
+    this.#saveHistory(targetSheet, currentData);
+    await this.#client.clearAndUpdateSheet(targetSheet, sheetData);
+    this.#saveLanguageFiles(nestedLanguageData, fileSet, format, false, mainLanguage);
+
+    this.#stateStore.saveBase(targetSheet, this.#processDataByLanguage(sheetData), { missingPolicy });
+
+    console.log(`Merged ${stats.localChanges} local changes and ${stats.remoteChanges} sheet changes (${stats.deletedKeys} keys deleted) into worksheet "${targetSheet}"`);
+    return true;
+  }
 }
 
 export default I18nSyncer;
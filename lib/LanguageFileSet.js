@@ -0,0 +1,159 @@
+import { listFilesRecursively } from './utils/files.js';
+import path from 'path';
+
+/**
+ * @import BaseFormatHandler from './formatHandlers/BaseFormatHandler.js';
+ */
+
+/**
+ * Default path pattern of namespaced language files, relative to the translation directory
+ */
+export const DEFAULT_PATH_PATTERN = '{lang}/{sheet}';
+
+/**
+ * LanguageFileSet class
+ * Locates the language files of one worksheet, either directly in the translation directory
+ * or, for a namespace, at the paths described by a path pattern
+ */
+class LanguageFileSet {
+  #dir;
+  #formatHandler;
+  #namespace;
+  #pathPattern;
+
+  /**
+   * Constructor
+   * @param {Object} params - Constructor parameters
+   * @param {string} params.dir - Translation directory
+   * @param {BaseFormatHandler} params.formatHandler - Format handler for the files
+   * @param {string|null} [params.namespace=null] - Namespace (sheet name) of the files
+   * @param {string} [params.pathPattern='{lang}/{sheet}'] - Path pattern of namespaced files, without extension
+   */
+  constructor({
+    dir,
+    formatHandler,
+    namespace = null,
+    pathPattern = DEFAULT_PATH_PATTERN,
+  }) {
+    LanguageFileSet.#validatePattern(pathPattern);
+
+    this.#dir = dir;
+    this.#formatHandler = formatHandler;
+    this.#namespace = namespace;
+    this.#pathPattern = pathPattern;
+  }
+
+  /**
+   * Get the translation directory
+   * @returns {string} Directory path
+   */
+  get dir() {
+    return this.#dir;
+  }
+
+  /**
+   * Get the namespace of the files
+   * @returns {string|null} Namespace, or null for files directly in the translation directory
+   */
+  get namespace() {
+    return this.#namespace;
+  }
+
+  /**
+   * Ensure a path pattern contains both placeholders
+   * @param {string} pathPattern - Path pattern
+   * @private
+   */
+  static #validatePattern(pathPattern) {
+    if (!pathPattern.includes('{lang}') || !pathPattern.includes('{sheet}')) {
+      throw new Error(`Invalid path pattern "${pathPattern}", expected both {lang} and {sheet} placeholders`);
+    }
+  }
+
+  /**
+   * Match the files in a directory against a path pattern
+   * @param {string} dir - Translation directory
+   * @param {BaseFormatHandler} formatHandler - Format handler for the files
+   * @param {string} pathPattern - Path pattern
+   * @returns {Array<{langCode: string, namespace: string, filePath: string}>} Matching files
+   * @private
+   */
+  static #matchFiles(dir, formatHandler, pathPattern) {
+    const source = pathPattern
+      .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+      .replace(/\{lang\}/g, '(?<lang>[^/]+)')
+      .replace(/\{sheet\}/g, '(?<sheet>[^/]+)');
+    const regex = new RegExp(`^${source}$`);
+
+    return listFilesRecursively(dir)
+      .filter(file => file.endsWith(formatHandler.extension))
+      .map((file) => {
+        const match = file.slice(0, -formatHandler.extension.length).match(regex);
+
+        return match && {
+          langCode: match.groups.lang,
+          namespace: match.groups.sheet,
+          filePath: path.join(dir, file),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * List the namespaces that have language files in a directory
+   * @param {Object} params - List parameters
+   * @param {string} params.dir - Translation directory
+   * @param {BaseFormatHandler} params.formatHandler - Format handler for the files
+   * @param {string} [params.pathPattern='{lang}/{sheet}'] - Path pattern of namespaced files
+   * @returns {Array<string>} Namespaces in alphabetical order
+   */
+  static listNamespaces({ dir, formatHandler, pathPattern = DEFAULT_PATH_PATTERN }) {
+    LanguageFileSet.#validatePattern(pathPattern);
+
+    const namespaces = LanguageFileSet.#matchFiles(dir, formatHandler, pathPattern)
+      .map(({ namespace }) => namespace);
+
+    return [...new Set(namespaces)].sort();
+  }
+
+  /**
+   * Generate the file path of a language
+   * @param {string} langCode - Language code
+   * @returns {string} Complete file path
+   */
+  filePath(langCode) {
+    if (this.#namespace === null) {
+      return this.#formatHandler.generateFilePath(this.#dir, langCode);
+    }
+
+    const relativePath = this.#pathPattern
+      .replace(/\{lang\}/g, langCode)
+      .replace(/\{sheet\}/g, this.#namespace);
+
+    return path.join(this.#dir, `${relativePath}${this.#formatHandler.extension}`);
+  }
+
+  /**
+   * Generate the path of the template file, for formats that have one
+   * @returns {string|null} Template file path (named after the namespace, if any), or null
+   */
+  templatePath() {
+    return this.#formatHandler.generateTemplatePath(this.#dir, this.#namespace ?? undefined);
+  }
+
+  /**
+   * List the existing language files
+   * @returns {Array<{langCode: string, filePath: string}>} Language files
+   */
+  list() {
+    if (this.#namespace === null) {
+      return this.#formatHandler.listLanguageFiles(this.#dir);
+    }
+
+    return LanguageFileSet.#matchFiles(this.#dir, this.#formatHandler, this.#pathPattern)
+      .filter(({ namespace }) => namespace === this.#namespace)
+      .map(({ langCode, filePath }) => ({ langCode, filePath }));
+  }
+}
+
+export default LanguageFileSet;
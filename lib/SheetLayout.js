@@ -0,0 +1,262 @@
+/**
+ * SheetLayout class
+ * Describes where keys, languages and other columns live in a worksheet,
+ * and converts between the sheet grid and its columns
+ */
+class SheetLayout {
+  #keyColumn;
+  #headerRow;
+  #languages;
+  #excludeColumns;
+  #commentColumns;
+
+  /**
+   * Constructor
+   * @param {Object} params - Constructor parameters
+   * @param {string} [params.keyColumn] - Header of the key column (default: the first column)
+   * @param {number} [params.headerRow=1] - Row number (1-based) of the header row
+   * @param {Array<string>} [params.languages] - Headers of the language columns (default: all other columns)
+   * @param {Array<string>} [params.excludeColumns=[]] - Headers of columns that are not languages
+   * @param {Array<string>} [params.commentColumns=[]] - Headers of comment or description columns
+   */
+  constructor({
+    keyColumn,
+    headerRow = 1,
+    languages,
+    excludeColumns = [],
+    commentColumns = [],
+  } = {}) {
+    const headerRowNumber = Number(headerRow);
+
+    if (!Number.isInteger(headerRowNumber) || headerRowNumber < 1) {
+      throw new Error(`Invalid header row "${headerRow}", expected a row number starting from 1`);
+    }
+
+    this.#keyColumn = keyColumn || null;
+    this.#headerRow = headerRowNumber;
+    this.#languages = languages?.length ? languages : null;
+    this.#excludeColumns = excludeColumns;
+    this.#commentColumns = commentColumns;
+  }
+
+  /**
+   * Get the row number (1-based) of the header row
+   * @returns {number} Header row number
+   */
+  get headerRow() {
+    return this.#headerRow;
+  }
+
+  /**
+   * Get the headers of the comment columns
+   * @returns {Array<string>} Comment column headers
+   */
+  get commentColumns() {
+    return this.#commentColumns;
+  }
+
+  /**
+   * Check whether a header names a language column
+   * @param {string} header - Column header (language code)
+   * @returns {boolean} True if the column holds translations
+   */
+  includesLanguage(header) {
+    if (!header) {
+      return false;
+    }
+
+    if (this.#languages) {
+      return this.#languages.includes(header);
+    }
+
+    return header !== this.#keyColumn
+      && !this.#excludeColumns.includes(header)
+      && !this.#commentColumns.includes(header);
+  }
+
+  /**
+   * Find the key column in a header row
+   * @param {Array<string>} headers - Header row
+   * @returns {number} Column index, or -1 if not found
+   * @private
+   */
+  #findKeyIndex(headers) {
+    return this.#keyColumn ? headers.indexOf(this.#keyColumn) : 0;
+  }
+
+  /**
+   * Parse sheet data into columns and rows
+   * @param {Array<Array<string>>} data - Raw sheet data
+   * @returns {Object|null} Parsed sheet with headers, keyIndex, languageColumns, commentColumns
+   * and data rows (each with its 1-based rowNumber, key and cells), or null if there is no header row
+   */
+  parse(data) {
+    const headers = data?.[this.#headerRow - 1];
+
+    if (!headers) {
+      return null;
+    }
+
+    const keyIndex = this.#findKeyIndex(headers);
+
+    if (keyIndex === -1) {
+      throw new Error(`Key column "${this.#keyColumn}" not found in header row ${this.#headerRow}`);
+    }
+
+    const columns = headers.map((header, index) => ({ header, index }))
+      .filter(({ index }) => index !== keyIndex);
+
+    const languageColumns = columns
+      .filter(({ header }) => this.includesLanguage(header))
+      .map(({ header, index }) => ({ language: header, index }));
+
+    const commentColumns = columns
+      .filter(({ header }) => this.#commentColumns.includes(header))
+      .map(({ header, index }) => ({ name: header, index }));
+
+    if (this.#languages) {
+      const missing = this.#languages.filter(language => !headers.includes(language));
+
+      if (missing.length) {
+        console.warn(`Language columns not found in header row ${this.#headerRow}: ${missing.join(', ')}`);
+      }
+    }
+
+    const rows = data.slice(this.#headerRow).map((cells, index) => ({
+      rowNumber: this.#headerRow + index + 1,
+      key: cells[keyIndex],
+      cells,
+    }));
+
+    return {
+      headers,
+      keyIndex,
+      languageColumns,
+      commentColumns,
+      rows,
+    };
+  }
+
+  /**
+   * Build sheet data for keys and language values
+   * Rows above the header row and columns that are not languages (such as comments)
+   * are kept from the current sheet data, matched by key
+   * @param {Array<string>} keys - Ordered keys (one row each)
+   * @param {Object} valuesByLang - Cell values by language code (one column each) and key
+   * @param {Array<Array<string>>} [currentData=[]] - Current sheet data
+   * @param {Object} [comments={}] - Comments by key, written to the first comment column
+   * (which is added if the sheet doesn't have it yet); other keys keep their current comment
+   * @returns {Array<Array<string>>} 2D array of cell values
+   */
+  build(keys, valuesByLang, currentData = [], comments = {}) {
+    const headers = currentData[this.#headerRow - 1];
+    const currentKeyIndex = headers ? this.#findKeyIndex(headers) : -1;
+    const current = currentKeyIndex === -1 ? null : this.parse(currentData);
+
+    // Non-language columns of the current sheet stay at their positions
+    const columns = [];
+
+    if (current) {
+      current.headers.forEach((header, index) => {
+        const isLanguage = current.languageColumns.some(column => column.index === index);
+
+        if (index !== current.keyIndex && !isLanguage) {
+          columns[index] = { type: 'kept', header, index };
+        }
+      });
+    }
+
+    const keyIndex = current ? current.keyIndex : 0;
+    const keyHeader = this.#keyColumn || current?.headers[keyIndex] || 'Key';
+    columns[keyIndex] = { type: 'key', header: keyHeader };
+
+    // Language columns fill the remaining positions in order
+    let slot = 0;
+
+    for (const language of Object.keys(valuesByLang)) {
+      while (columns[slot]) slot++;
+      columns[slot] = { type: 'language', header: language, language };
+    }
+
+    for (let index = 0; index < columns.length; index++) {
+      columns[index] = columns[index] || { type: 'empty', header: '' };
+    }
+
+    // Comments from the translation files go to the first comment column
+    const [commentHeader] = this.#commentColumns;
+
+    if (commentHeader && Object.keys(comments).length) {
+      const commentColumn = columns.find(({ type, header }) => type === 'kept' && header === commentHeader);
+
+      if (commentColumn) {
+        commentColumn.type = 'comment';
+      } else {
+        columns.push({ type: 'comment', header: commentHeader, index: -1 });
+      }
+    }
+
+    const currentRows = new Map();
+
+    current?.rows.forEach(({ key, cells }) => {
+      if (key && !currentRows.has(key)) {
+        currentRows.set(key, cells);
+      }
+    });
+
+    const rows = keys.map(key => columns.map((column) => {
+      switch (column.type) {
+      case 'key':
+        return key;
+      case 'language':
+        return valuesByLang[column.language][key] ?? '';
+      case 'comment':
+        return comments[key] ?? currentRows.get(key)?.[column.index] ?? '';
+      case 'kept':
+        return currentRows.get(key)?.[column.index] ?? '';
+      default:
+        return '';
+      }
+    }));
+
+    // Rows above the header row are kept as they are
+    const preamble = Array.from(
+      { length: this.#headerRow - 1 },
+      (_, index) => [...(currentData[index] || [])],
+    );
+
+    return [...preamble, columns.map(({ header }) => header), ...rows];
+  }
+
+  /**
+   * Build rows to append to the current sheet data, with their cells in its columns
+   * @param {Array<string>} keys - Keys of the new rows
+   * @param {Object} valuesByLang - Cell values by language code and key
+   * @param {Array<Array<string>>} currentData - Current sheet data
+   * @returns {Array<Array<string>>} New rows without trailing empty cells
+   * @throws {Error} If the current sheet data has no header row
+   */
+  buildRows(keys, valuesByLang, currentData) {
+    const sheet = this.parse(currentData);
+
+    if (!sheet) {
+      throw new Error(`No header row found in row ${this.#headerRow}, rows can only be appended below a header row`);
+    }
+
+    return keys.map((key) => {
+      const row = sheet.headers.map(() => '');
+
+      row[sheet.keyIndex] = key;
+      sheet.languageColumns.forEach(({ language, index }) => {
+        row[index] = valuesByLang[language]?.[key] ?? '';
+      });
+
+      while (row.length > sheet.keyIndex + 1 && row[row.length - 1] === '') {
+        row.pop();
+      }
+
+      return row;
+    });
+  }
+}
+
+export default SheetLayout;
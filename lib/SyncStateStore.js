@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Describe a history snapshot without its contents
+ * @param {Object} snapshot - Snapshot
+ * @returns {Object} Snapshot id, sheetName, savedAt, reason and number of rows
+ */
+const describeSnapshot = ({ id, sheetName, savedAt, reason, rows }) => ({ id, sheetName, savedAt, reason, rows });
+
+/**
+ * SyncStateStore class
+ * Persists sync state (such as the base snapshot of the last sync, and the history of sheet contents
+ * before each push) on the local file system
+ * The state of each spreadsheet is kept apart, so that spreadsheets with the same sheet names don't
+ * share a merge base or a history.
+ */
+class SyncStateStore {
+  #stateDir;
+  #spreadsheetId;
+  #historyLimit;
+
+  /**
+   * Constructor
+   * @param {Object} params - Constructor parameters
+   * @param {string} params.spreadsheetId - Google Spreadsheet ID, whose sheets the state belongs to
+   * @param {string} [params.stateDir='./.i18n-syncer'] - Directory for sync state files
+   * @param {number} [params.historyLimit=50] - Number of history snapshots kept per sheet, the oldest being
+   * deleted first (0 keeps every snapshot)
+   */
+  constructor({
+    spreadsheetId,
+    stateDir = './.i18n-syncer',
+    historyLimit = 50,
+  }) {
+    this.#stateDir = stateDir;
+    this.#spreadsheetId = spreadsheetId;
+    this.#historyLimit = historyLimit;
+  }
+
+  /**
+   * Get the state directory
+   * @returns {string} State directory path
+   */
+  get stateDir() {
+    return this.#stateDir;
+  }
+
+  /**
+   * Generate the base snapshot file path for a sheet
+   * @param {string} sheetName - Sheet name
+   * @returns {string} Snapshot file path
+   * @private
+   */
+  #baseFilePath(sheetName) {
+    return path.join(this.#stateDir, 'base', encodeURIComponent(this.#spreadsheetId), `${encodeURIComponent(sheetName)}.json`);
+  }
+
+  /**
+   * Load the base snapshot saved by the last sync of a sheet
+   * @param {string} sheetName - Sheet name
+   * @returns {Object|null} Flat translations by language code, or null if no snapshot exists
+   */
+  loadBase(sheetName) {
+    return this.#readBase(sheetName)?.translations ?? null;
+  }
+
+  /**
+   * Load the missing-value policy the local files were written with at the last sync of a sheet
+   * @param {string} sheetName - Sheet name
+   * @returns {Object|null} Policy parameters (missing, fallbacks and missingMarker), or null if none was saved
+   */
+  loadMissingPolicy(sheetName) {
+    return this.#readBase(sheetName)?.missingPolicy ?? null;
+  }
+
+  /**
+   * Read the base snapshot file of a sheet
+   * @param {string} sheetName - Sheet name
+   * @returns {Object|null} Snapshot, or null if no snapshot exists
+   * @private
+   */
+  #readBase(sheetName) {
+    const filePath = this.#baseFilePath(sheetName);
+
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid base snapshot in ${filePath}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Save the base snapshot of a sheet after a successful sync
+   * @param {string} sheetName - Sheet name
+   * @param {Object} translations - Flat translations by language code
+   * @param {Object} [options] - Snapshot options
+   * @param {Object} [options.missingPolicy] - Missing-value policy the local files were written with
+   */
+  saveBase(sheetName, translations, { missingPolicy } = {}) {
+    const filePath = this.#baseFilePath(sheetName);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const snapshot = {
+      sheetName,
+      syncedAt: new Date().toISOString(),
+      ...(missingPolicy ? { missingPolicy } : {}),
+      translations,
+    };
+
+    fs.writeFileSync(filePath, `${JSON.stringify(snapshot, null, 2)}\n`);
+  }
+
+  /**
+   * Generate the history directory path, or the history directory path of a sheet
+   * @param {string} [sheetName] - Sheet name
+   * @returns {string} Directory path
+   * @private
+   */
+  #historyDir(sheetName) {
+    const historyDir = path.join(this.#stateDir, 'history', encodeURIComponent(this.#spreadsheetId));
+    return sheetName === undefined ? historyDir : path.join(historyDir, encodeURIComponent(sheetName));
+  }
+
+  /**
+   * Save a history snapshot of the contents of a sheet, such as before a push overwrites it
+   * Snapshots are named after the time they are saved, so they sort from oldest to newest.
+   * @param {string} sheetName - Sheet name
+   * @param {Array<Array<string>>} values - Sheet contents, including the header and non-language columns
+   * @param {Object} [options] - Snapshot options
+   * @param {string} [options.reason='push'] - What the snapshot was saved before, such as 'push' or 'restore'
+   * @returns {Object} Snapshot id, sheetName, savedAt, reason and number of rows
+   */
+  saveSnapshot(sheetName, values, { reason = 'push' } = {}) {
+    const dir = this.#historyDir(sheetName);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const savedAt = new Date().toISOString();
+    const baseId = savedAt.replace(/[:.]/g, '-');
+    let id = baseId;
+
+    for (let i = 1; fs.existsSync(path.join(dir, `${id}.json`)); i++) {
+      id = `${baseId}-${i}`;
+    }
+
+    const snapshot = { id, sheetName, savedAt, reason, rows: values.length, values };
+    fs.writeFileSync(path.join(dir, `${id}.json`), `${JSON.stringify(snapshot, null, 2)}\n`);
+
+    if (this.#historyLimit > 0) {
+      this.listSnapshots(sheetName)
+        .slice(this.#historyLimit)
+        .forEach(({ id: oldId }) => fs.rmSync(path.join(dir, `${oldId}.json`)));
+    }
+
+    return describeSnapshot(snapshot);
+  }
+
+  /**
+   * List the history snapshots of a sheet, or of every sheet of the spreadsheet
+   * @param {string} [sheetName] - Sheet name (default: every sheet)
+   * @returns {Array<Object>} Snapshot id, sheetName, savedAt, reason and number of rows, newest first
+   */
+  listSnapshots(sheetName) {
+    const historyDir = this.#historyDir();
+
+    if (!fs.existsSync(historyDir)) {
+      return [];
+    }
+
+    const sheetDirs = sheetName === undefined
+      ? fs.readdirSync(historyDir).filter(name => fs.statSync(path.join(historyDir, name)).isDirectory())
+      : [encodeURIComponent(sheetName)];
+
+    return sheetDirs
+      .flatMap((sheetDir) => {
+        const dir = path.join(historyDir, sheetDir);
+
+        if (!fs.existsSync(dir)) {
+          return [];
+        }
+
+        return fs.readdirSync(dir)
+          .filter(file => file.endsWith('.json'))
+          .map(file => describeSnapshot(this.#readSnapshot(path.join(dir, file))));
+      })
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt) || b.id.localeCompare(a.id, undefined, { numeric: true }));
+  }
+
+  /**
+   * Load a history snapshot
+   * @param {string} sheetName - Sheet name
+   * @param {string} id - Snapshot id
+   * @returns {Object|null} Snapshot id, sheetName, savedAt, reason, rows and values, or null if it doesn't exist
+   */
+  loadSnapshot(sheetName, id) {
+    const filePath = path.join(this.#historyDir(sheetName), `${path.basename(id)}.json`);
+
+    return fs.existsSync(filePath) ? this.#readSnapshot(filePath) : null;
+  }
+
+  /**
+   * Read a history snapshot file
+   * @param {string} filePath - Snapshot file path
+   * @returns {Object} Snapshot
+   * @private
+   */
+  #readSnapshot(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid history snapshot in ${filePath}: ${err.message}`);
+    }
+  }
+}
+
+export default SyncStateStore;
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Project configuration
+ * Loads i18n-syncer.config.js or .i18nsyncerrc and resolves its named targets
+ */
+
+/**
+ * Config file names, in order of precedence
+ */
+export const CONFIG_FILES = [
+  'i18n-syncer.config.js',
+  'i18n-syncer.config.mjs',
+  '.i18nsyncerrc',
+  '.i18nsyncerrc.json',
+];
+
+/**
+ * Settings that are paths, resolved relative to the config file
+ */
+const PATH_SETTINGS = ['credentialsPath', 'translationDir', 'stateDir'];
+
+/**
+ * Settings that are lists of paths, resolved relative to the config file
+ */
+const PATH_LIST_SETTINGS = ['sourceDirs'];
+
+/**
+ * Find the nearest config file, starting from a directory and walking up to the root
+ * @param {string} [cwd=process.cwd()] - Directory to start from
+ * @returns {string|null} Config file path, or null if none was found
+ */
+export function findConfigFile(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+
+  while (true) {
+    for (const fileName of CONFIG_FILES) {
+      const filePath = path.join(dir, fileName);
+
+      if (fs.existsSync(filePath)) {
+        return filePath;
+      }
+    }
+
+    const parentDir = path.dirname(dir);
+
+    if (parentDir === dir) {
+      return null;
+    }
+
+    dir = parentDir;
+  }
+}
+
+/**
+ * Load a config file (JSON or ES module)
+ * @param {Object} [params] - Load parameters
+ * @param {string} [params.configPath] - Path to the config file (default: the nearest config file)
+ * @param {string} [params.cwd=process.cwd()] - Directory to search from
+ * @returns {Promise<Object|null>} Config object with its configPath, or null if no config file was found
+ */
+export async function loadConfig({ configPath, cwd = process.cwd() } = {}) {
+  const filePath = configPath ? path.resolve(cwd, configPath) : findConfigFile(cwd);
+
+  if (!filePath) {
+    return null;
+  }
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Config file not found at: ${filePath}`);
+  }
+
+  let config;
+
+  if (/\.(c|m)?js$/.test(filePath)) {
+    const { default: exported } = await import(pathToFileURL(filePath).href);
+    config = typeof exported === 'function' ? await exported() : exported;
+  } else {
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${filePath}: ${err.message}`);
+    }
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${filePath} must export an object`);
+  }
+
+  return { ...config, configPath: filePath };
+}
+
+/**
+ * Resolve the settings of a target
+ * Top-level settings apply to every target and are overridden by the target's own settings
+ * @param {Object} config - Config object
+ * @param {string} [targetName] - Target name (default: defaultTarget, or the only target)
+ * @returns {Object} Settings of the target
+ */
+export function resolveTarget(config, targetName) {
+  const { targets, defaultTarget, configPath, ...shared } = config;
+  let settings = shared;
+
+  if (targets && Object.keys(targets).length) {
+    const names = Object.keys(targets);
+    const name = targetName || defaultTarget || (names.length === 1 ? names[0] : null);
+
+    if (!name) {
+      throw new Error(`Multiple targets found in config, choose one of: ${names.join(', ')}`);
+    }
+
+    if (!targets[name]) {
+      throw new Error(`Target "${name}" not found in config, available targets: ${names.join(', ')}`);
+    }
+
+    settings = {
+      ...shared,
+      ...targets[name],
+      layout: { ...shared.layout, ...targets[name].layout },
+      formatOptions: { ...shared.formatOptions, ...targets[name].formatOptions },
+    };
+  } else if (targetName) {
+    throw new Error(`Target "${targetName}" not found in config, no targets are defined`);
+  }
+
+  // Paths in a config file are relative to the file itself
+  if (configPath) {
+    const configDir = path.dirname(configPath);
+
+    for (const setting of PATH_SETTINGS) {
+      if (settings[setting]) {
+        settings = { ...settings, [setting]: path.resolve(configDir, settings[setting]) };
+      }
+    }
+
+    for (const setting of PATH_LIST_SETTINGS) {
+      if (settings[setting]) {
+        settings = { ...settings, [setting]: settings[setting].map(dir => path.resolve(configDir, dir)) };
+      }
+    }
+  }
+
+  return settings;
+}
+
+export default {
+  findConfigFile,
+  loadConfig,
+  resolveTarget,
+};
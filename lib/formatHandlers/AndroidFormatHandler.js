@@ -0,0 +1,490 @@
+import { escapeXml, parseAttributes, unescapeXml } from '../utils/xml.js';
+import BaseFormatHandler from './BaseFormatHandler.js';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Plural quantities supported by Android
+ */
+const QUANTITIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Inline markup supported by Android and CDATA sections, which are kept as they are in values
+ */
+const MARKUP_TAGS = 'a|annotation|b|big|br|del|em|font|i|li|p|s|small|span|strike|strong|sub|sup|tt|u|ul|xliff:g';
+const MARKUP_PATTERN = new RegExp(`(<!\\[CDATA\\[[\\s\\S]*?\\]\\]>|<\\/?(?:${MARKUP_TAGS})(?:\\s[^<>]*)?\\/?>)`);
+
+/**
+ * AndroidFormatHandler
+ * Handles reading and writing Android string resources (res/values-<lang>/strings.xml)
+ *
+ * Strings map to sheet keys by resource name. Plurals use one sheet key per quantity (e.g. "files[one]")
+ * and string arrays one sheet key per item (e.g. "planets[0]"). Comments before a resource are kept in
+ * the sheet's comment column. The attributes of the resources and of the <resources> element (such as
+ * formatted="false", tools:ignore or xmlns:tools) are not stored in the sheet: on pull they are taken from
+ * the existing file. Resources marked translatable="false" are not pushed, and on pull they are kept as
+ * they are in the existing file.
+ */
+export default class AndroidFormatHandler extends BaseFormatHandler {
+  #defaultLanguage;
+  #fileName;
+
+  /**
+   * Constructor
+   * @param {Object} [options] - Format options
+   * @param {string} [options.defaultLanguage='en'] - Language written to the default values directory
+   * @param {string} [options.fileName='strings.xml'] - Name of the resource file in each values directory
+   */
+  constructor({ defaultLanguage = 'en', fileName = 'strings.xml' } = {}) {
+    super();
+    this.#defaultLanguage = defaultLanguage;
+    this.#fileName = fileName;
+  }
+
+  /**
+   * Get the file extension for Android resources
+   * @returns {string} File extension (.xml)
+   */
+  get extension() {
+    return '.xml';
+  }
+
+  /**
+   * Whether dotted keys become nested objects in the files
+   * @returns {boolean} False, resource names are kept as they are
+   */
+  get nestsKeys() {
+    return false;
+  }
+
+  /**
+   * How the plural forms of a key are keyed in the sheet
+   * @returns {string} 'categories', one key per plural category (files[one], files[other])
+   */
+  get pluralForms() {
+    return 'categories';
+  }
+
+  /**
+   * Whether the existing file is passed to fromSheets, to keep attributes and untranslatable resources
+   * @returns {boolean} True
+   */
+  get usesExistingFiles() {
+    return true;
+  }
+
+  /**
+   * Generate a file path for a language code
+   * The default language is written to values/, other languages to values-<qualifier>/
+   * @param {string} dir - Resource directory path (res)
+   * @param {string} langCode - Language code (e.g. 'fr', 'zh-TW' or 'sr-Latn')
+   * @returns {string} Complete file path
+   */
+  generateFilePath(dir, langCode) {
+    const valuesDir = langCode === this.#defaultLanguage
+      ? 'values'
+      : `values-${AndroidFormatHandler.toQualifier(langCode)}`;
+
+    return path.join(dir, valuesDir, this.#fileName);
+  }
+
+  /**
+   * List the language files in a resource directory
+   * Values directories with other qualifiers (such as values-night or values-v21) are skipped
+   * @param {string} dir - Resource directory path (res)
+   * @returns {Array<{langCode: string, filePath: string}>} Language codes and file paths
+   */
+  listLanguageFiles(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(({ name }) => {
+        const langCode = name === 'values'
+          ? this.#defaultLanguage
+          : AndroidFormatHandler.fromQualifier(name.replace(/^values-/, ''));
+        const filePath = path.join(dir, name, this.#fileName);
+
+        return name.startsWith('values') && langCode && fs.existsSync(filePath)
+          ? { langCode, filePath }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Convert a language code to an Android resource qualifier
+   * @param {string} langCode - Language code (e.g. 'zh-TW' or 'sr-Latn')
+   * @returns {string} Qualifier (e.g. 'zh-rTW' or 'b+sr+Latn')
+   */
+  static toQualifier(langCode) {
+    const parts = langCode.split(/[-_]/);
+
+    if (parts.length === 1) {
+      return langCode;
+    }
+
+    if (parts.length === 2 && /^([A-Za-z]{2}|\d{3})$/.test(parts[1])) {
+      return `${parts[0]}-r${parts[1].toUpperCase()}`;
+    }
+
+    return `b+${parts.join('+')}`;
+  }
+
+  /**
+   * Convert an Android resource qualifier to a language code
+   * @param {string} qualifier - Qualifier (e.g. 'zh-rTW' or 'b+sr+Latn')
+   * @returns {string|null} Language code, or null if the qualifier is not a language
+   */
+  static fromQualifier(qualifier) {
+    const regionMatch = qualifier.match(/^([a-z]{2,3})(?:-r([A-Z]{2}|\d{3}))?$/);
+
+    if (regionMatch) {
+      return regionMatch[2] ? `${regionMatch[1]}-${regionMatch[2]}` : regionMatch[1];
+    }
+
+    if (/^b\+[a-zA-Z0-9+]+$/.test(qualifier)) {
+      return qualifier.slice(2).split('+').join('-');
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert translation object to Android resources XML
+   * @param {Object} translation - Translation object with resources
+   * @returns {string} Formatted XML content as string
+   */
+  save(translation) {
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>', `<resources${this.#formatAttributes(translation.attributes)}>`];
+
+    for (const resource of translation.resources) {
+      if (resource.comment) {
+        resource.comment.split('\n').forEach(line => lines.push(`    <!-- ${line.replace(/--/g, '- -')} -->`));
+      }
+
+      const name = escapeXml(resource.name, { quotes: true });
+      const attributes = this.#formatAttributes(resource.attributes);
+
+      switch (resource.type) {
+      case 'plurals':
+        lines.push(`    <plurals name="${name}"${attributes}>`);
+        for (const [quantity, value] of Object.entries(resource.items)) {
+          lines.push(`        <item quantity="${quantity}">${this.#escapeValue(value)}</item>`);
+        }
+        lines.push('    </plurals>');
+        break;
+      case 'string-array':
+        lines.push(`    <string-array name="${name}"${attributes}>`);
+        resource.items.forEach(value => lines.push(`        <item>${this.#escapeValue(value)}</item>`));
+        lines.push('    </string-array>');
+        break;
+      default: {
+        const formatted = this.#hasLiteralPercent(resource.value) && !('formatted' in (resource.attributes || {}))
+          ? ' formatted="false"'
+          : '';
+        lines.push(`    <string name="${name}"${attributes}${formatted}>${this.#escapeValue(resource.value)}</string>`);
+      }
+      }
+    }
+
+    lines.push('</resources>');
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Parse Android resources XML
+   * @param {string} content - File content
+   * @param {string} fileName - File name for error reporting
+   * @returns {Object} Parsed translation object with the attributes of the <resources> element and resources
+   * @protected
+   */
+  parseContent(content, fileName) {
+    const body = content.match(/<resources\b([^>]*)>([\s\S]*)<\/resources>/);
+
+    if (!body) {
+      const empty = content.match(/<resources\b([^>]*?)\/>/);
+
+      if (empty) {
+        return { attributes: parseAttributes(empty[1]), resources: [] };
+      }
+
+      throw new Error(`Invalid Android resources in ${fileName}: <resources> element not found`);
+    }
+
+    const resources = [];
+    const pattern = /<!--([\s\S]*?)-->|<(string-array|string|plurals)(?=[\s/>])([^>]*?)(?:\/>|>([\s\S]*?)<\/\2\s*>)/g;
+    let comments = [];
+
+    for (const [, comment, type, attributeSource, inner = ''] of body[2].matchAll(pattern)) {
+      if (comment !== undefined) {
+        comments.push(comment.trim());
+        continue;
+      }
+
+      const { name, ...attributes } = parseAttributes(attributeSource);
+
+      if (!name) {
+        throw new Error(`Invalid Android resources in ${fileName}: <${type}> without a name`);
+      }
+
+      const resource = { type, name, attributes, comment: comments.join('\n') };
+      comments = [];
+
+      if (type === 'plurals') {
+        resource.items = {};
+        for (const [, itemAttributes, value] of inner.matchAll(/<item\b([^>]*)>([\s\S]*?)<\/item\s*>/g)) {
+          resource.items[parseAttributes(itemAttributes).quantity] = this.#unescapeValue(value);
+        }
+      } else if (type === 'string-array') {
+        resource.items = [...inner.matchAll(/<item\b[^>]*>([\s\S]*?)<\/item\s*>/g)]
+          .map(([, value]) => this.#unescapeValue(value));
+      } else {
+        resource.value = this.#unescapeValue(inner);
+      }
+
+      resources.push(resource);
+    }
+
+    return { attributes: parseAttributes(body[1]), resources };
+  }
+
+  /**
+   * Convert data to Google Sheets format
+   * Resources marked translatable="false" are left out
+   * @param {Object} translation - Translation object with resources
+   * @returns {Object} Flat translations keyed by sheet key
+   */
+  toSheets(translation) {
+    const flatData = {};
+    const escape = (value) => String(value ?? '').replace(/\r?\n/g, '\\n');
+
+    for (const resource of translation.resources.filter(resource => this.#isTranslatable(resource))) {
+      if (resource.type === 'plurals') {
+        Object.entries(resource.items).forEach(([quantity, value]) => {
+          flatData[`${resource.name}[${quantity}]`] = escape(value);
+        });
+      } else if (resource.type === 'string-array') {
+        resource.items.forEach((value, index) => {
+          flatData[`${resource.name}[${index}]`] = escape(value);
+        });
+      } else {
+        flatData[resource.name] = escape(resource.value);
+      }
+    }
+
+    return flatData;
+  }
+
+  /**
+   * Convert data from Google Sheets format
+   * @param {Object} flatData - Flat translations keyed by sheet key
+   * @param {Object} [context] - Sheet context
+   * @param {Object} [context.comments] - Comments by sheet key
+   * @param {Object} [context.existing] - Translation object of the existing file, whose attributes and
+   * untranslatable resources are kept
+   * @returns {Object} Translation object with resources
+   */
+  fromSheets(flatData, { comments = {}, existing } = {}) {
+    const resources = new Map();
+    const unescape = (value) => String(value ?? '').replace(/\\n/g, '\n');
+
+    for (const [key, value] of Object.entries(flatData)) {
+      const itemMatch = key.match(/^(.*)\[(\d+|zero|one|two|few|many|other)\]$/);
+
+      if (!itemMatch) {
+        resources.set(key, { type: 'string', name: key, value: unescape(value), comment: comments[key] });
+        continue;
+      }
+
+      const [, name, item] = itemMatch;
+      const isArray = /^\d+$/.test(item);
+
+      if (!resources.has(name)) {
+        resources.set(name, {
+          type: isArray ? 'string-array' : 'plurals',
+          name,
+          items: isArray ? [] : {},
+          comment: comments[key],
+        });
+      }
+
+      resources.get(name).items[isArray ? Number(item) : item] = unescape(value);
+    }
+
+    const existingResources = existing?.resources || [];
+    const previous = new Map(existingResources.map(resource => [resource.name, resource]));
+
+    for (const resource of resources.values()) {
+      resource.attributes = { ...previous.get(resource.name)?.attributes };
+
+      if (resource.type === 'string-array') {
+        resource.items = Array.from(resource.items, value => value ?? '');
+      } else if (resource.type === 'plurals') {
+        resource.items = Object.fromEntries(
+          QUANTITIES.filter(quantity => quantity in resource.items)
+            .map(quantity => [quantity, resource.items[quantity]]),
+        );
+      }
+    }
+
+    // Put untranslatable resources back after the resource that preceded them in the existing file
+    const ordered = [...resources.values()];
+    let previousName = null;
+
+    for (const resource of existingResources) {
+      if (!this.#isTranslatable(resource) && !resources.has(resource.name)) {
+        ordered.splice(ordered.findIndex(({ name }) => name === previousName) + 1, 0, resource);
+      }
+
+      if (ordered.some(({ name }) => name === resource.name)) {
+        previousName = resource.name;
+      }
+    }
+
+    return { attributes: { ...existing?.attributes }, resources: ordered };
+  }
+
+  /**
+   * Get the comments of the resources, for the sheet's comment column
+   * @param {Object} translation - Translation object with resources
+   * @returns {Object} Comments by sheet key (the first item of plurals and string arrays)
+   */
+  getComments(translation) {
+    const comments = {};
+
+    for (const resource of translation.resources) {
+      if (!resource.comment) continue;
+
+      if (resource.type === 'plurals') {
+        const [quantity] = Object.keys(resource.items);
+        comments[`${resource.name}[${quantity}]`] = resource.comment;
+      } else if (resource.type === 'string-array') {
+        comments[`${resource.name}[0]`] = resource.comment;
+      } else {
+        comments[resource.name] = resource.comment;
+      }
+    }
+
+    return comments;
+  }
+
+  /**
+   * Check whether a resource is to be translated
+   * @param {Object} resource - Resource
+   * @returns {boolean} False if the resource is marked translatable="false"
+   * @private
+   */
+  #isTranslatable(resource) {
+    return resource.attributes?.translatable !== 'false';
+  }
+
+  /**
+   * Format attributes for a start tag
+   * @param {Object} [attributes={}] - Attribute values by name
+   * @returns {string} Attributes, each preceded by a space
+   * @private
+   */
+  #formatAttributes(attributes = {}) {
+    return Object.entries(attributes)
+      .map(([name, value]) => ` ${name}="${escapeXml(value, { quotes: true })}"`)
+      .join('');
+  }
+
+  /**
+   * Check whether a value contains a percent sign that is not a format specifier
+   * Such strings are marked formatted="false" so that aapt doesn't reject them
+   * @param {string} value - String value
+   * @returns {boolean} True if the value has a literal percent sign
+   * @private
+   */
+  #hasLiteralPercent(value) {
+    return /%(?!(\d+\$)?[-#+0,(]*\d*(\.\d+)?[sSdfxXoceEgGbBhHnaAtT%])/.test(value);
+  }
+
+  /**
+   * Escape a string for an Android resource
+   * Apostrophes, double quotes, backslashes, newlines, tabs and leading @ or ? are backslash-escaped
+   * and XML special characters become entities, while inline markup is kept
+   * @param {string} value - String value
+   * @returns {string} Escaped resource text
+   * @private
+   */
+  #escapeValue(value) {
+    const escaped = String(value ?? '').split(MARKUP_PATTERN).map((part, index) => {
+      if (index % 2 === 1) {
+        return part;
+      }
+
+      return escapeXml(part)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/'/g, '\\\'')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    }).join('');
+
+    const prefixed = /^[@?]/.test(escaped) ? `\\${escaped}` : escaped;
+
+    // Whitespace that Android would collapse is kept by quoting the whole string
+    return /^\s|\s$|\s{2}/.test(prefixed) ? `"${prefixed}"` : prefixed;
+  }
+
+  /**
+   * Unescape the text of an Android resource
+   * Text in double quotes keeps its whitespace, other whitespace is collapsed as Android does
+   * @param {string} text - Resource text
+   * @returns {string} String value
+   * @private
+   */
+  #unescapeValue(text) {
+    const escapes = { n: '\n', t: '\t' };
+    let value = '';
+    let quoted = false;
+    let pendingSpace = false;
+
+    // Unquoted whitespace is written as a single space, and only between other characters
+    const append = (chars) => {
+      if (pendingSpace && value) {
+        value += ' ';
+      }
+      pendingSpace = false;
+      value += chars;
+    };
+
+    text.split(MARKUP_PATTERN).forEach((part, index) => {
+      if (index % 2 === 1) {
+        append(part.startsWith('<![CDATA[') ? part.slice(9, -3) : part);
+        return;
+      }
+
+      const decoded = unescapeXml(part);
+
+      for (let i = 0; i < decoded.length; i++) {
+        const char = decoded[i];
+
+        if (char === '\\' && i + 1 < decoded.length) {
+          const next = decoded[++i];
+
+          if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(decoded.slice(i + 1, i + 5))) {
+            append(String.fromCharCode(parseInt(decoded.slice(i + 1, i + 5), 16)));
+            i += 4;
+          } else {
+            append(escapes[next] ?? next);
+          }
+        } else if (char === '"') {
+          quoted = !quoted;
+        } else if (/\s/.test(char) && !quoted) {
+          pendingSpace = true;
+        } else {
+          append(char);
+        }
+      }
+    });
+
+    return value;
+  }
+}
@@ -0,0 +1,484 @@
+import { escapeXml, unescapeXml } from '../utils/xml.js';
+import BaseFormatHandler from './BaseFormatHandler.js';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Plural categories supported by .stringsdict files
+ */
+const CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * AppleStringsFormatHandler
+ * Handles reading and writing Apple strings files (<lang>.lproj/Localizable.strings),
+ * with plurals in the .stringsdict file next to them
+ *
+ * Strings map to sheet keys as they are. Plurals use one sheet key per category (e.g. "files[one]").
+ * Comments before a string are kept in the sheet's comment column.
+ */
+export default class AppleStringsFormatHandler extends BaseFormatHandler {
+  #tableName;
+
+  /**
+   * Constructor
+   * @param {Object} [options] - Format options
+   * @param {string} [options.tableName='Localizable'] - Name of the strings table in each .lproj directory
+   */
+  constructor({ tableName = 'Localizable' } = {}) {
+    super();
+    this.#tableName = tableName;
+  }
+
+  /**
+   * Get the file extension for strings files
+   * @returns {string} File extension (.strings)
+   */
+  get extension() {
+    return '.strings';
+  }
+
+  /**
+   * Whether dotted keys become nested objects in the files
+   * @returns {boolean} False, keys are kept as they are
+   */
+  get nestsKeys() {
+    return false;
+  }
+
+  /**
+   * How the plural forms of a key are keyed in the sheet
+   * @returns {string} 'categories', one key per plural category (files[one], files[other])
+   */
+  get pluralForms() {
+    return 'categories';
+  }
+
+  /**
+   * Generate a file path for a language code
+   * @param {string} dir - Directory path
+   * @param {string} langCode - Language code
+   * @returns {string} Complete file path (<dir>/<lang>.lproj/<table>.strings)
+   */
+  generateFilePath(dir, langCode) {
+    return path.join(dir, `${langCode}.lproj`, `${this.#tableName}${this.extension}`);
+  }
+
+  /**
+   * List the language files in a directory
+   * @param {string} dir - Directory path
+   * @returns {Array<{langCode: string, filePath: string}>} Language codes and file paths
+   */
+  listLanguageFiles(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name.endsWith('.lproj'))
+      .map(({ name }) => ({
+        langCode: path.basename(name, '.lproj'),
+        filePath: this.generateFilePath(dir, path.basename(name, '.lproj')),
+      }))
+      .filter(({ filePath }) => fs.existsSync(filePath) || fs.existsSync(this.#stringsdictPath(filePath)));
+  }
+
+  /**
+   * Read file content, which is UTF-8 or UTF-16 with a byte order mark
+   * @param {string} filePath - Path to the file
+   * @returns {string} File content
+   * @protected
+   */
+  readFileContent(filePath) {
+    const buffer = fs.readFileSync(filePath);
+
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      return buffer.toString('utf16le', 2);
+    }
+
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+      return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+    }
+
+    return buffer.toString('utf8');
+  }
+
+  /**
+   * Read a strings file and the plurals of its .stringsdict file
+   * @param {string} filePath - Path to the strings file
+   * @returns {Object} Parsed translation object with strings and plurals
+   */
+  read(filePath) {
+    const translation = fs.existsSync(filePath) ? super.read(filePath) : { strings: [], plurals: [] };
+    const stringsdictPath = this.#stringsdictPath(filePath);
+
+    if (fs.existsSync(stringsdictPath)) {
+      translation.plurals = this.#parseStringsdict(
+        this.readFileContent(stringsdictPath),
+        path.basename(stringsdictPath),
+      );
+    }
+
+    return translation;
+  }
+
+  /**
+   * Convert translation object to strings file format
+   * @param {Object} translation - Translation object with strings and plurals
+   * @returns {string} Formatted strings content as string
+   */
+  save(translation) {
+    const blocks = translation.strings.map(({ key, value, comment }) => {
+      const entry = `"${this.#escapeString(key)}" = "${this.#escapeString(value)}";`;
+      return comment ? `/* ${comment.replace(/\*\//g, '* /')} */\n${entry}` : entry;
+    });
+
+    return blocks.length ? `${blocks.join('\n\n')}\n` : '';
+  }
+
+  /**
+   * Generate the .stringsdict file next to a strings file, for translations with plurals
+   * @param {Object} translation - Translation object with strings and plurals
+   * @param {string} filePath - Path of the strings file
+   * @returns {Array<{filePath: string, content: string}>} Companion files
+   */
+  generateCompanionFiles(translation, filePath) {
+    if (!translation.plurals.length) {
+      return [];
+    }
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+      '<plist version="1.0">',
+      '<dict>',
+    ];
+
+    for (const { key, items } of translation.plurals) {
+      // The value type comes from the first format specifier, such as %d or %lld
+      const specifier = Object.values(items).join(' ').match(/%(?:\d+\$)?(l{0,2}[diuoxXfeEgG@])/);
+
+      lines.push(
+        `\t<key>${escapeXml(key)}</key>`,
+        '\t<dict>',
+        '\t\t<key>NSStringLocalizedFormatKey</key>',
+        '\t\t<string>%#@value@</string>',
+        '\t\t<key>value</key>',
+        '\t\t<dict>',
+        '\t\t\t<key>NSStringFormatSpecTypeKey</key>',
+        '\t\t\t<string>NSStringPluralRuleType</string>',
+        '\t\t\t<key>NSStringFormatValueTypeKey</key>',
+        `\t\t\t<string>${specifier ? specifier[1] : 'd'}</string>`,
+        ...Object.entries(items).flatMap(([category, value]) => [
+          `\t\t\t<key>${category}</key>`,
+          `\t\t\t<string>${escapeXml(value)}</string>`,
+        ]),
+        '\t\t</dict>',
+        '\t</dict>',
+      );
+    }
+
+    lines.push('</dict>', '</plist>');
+
+    return [{ filePath: this.#stringsdictPath(filePath), content: `${lines.join('\n')}\n` }];
+  }
+
+  /**
+   * Parse strings file content
+   * @param {string} content - File content
+   * @param {string} fileName - File name for error reporting
+   * @returns {Object} Parsed translation object with strings and plurals
+   * @protected
+   */
+  parseContent(content, fileName) {
+    const strings = [];
+    const source = content.replace(/^\uFEFF/, '');
+    let comments = [];
+    let index = 0;
+
+    const lineNumber = () => source.slice(0, index).split('\n').length;
+    const skipWhitespace = () => {
+      while (index < source.length && /\s/.test(source[index])) index++;
+    };
+    const fail = (message) => {
+      throw new Error(`Invalid strings file ${fileName} at line ${lineNumber()}: ${message}`);
+    };
+
+    const readToken = () => {
+      if (source[index] === '"') {
+        let value = '';
+        index++;
+
+        while (index < source.length && source[index] !== '"') {
+          if (source[index] === '\\') {
+            const [char, length] = this.#unescapeSequence(source, index + 1);
+            value += char;
+            index += length + 1;
+          } else {
+            value += source[index++];
+          }
+        }
+
+        if (index >= source.length) {
+          fail('unterminated string');
+        }
+
+        index++;
+        return value;
+      }
+
+      const unquoted = source.slice(index).match(/^[\w.$:/-]+/);
+
+      if (!unquoted) {
+        fail(`unexpected "${source[index]}"`);
+      }
+
+      index += unquoted[0].length;
+      return unquoted[0];
+    };
+
+    const expect = (char) => {
+      skipWhitespace();
+
+      if (source[index] !== char) {
+        fail(`expected "${char}"`);
+      }
+
+      index++;
+    };
+
+    while (true) {
+      skipWhitespace();
+
+      if (index >= source.length) break;
+
+      if (source.startsWith('/*', index)) {
+        const end = source.indexOf('*/', index + 2);
+
+        if (end === -1) {
+          fail('unterminated comment');
+        }
+
+        comments.push(source.slice(index + 2, end).trim());
+        index = end + 2;
+        continue;
+      }
+
+      if (source.startsWith('//', index)) {
+        const end = source.indexOf('\n', index);
+        comments.push(source.slice(index + 2, end === -1 ? source.length : end).trim());
+        index = end === -1 ? source.length : end;
+        continue;
+      }
+
+      const key = readToken();
+      expect('=');
+      skipWhitespace();
+      const value = readToken();
+      expect(';');
+
+      strings.push({ key, value, comment: comments.join('\n') });
+      comments = [];
+    }
+
+    return { strings, plurals: [] };
+  }
+
+  /**
+   * Convert data to Google Sheets format
+   * @param {Object} translation - Translation object with strings and plurals
+   * @returns {Object} Flat translations keyed by sheet key
+   */
+  toSheets(translation) {
+    const flatData = {};
+    const escape = (value) => String(value ?? '').replace(/\r?\n/g, '\\n');
+
+    for (const { key, value } of translation.strings) {
+      flatData[key] = escape(value);
+    }
+
+    for (const { key, items } of translation.plurals) {
+      Object.entries(items).forEach(([category, value]) => {
+        flatData[`${key}[${category}]`] = escape(value);
+      });
+    }
+
+    return flatData;
+  }
+
+  /**
+   * Convert data from Google Sheets format
+   * @param {Object} flatData - Flat translations keyed by sheet key
+   * @param {Object} [context] - Sheet context
+   * @param {Object} [context.comments] - Comments by sheet key
+   * @returns {Object} Translation object with strings and plurals
+   */
+  fromSheets(flatData, { comments = {} } = {}) {
+    const strings = [];
+    const plurals = new Map();
+    const unescape = (value) => String(value ?? '').replace(/\\n/g, '\n');
+
+    for (const [sheetKey, value] of Object.entries(flatData)) {
+      const pluralMatch = sheetKey.match(/^(.*)\[(zero|one|two|few|many|other)\]$/);
+
+      if (!pluralMatch) {
+        strings.push({ key: sheetKey, value: unescape(value), comment: comments[sheetKey] });
+        continue;
+      }
+
+      const [, key, category] = pluralMatch;
+
+      if (!plurals.has(key)) {
+        plurals.set(key, { key, items: {} });
+      }
+
+      plurals.get(key).items[category] = unescape(value);
+    }
+
+    for (const plural of plurals.values()) {
+      plural.items = Object.fromEntries(
+        CATEGORIES.filter(category => category in plural.items)
+          .map(category => [category, plural.items[category]]),
+      );
+    }
+
+    return { strings, plurals: [...plurals.values()] };
+  }
+
+  /**
+   * Get the comments of the strings, for the sheet's comment column
+   * @param {Object} translation - Translation object with strings and plurals
+   * @returns {Object} Comments by sheet key
+   */
+  getComments(translation) {
+    return Object.fromEntries(
+      translation.strings
+        .filter(({ comment }) => comment)
+        .map(({ key, comment }) => [key, comment]),
+    );
+  }
+
+  /**
+   * Get the path of the .stringsdict file next to a strings file
+   * @param {string} filePath - Path of the strings file
+   * @returns {string} Path of the .stringsdict file
+   * @private
+   */
+  #stringsdictPath(filePath) {
+    return path.join(path.dirname(filePath), `${path.basename(filePath, this.extension)}.stringsdict`);
+  }
+
+  /**
+   * Escape a string for a strings file
+   * @param {string} value - String value
+   * @returns {string} Escaped string, without quotes
+   * @private
+   */
+  #escapeString(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\t/g, '\\t');
+  }
+
+  /**
+   * Unescape the escape sequence after a backslash
+   * @param {string} source - Source text
+   * @param {number} index - Index of the character after the backslash
+   * @returns {[string, number]} Unescaped character and the length of the sequence after the backslash
+   * @private
+   */
+  #unescapeSequence(source, index) {
+    const char = source[index];
+
+    if ((char === 'U' || char === 'u') && /^[0-9a-fA-F]{4}$/.test(source.slice(index + 1, index + 5))) {
+      return [String.fromCharCode(parseInt(source.slice(index + 1, index + 5), 16)), 5];
+    }
+
+    return [{ n: '\n', r: '\r', t: '\t' }[char] ?? char, 1];
+  }
+
+  /**
+   * Parse the plurals of a .stringsdict file
+   * Format keys with text around the variable (e.g. "%#@files@ left") are expanded into each category
+   * @param {string} content - File content
+   * @param {string} fileName - File name for error reporting
+   * @returns {Array<{key: string, items: Object}>} Plurals
+   * @private
+   */
+  #parseStringsdict(content, fileName) {
+    // Whitespace between elements is dropped, text inside <key> and <string> is kept
+    const tokens = [...content.matchAll(/<(\/?)(dict|key|string)\s*(\/?)>|<[!?/]?[a-zA-Z][^>]*>|([^<]+)/g)]
+      .filter((token, index, all) => {
+        const previous = all[index - 1];
+        return token[4] === undefined || token[4].trim() || (previous && !previous[1] && ['key', 'string'].includes(previous[2]));
+      });
+    let position = 0;
+
+    const parseValue = () => {
+      const token = tokens[position++];
+
+      if (!token) {
+        throw new Error(`Invalid stringsdict file ${fileName}: unexpected end of file`);
+      }
+
+      const [, closing, tag, selfClosing] = token;
+
+      if (tag === 'string' && selfClosing) {
+        return '';
+      }
+
+      if (tag === 'string' && !closing) {
+        const text = tokens[position]?.[4] !== undefined ? tokens[position++][4] : '';
+        position++;
+        return unescapeXml(text);
+      }
+
+      if (tag === 'dict' && selfClosing) {
+        return {};
+      }
+
+      if (tag === 'dict' && !closing) {
+        const dict = {};
+
+        while (tokens[position] && !(tokens[position][1] && tokens[position][2] === 'dict')) {
+          const [, keyClosing, keyTag] = tokens[position];
+
+          if (keyTag !== 'key' || keyClosing) {
+            throw new Error(`Invalid stringsdict file ${fileName}: expected <key> in <dict>`);
+          }
+
+          const key = unescapeXml(tokens[position + 1]?.[4] ?? '');
+          position += tokens[position + 1]?.[4] !== undefined ? 3 : 2;
+          dict[key] = parseValue();
+        }
+
+        position++;
+        return dict;
+      }
+
+      throw new Error(`Invalid stringsdict file ${fileName}: unexpected "${token[0].trim()}"`);
+    };
+
+    // Skip the XML declaration, doctype, plist tag and whitespace around the root dict
+    while (tokens[position] && tokens[position][2] !== 'dict') position++;
+
+    const root = tokens[position] ? parseValue() : {};
+
+    return Object.entries(root).map(([key, entry]) => {
+      const formatKey = entry.NSStringLocalizedFormatKey || '';
+      const variable = formatKey.match(/%(?:\d+\$)?#@(\w+)@/);
+      const rule = variable ? entry[variable[1]] || {} : {};
+      const items = {};
+
+      for (const category of CATEGORIES) {
+        if (typeof rule[category] === 'string') {
+          items[category] = formatKey.replace(variable[0], rule[category]);
+        }
+      }
+
+      return { key, items };
+    });
+  }
+}
@@ -1,12 +1,53 @@
 /* eslint-disable no-unused-vars */
 import path from 'path';
 import fs from 'fs';
+import { formatKey, parseKey } from '../utils/keys.js';
+import { joinPluralForms, PLURAL_STYLES, splitPluralForms } from '../utils/plurals.js';
 
 /**
  * BaseFormatHandler
  * Abstract base class for all format handlers
  */
 export default class BaseFormatHandler {
+  #keySeparator;
+  #plurals;
+
+  /**
+   * Constructor
+   * @param {Object} [options] - Format options
+   * @param {string|false} [options.keySeparator='.'] - Separator of nested keys in the sheet, or false to
+   * keep keys flat (used by formats with nested keys)
+   * @param {string} [options.plurals] - Plural representation of the files, 'i18next' (items_one) or 'icu'
+   * ({count, plural, ...}), whose forms get one sheet row each (default: keys are kept as they are)
+   * @param {string} [options.pluralArgument='count'] - Name of the plural argument of ICU messages
+   * @param {string} [options.genderArgument='gender'] - Name of the gender argument of ICU messages
+   */
+  constructor({ keySeparator = '.', plurals, pluralArgument = 'count', genderArgument = 'gender' } = {}) {
+    if (keySeparator && (typeof keySeparator !== 'string' || /[\\[]/.test(keySeparator))) {
+      throw new Error(`Invalid key separator "${keySeparator}", expected a string without backslashes and brackets, or false`);
+    }
+
+    // Type annotations follow an at sign when the separator contains a colon (see typeMarker)
+    if (keySeparator && keySeparator.includes(':') && keySeparator.includes('@')) {
+      throw new Error(`Invalid key separator "${keySeparator}", a separator with a colon can't contain an at sign, which marks type annotations`);
+    }
+
+    if (plurals && !PLURAL_STYLES.includes(plurals)) {
+      throw new Error(`Invalid plural style "${plurals}", expected one of: ${PLURAL_STYLES.join(', ')}`);
+    }
+
+    this.#keySeparator = keySeparator || null;
+    this.#plurals = plurals ? { style: plurals, pluralArgument, genderArgument } : null;
+  }
+
+  /**
+   * Get the separator of nested keys
+   * @returns {string|null} Key separator, or null if keys are not nested
+   */
+  get keySeparator() {
+    return this.nestsKeys ? this.#keySeparator : null;
+  }
+
   /**
    * Get the file extension for this format
    * @returns {string} File extension with dot prefix
@@ -15,12 +56,49 @@ export default class BaseFormatHandler {
     throw new Error('extension must be implemented by subclass');
   }
 
+  /**
+   * Whether dotted keys become nested objects in the files, so that a key can't also be the parent of other keys
+   * @returns {boolean} True by default, false in flat mode (keySeparator: false)
+   */
+  get nestsKeys() {
+    return this.#keySeparator !== null;
+  }
+
+  /**
+   * Get the plural representation of the files
+   * @returns {string|null} 'i18next', 'icu', or null if plural forms are kept as they are
+   */
+  get pluralStyle() {
+    return this.#plurals?.style ?? null;
+  }
+
+  /**
+   * How the plural forms of a key are keyed in the sheet, so that each language gets the forms it needs
+   * @returns {string|null} 'categories' (items[one], items[other]), 'indexes' (items[0], items[1]), or
+   * null if the format has no plural forms
+   */
+  get pluralForms() {
+    return this.#plurals ? 'categories' : null;
+  }
+
+  /**
+   * Whether fromSheets needs the existing file of a language (passed as context.existing)
+   * @returns {boolean} False by default
+   */
+  get usesExistingFiles() {
+    return false;
+  }
+
   /**
    * Convert translation object to string format
    * @param {Object} translation - Translation object
+   * @param {string} [langCode] - Language code of the translation
+   * @param {Object} [location] - Location of the files
+   * @param {string} [location.filePath] - Path the content is written to
+   * @param {string|null} [location.templatePath] - Path of the template file, for formats that have one
    * @returns {string} Formatted content as string
    */
-  save(translation) {
+  save(translation, langCode, location) {
     throw new Error('save method must be implemented by subclass');
   }
 
@@ -65,46 +143,166 @@ export default class BaseFormatHandler {
     return path.join(dir, `${langCode}${this.extension}`);
   }
 
+  /**
+   * List the language files in a directory
+   * @param {string} dir - Directory path
+   * @returns {Array<{langCode: string, filePath: string}>} Language codes and file paths
+   */
+  listLanguageFiles(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith(this.extension))
+      .map(file => ({
+        langCode: path.basename(file, this.extension),
+        filePath: path.join(dir, file),
+      }));
+  }
+
   /**
    * Convert data to Google Sheets format (flatten nested objects)
    * @param {Object} translation - Translation object
    * @returns {Object} Flattened translation object
    */
   toSheets(translation) {
-    return this.#flattenObject(translation);
+    const flatData = this.#flattenObject(translation);
+    return this.#plurals ? splitPluralForms(flatData, this.#plurals) : flatData;
   }
 
   /**
    * Convert data from Google Sheets format (restore nested structure)
    * @param {Object} flatData - Flattened translation data
+   * @param {Object} [context] - Sheet context
+   * @param {string} [context.langCode] - Language code of the translation
+   * @param {string} [context.mainLanguage] - Main language
+   * @param {Object} [context.source] - Flattened translation data of the main language
+   * @param {Object} [context.comments] - Comments from the sheet's comment columns by key
+   * @param {Object} [context.existing] - Translation object of the existing file, if usesExistingFiles is true
    * @returns {Object} Nested translation object
    */
-  fromSheets(flatData) {
-    return this.#unflattenObject(flatData);
+  fromSheets(flatData, context) {
+    return this.#unflattenObject(this.#plurals
+      ? joinPluralForms(flatData, { ...this.#plurals, langCode: context?.langCode })
+      : flatData);
   }
 
   /**
-   * Flatten a nested object into dotted key notation
-   * @param {Object} obj - Object to flatten
-   * @param {string} prefix - Key prefix
+   * Get the comments of a translation, written to the sheet's comment column on push
+   * @param {Object} translation - Translation object
+   * @returns {Object} Comments by flattened key (none by default)
+   */
+  getComments(translation) {
+    return {};
+  }
+
+  /**
+   * Generate the files that are written next to a language file, such as Apple .stringsdict files
+   * @param {Object} translation - Translation object
+   * @param {string} filePath - Path of the language file
+   * @returns {Array<{filePath: string, content: string}>} Companion files (none by default)
+   */
+  generateCompanionFiles(translation, filePath) {
+    return [];
+  }
+
+  /**
+   * Generate a template file from the main language translation
+   * @param {Object} translation - Translation object of the main language
+   * @returns {string|null} Template content, or null if the format has no template files
+   */
+  generateTemplate(translation) {
+    return null;
+  }
+
+  /**
+   * Generate the template file path
+   * @param {string} dir - Directory path
+   * @param {string} [name] - Template name
+   * @returns {string|null} Complete template file path, or null if the format has no template files
+   */
+  generateTemplatePath(dir, name) {
+    return null;
+  }
+
+  /**
+   * Flatten a nested object into keys joined with the key separator
+   * Array items get indexed keys (list[0]), and values that are not strings get a type annotation
+   * (count:number, enabled:boolean, value:null), as do empty arrays and objects (list:array, map:object)
+   * The annotation follows an at sign instead of a colon when the key separator contains a colon
+   * @param {*} obj - Object to flatten
+   * @param {Array<string|number>} keyPath - Path of the object
    * @param {Object} out - Output object
    * @returns {Object} Flattened object
    * @private
    */
-  #flattenObject(obj, prefix = '', out = {}) {
-    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
-      out[prefix] = obj;
+  #flattenObject(obj, keyPath = [], out = {}) {
+    const add = (value, type) => {
+      out[formatKey(keyPath, { separator: this.#keySeparator, type })] = value;
+    };
+
+    if (Array.isArray(obj)) {
+      if (!obj.length) {
+        add('', 'array');
+      }
+
+      obj.forEach((item, index) => this.#flattenObject(item, [...keyPath, index], out));
+      return out;
+    }
+
+    if (obj && typeof obj === 'object') {
+      const entries = Object.entries(obj);
+
+      if (!entries.length && keyPath.length) {
+        add('', 'object');
+      }
+
+      for (const [k, v] of entries) {
+        this.#flattenObject(v, [...keyPath, k], out);
+      }
+
       return out;
     }
 
-    for (const [k, v] of Object.entries(obj)) {
-      const key = prefix ? `${prefix}.${k}` : k;
-      this.#flattenObject(v, key, out);
+    if (obj === null) {
+      add('', 'null');
+    } else if (typeof obj === 'number' || typeof obj === 'boolean') {
+      add(String(obj), typeof obj);
+    } else {
+      add(obj);
     }
 
     return out;
   }
 
+  /**
+   * Restore a value from its type annotation
+   * Values that don't match their type are kept as strings
+   * @param {*} value - Flattened value
+   * @param {string} [type] - Type annotation
+   * @returns {*} Typed value
+   * @private
+   */
+  #restoreValue(value, type) {
+    const text = String(value ?? '');
+
+    switch (type) {
+    case 'number':
+      return text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : value;
+    case 'boolean':
+      return ['true', 'false'].includes(text) ? text === 'true' : value;
+    case 'null':
+      return text === '' ? null : value;
+    case 'array':
+      return [];
+    case 'object':
+      return {};
+    default:
+      return value;
+    }
+  }
+
   /**
    * Convert flattened key-value pairs to nested object
    * @param {Object} kv - Flattened key-value pairs
@@ -114,22 +312,26 @@ export default class BaseFormatHandler {
   #unflattenObject(kv) {
     const out = {};
 
-    for (const [dottedKey, value] of Object.entries(kv)) {
-      if (!dottedKey) continue;
+    for (const [flatKey, value] of Object.entries(kv)) {
+      if (!flatKey) continue;
+
+      const { path: keyPath, type } = parseKey(flatKey, this.#keySeparator);
 
-      const parts = String(dottedKey).split('.');
       let cur = out;
 
-      for (let i = 0; i < parts.length; i++) {
-        const key = parts[i].trim();
+      for (let i = 0; i < keyPath.length; i++) {
+        const key = keyPath[i];
 
-        if (i === parts.length - 1) {
-          cur[key] = value;
+        if (i === keyPath.length - 1) {
+          cur[key] = this.#restoreValue(value, type);
           continue;
         }
 
-        if (typeof cur[key] !== 'object' || cur[key] === null || Array.isArray(cur[key])) {
-          cur[key] = {};
+        const isArray = typeof keyPath[i + 1] === 'number';
+        const isContainer = typeof cur[key] === 'object' && cur[key] !== null && Array.isArray(cur[key]) === isArray;
+
+        if (!isContainer) {
+          cur[key] = isArray ? [] : {};
         }
 
         cur = cur[key];
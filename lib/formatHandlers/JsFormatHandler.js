@@ -1,16 +1,34 @@
 import BaseFormatHandler from './BaseFormatHandler.js';
+import { parseStaticModule } from '../utils/staticModule.js';
 
 /**
  * JsFormatHandler
  * Handles reading and writing translation files in JavaScript module format
  */
 export default class JsFormatHandler extends BaseFormatHandler {
+  #extension;
+  #exportName;
+
+  /**
+   * Constructor
+   * @param {Object} [options] - Format options
+   * @param {string} [options.extension='.js'] - File extension ('.js', '.mjs' or '.ts')
+   * @param {string} [options.exportName] - Named export to read (default: the default export, or the only exported const)
+   * @param {string|false} [options.keySeparator='.'] - Separator of nested keys in the sheet, or false to keep keys flat
+   * @param {string} [options.plurals] - Plural representation, 'i18next' or 'icu' (see BaseFormatHandler)
+   */
+  constructor({ extension = '.js', exportName, ...options } = {}) {
+    super(options);
+    this.#extension = extension;
+    this.#exportName = exportName;
+  }
+
   /**
    * Get the file extension for JavaScript format
-   * @returns {string} File extension (.js)
+   * @returns {string} File extension (.js by default)
    */
   get extension() {
-    return '.js';
+    return this.#extension;
   }
 
   /**
@@ -19,92 +37,64 @@ export default class JsFormatHandler extends BaseFormatHandler {
    * @returns {string} Formatted JavaScript module content as string
    */
   save(translation) {
+    return `export default ${this.serialize(translation)};\n`;
+  }
+
+  /**
+   * Serialize a translation object as an object literal
+   * @param {Object} translation - Translation object
+   * @returns {string} Object literal source
+   * @protected
+   */
+  serialize(translation) {
     // Serialize with unquoted keys and single-quoted string values
     const escapeString = (s) => String(s)
       .replace(/\\/g, '\\\\')
       .replace(/'/g, '\\' + String.fromCharCode(39))
       .replace(/\r?\n/g, '\\n');
 
-    const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    const serializeValue = (value, level = 0) => {
+      // Keep numbers, booleans and null, and convert other non-objects to quoted strings
+      if (value === null || (typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean') {
+        return String(value);
+      }
 
-    const serializeObject = (obj, level = 0) => {
-      if (!isPlainObject(obj)) {
-        // Convert non-objects to quoted strings
-        return `'${escapeString(String(obj))}'`;
+      if (!value || typeof value !== 'object') {
+        return `'${escapeString(String(value))}'`;
       }
 
       const indent = '  '.repeat(level + 1);
       const closing = '  '.repeat(level);
-      const lines = Object.entries(obj).map(([key, value]) => {
-        // Only use quotes for keys that contain spaces
-        const formattedKey = key.includes(' ') ? `'${key}'` : key;
-        const serializedValue = isPlainObject(value) ? serializeObject(value, level + 1) : `'${escapeString(String(value))}'`;
-        return `${indent}${formattedKey}: ${serializedValue},`;
+
+      if (Array.isArray(value)) {
+        const lines = value.map(item => `${indent}${serializeValue(item, level + 1)},`);
+        return lines.length ? `[\n${lines.join('\n')}\n${closing}]` : '[]';
+      }
+
+      const lines = Object.entries(value).map(([key, child]) => {
+        // Only use quotes for keys that are not identifiers
+        const formattedKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${escapeString(key)}'`;
+        return `${indent}${formattedKey}: ${serializeValue(child, level + 1)},`;
       });
-      return `{\n${lines.join('\n')}\n${closing}}`;
+      return lines.length ? `{\n${lines.join('\n')}\n${closing}}` : '{}';
     };
 
-    const body = serializeObject(translation, 0);
-
-    return `export default ${body};\n`;
+    return serializeValue(translation, 0);
   }
 
   /**
    * Parse JavaScript module content
+   * The module is parsed, not executed, and its export must be a static object literal
    * @param {string} content - File content
    * @param {string} fileName - File name for error reporting
    * @returns {Object} Parsed translation object
    * @protected
    */
   parseContent(content, fileName) {
-    const jsObject = this.#extractObjectFromModule(content, fileName);
-
-    return this.#evaluateJsObject(jsObject, fileName);
-  }
-
-  /**
-   * Extract JavaScript object from module export statement
-   * @param {string} content - File content
-   * @param {string} fileName - File name for error reporting
-   * @returns {string} JavaScript object as string
-   * @private
-   */
-  #extractObjectFromModule(content, fileName) {
-    // Try to match export default with object (most common pattern)
-    const patterns = [
-      /export\s+default\s+(\{[\s\S]*?\n\};?)/m,  // With newline before closing brace
-      /export\s+default\s+(\{[\s\S]*?\};?)/m,     // Without requiring newline
-    ];
-
-    // Try each pattern until we find a match
-    for (const pattern of patterns) {
-      const match = content.match(pattern);
-      if (match && match[1]) {
-        return match[1];
-      }
-    }
-
-    // If we get here, no patterns matched
-    throw new Error(`Could not find valid export default statement in ${fileName}`);
-  }
-
-  /**
-   * Safely evaluate a JavaScript object string
-   * @param {string} jsObjectStr - JavaScript object as string
-   * @param {string} fileName - File name for error reporting
-   * @returns {Object} Parsed object
-   * @private
-   */
-  #evaluateJsObject(jsObjectStr, fileName) {
-    try {
-      // Remove any trailing semicolons before evaluating
-      const cleanJsObject = jsObjectStr.replace(/;+\s*$/, '');
-
-      // This is generally not recommended, but in this controlled case it's acceptable
-      // We're only parsing translation files that we control
-      return eval(`(${cleanJsObject})`);
-    } catch (err) {
-      throw new Error(`Failed to parse JS content in ${fileName}: ${err.message}`);
-    }
+    return parseStaticModule(content, {
+      fileName,
+      typescript: /\.[cm]?ts$/.test(fileName),
+      exportName: this.#exportName,
+    });
   }
 }
@@ -0,0 +1,517 @@
+import BaseFormatHandler from './BaseFormatHandler.js';
+import { getGettextPluralForms } from '../utils/plurals.js';
+import path from 'path';
+
+/**
+ * Headers of new PO files and templates
+ */
+const DEFAULT_HEADERS = {
+  'Content-Type': 'text/plain; charset=UTF-8',
+  'Content-Transfer-Encoding': '8bit',
+};
+
+/**
+ * PoFormatHandler
+ * Handles reading and writing translation files in gettext PO format
+ *
+ * Sheet keys are msgids, prefixed with the msgctxt and the context separator when there is a context.
+ * Plural entries use one sheet key per form, suffixed with the form index (e.g. "%d file[0]", "%d file[1]"),
+ * and take their msgid_plural from the main language value of form 1. On pull, a key ending in an index is
+ * only a plural form when the existing entry is plural, or when the forms 0 and 1 of the entry are in the
+ * sheet, so that msgids such as "Step [2]" are kept as they are. Each language gets as many forms as
+ * its CLDR categories of whole numbers, in their order, and a Plural-Forms header for the languages whose
+ * plural expression is known.
+ * Extracted comments, translator comments as "# " lines and references as "#: " lines are kept in the sheet's
+ * comment column. Flags are not stored in the sheet: on pull they are taken from the existing file, along
+ * with its comments when the sheet has none, and so are the headers other than Plural-Forms. Fuzzy entries are pushed as empty cells, and a fuzzy
+ * translation of the existing file is kept, still flagged, as long as its cells are empty.
+ */
+export default class PoFormatHandler extends BaseFormatHandler {
+  #contextSeparator;
+  #domain;
+
+  /**
+   * Constructor
+   * @param {Object} [options] - Format options
+   * @param {string} [options.contextSeparator='::'] - Separator between msgctxt and msgid in sheet keys
+   * @param {string} [options.domain='messages'] - Text domain, used as the name of the POT template
+   */
+  constructor({ contextSeparator = '::', domain = 'messages' } = {}) {
+    super();
+    this.#contextSeparator = contextSeparator;
+    this.#domain = domain;
+  }
+
+  /**
+   * Get the file extension for PO format
+   * @returns {string} File extension (.po)
+   */
+  get extension() {
+    return '.po';
+  }
+
+  /**
+   * Whether dotted keys become nested objects in the files
+   * @returns {boolean} False, msgids are kept as they are
+   */
+  get nestsKeys() {
+    return false;
+  }
+
+  /**
+   * How the plural forms of a key are keyed in the sheet
+   * @returns {string} 'indexes', one key per form index (%d file[0], %d file[1])
+   */
+  get pluralForms() {
+    return 'indexes';
+  }
+
+  /**
+   * Whether the existing file is passed to fromSheets, to keep flags, comments and fuzzy translations
+   * @returns {boolean} True
+   */
+  get usesExistingFiles() {
+    return true;
+  }
+
+  /**
+   * Get the file extension of the template
+   * @returns {string} Template file extension (.pot)
+   */
+  get templateExtension() {
+    return '.pot';
+  }
+
+  /**
+   * Generate the template file path
+   * @param {string} dir - Directory path
+   * @param {string} [name] - Template name (default: the text domain)
+   * @returns {string} Complete template file path
+   */
+  generateTemplatePath(dir, name = this.#domain) {
+    return path.join(dir, `${name}${this.templateExtension}`);
+  }
+
+  /**
+   * Convert translation object to PO string format
+   * @param {Object} translation - Translation object with headers and entries
+   * @param {string} [langCode] - Language code, written to the Language header
+   * @returns {string} Formatted PO content as string
+   */
+  save(translation, langCode) {
+    // The headers of an existing file are kept in their order, the default ones are only added to new files
+    const headers = {
+      ...('Content-Type' in translation.headers ? {} : DEFAULT_HEADERS),
+      ...translation.headers,
+      ...(langCode ? { Language: langCode } : {}),
+    };
+
+    return this.#serialize(headers, translation.entries);
+  }
+
+  /**
+   * Generate the POT template from the main language
+   * @param {Object} translation - Translation object of the main language
+   * @returns {string} Formatted POT content as string
+   */
+  generateTemplate(translation) {
+    const entries = translation.entries.map(entry => ({
+      ...entry,
+      msgstr: entry.msgidPlural ? ['', ''] : [''],
+      comments: { ...entry.comments, flags: entry.comments.flags.filter(flag => flag !== 'fuzzy') },
+    }));
+
+    return this.#serialize(DEFAULT_HEADERS, entries);
+  }
+
+  /**
+   * Parse PO content
+   * @param {string} content - File content
+   * @param {string} fileName - File name for error reporting
+   * @returns {Object} Parsed translation object with headers and entries
+   * @protected
+   */
+  parseContent(content, fileName) {
+    const entries = [];
+    let entry = this.#createEntry();
+    let field = null;
+
+    const flush = () => {
+      if (entry.msgid !== null) {
+        entries.push(entry);
+      }
+      entry = this.#createEntry();
+      field = null;
+    };
+
+    const lines = content.split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index].trim();
+      const lineNumber = index + 1;
+
+      if (!line) {
+        flush();
+        continue;
+      }
+
+      // Obsolete entries are dropped
+      if (line.startsWith('#~')) {
+        continue;
+      }
+
+      if (line.startsWith('#')) {
+        // A comment after a complete entry starts the next one
+        if (entry.msgid !== null && field !== null) {
+          flush();
+        }
+
+        const [, marker = '', text = ''] = line.match(/^#([.:,|]?)\s?(.*)$/) || [];
+        const commentTypes = { '': 'translator', '.': 'extracted', ':': 'references', ',': 'flags' };
+        const type = commentTypes[marker];
+
+        if (type === 'flags') {
+          entry.comments.flags.push(...text.split(',').map(flag => flag.trim()).filter(Boolean));
+        } else if (type) {
+          entry.comments[type].push(text);
+        }
+        continue;
+      }
+
+      const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+(".*")$/);
+
+      if (keyword) {
+        const [, name, pluralIndex, quoted] = keyword;
+
+        // A new msgctxt or msgid after msgstr starts the next entry
+        if ((name === 'msgctxt' || name === 'msgid') && field?.startsWith('msgstr')) {
+          flush();
+        }
+
+        field = pluralIndex === undefined ? name : `msgstr[${pluralIndex}]`;
+        this.#appendField(entry, field, this.#unquote(quoted, fileName, lineNumber));
+        continue;
+      }
+
+      if (line.startsWith('"') && field) {
+        this.#appendField(entry, field, this.#unquote(line, fileName, lineNumber), true);
+        continue;
+      }
+
+      throw new Error(`Invalid PO syntax in ${fileName} at line ${lineNumber}: ${line}`);
+    }
+
+    flush();
+
+    const headerIndex = entries.findIndex(({ msgid, msgctxt }) => msgid === '' && msgctxt === null);
+    const headers = {};
+
+    if (headerIndex !== -1) {
+      const [header] = entries.splice(headerIndex, 1);
+
+      for (const headerLine of (header.msgstr[0] || '').split('\n')) {
+        const separatorIndex = headerLine.indexOf(':');
+
+        if (separatorIndex > 0) {
+          headers[headerLine.slice(0, separatorIndex).trim()] = headerLine.slice(separatorIndex + 1).trim();
+        }
+      }
+    }
+
+    return { headers, entries };
+  }
+
+  /**
+   * Convert data to Google Sheets format
+   * Fuzzy translations are not finished, so they become empty values
+   * @param {Object} translation - Translation object with headers and entries
+   * @returns {Object} Flat translations keyed by sheet key
+   */
+  toSheets(translation) {
+    const flatData = {};
+
+    for (const entry of translation.entries) {
+      const key = this.#entryKey(entry);
+      const isFuzzy = entry.comments.flags.includes('fuzzy');
+      const escape = (value) => (isFuzzy ? '' : (value ?? '').replace(/\r?\n/g, '\\n'));
+
+      if (entry.msgidPlural !== null) {
+        entry.msgstr.forEach((value, index) => {
+          flatData[`${key}[${index}]`] = escape(value);
+        });
+      } else {
+        flatData[key] = escape(entry.msgstr[0]);
+      }
+    }
+
+    return flatData;
+  }
+
+  /**
+   * Convert data from Google Sheets format
+   * @param {Object} flatData - Flat translations keyed by sheet key
+   * @param {Object} [context] - Sheet context
+   * @param {string} [context.langCode] - Language code, for the Plural-Forms header
+   * @param {Object} [context.source] - Flat translations of the main language, for msgid_plural
+   * @param {Object} [context.comments] - Comments by sheet key
+   * @param {Object} [context.existing] - Translation object of the existing file, whose headers, flags,
+   * fuzzy translations and comments are kept
+   * @returns {Object} Translation object with headers and entries
+   */
+  fromSheets(flatData, { langCode, source = {}, comments = {}, existing } = {}) {
+    const entries = new Map();
+    const unescape = (value) => String(value ?? '').replace(/\\n/g, '\n');
+    const existingEntries = new Map((existing?.entries || []).map(entry => [this.#entryKey(entry), entry]));
+    const hasComments = Object.keys(comments).length > 0;
+    const hasForm = (key, index) => `${key}[${index}]` in flatData || `${key}[${index}]` in source;
+
+    // A key ending in an index is a plural form of a plural entry, not a msgid such as "Step [2]"
+    const matchPluralForm = (sheetKey) => {
+      const match = sheetKey.match(/^([\s\S]*)\[(\d+)\]$/);
+
+      if (!match || existingEntries.has(sheetKey)) {
+        return null;
+      }
+
+      const previous = existingEntries.get(match[1]);
+
+      if (previous) {
+        return previous.msgidPlural !== null ? match : null;
+      }
+
+      return hasForm(match[1], 0) && hasForm(match[1], 1) ? match : null;
+    };
+
+    for (const [sheetKey, value] of Object.entries(flatData)) {
+      const pluralMatch = matchPluralForm(sheetKey);
+      const key = pluralMatch ? pluralMatch[1] : sheetKey;
+
+      if (!entries.has(key)) {
+        const separatorIndex = key.indexOf(this.#contextSeparator);
+        const entry = this.#createEntry();
+
+        if (separatorIndex !== -1) {
+          entry.msgctxt = key.slice(0, separatorIndex);
+          entry.msgid = key.slice(separatorIndex + this.#contextSeparator.length);
+        } else {
+          entry.msgid = key;
+        }
+
+        if (pluralMatch) {
+          entry.msgidPlural = unescape(source[`${key}[1]`]) || entry.msgid;
+        }
+
+        const comment = comments[pluralMatch ? `${key}[0]` : key] ?? comments[sheetKey];
+
+        if (comment) {
+          for (const line of comment.split(/\r?\n/)) {
+            if (line.startsWith('#: ')) {
+              entry.comments.references.push(line.slice(3));
+            } else if (line === '#' || line.startsWith('# ')) {
+              entry.comments.translator.push(line.slice(2));
+            } else {
+              entry.comments.extracted.push(line);
+            }
+          }
+        }
+
+        entries.set(key, entry);
+      }
+
+      entries.get(key).msgstr[pluralMatch ? Number(pluralMatch[2]) : 0] = unescape(value);
+    }
+
+    for (const [key, entry] of entries) {
+      // Fill gaps between plural forms
+      entry.msgstr = Array.from(entry.msgstr, value => value ?? '');
+
+      const previous = existingEntries.get(key);
+
+      if (!previous) {
+        continue;
+      }
+
+      // Keep the fuzzy translation while nobody has translated the entry in the sheet
+      const keepsFuzzy = previous.comments.flags.includes('fuzzy') && entry.msgstr.every(value => value === '');
+
+      if (keepsFuzzy) {
+        entry.msgstr = [...previous.msgstr];
+      }
+
+      if (entry.msgidPlural !== null && !source[`${key}[1]`] && previous.msgidPlural !== null) {
+        entry.msgidPlural = previous.msgidPlural;
+      }
+
+      if (!hasComments) {
+        entry.comments = { ...previous.comments };
+      }
+
+      entry.comments.flags = previous.comments.flags.filter(flag => flag !== 'fuzzy' || keepsFuzzy);
+    }
+
+    const pluralForms = langCode ? getGettextPluralForms(langCode) : null;
+    const headers = { ...existing?.headers, ...(pluralForms ? { 'Plural-Forms': pluralForms } : {}) };
+
+    return { headers, entries: [...entries.values()] };
+  }
+
+  /**
+   * Get the comments of the entries, for the sheet's comment column
+   * @param {Object} translation - Translation object with headers and entries
+   * @returns {Object} Comments by sheet key
+   */
+  getComments(translation) {
+    const comments = {};
+
+    for (const entry of translation.entries) {
+      const lines = [
+        ...entry.comments.extracted,
+        ...entry.comments.translator.map(text => `# ${text}`.trimEnd()),
+        ...entry.comments.references.map(reference => `#: ${reference}`),
+      ];
+
+      if (lines.length) {
+        const key = this.#entryKey(entry);
+        comments[entry.msgidPlural !== null ? `${key}[0]` : key] = lines.join('\n');
+      }
+    }
+
+    return comments;
+  }
+
+  /**
+   * Create an empty entry
+   * @returns {Object} Entry
+   * @private
+   */
+  #createEntry() {
+    return {
+      msgctxt: null,
+      msgid: null,
+      msgidPlural: null,
+      msgstr: [],
+      comments: {
+        translator: [],
+        extracted: [],
+        references: [],
+        flags: [],
+      },
+    };
+  }
+
+  /**
+   * Get the sheet key of an entry
+   * @param {Object} entry - Entry
+   * @returns {string} Sheet key
+   * @private
+   */
+  #entryKey({ msgctxt, msgid }) {
+    return msgctxt !== null ? `${msgctxt}${this.#contextSeparator}${msgid}` : msgid;
+  }
+
+  /**
+   * Append a string to a field of an entry
+   * @param {Object} entry - Entry
+   * @param {string} field - Field name (msgctxt, msgid, msgid_plural, msgstr or msgstr[n])
+   * @param {string} value - String to append
+   * @param {boolean} [continuation=false] - Whether the string continues the previous line
+   * @private
+   */
+  #appendField(entry, field, value, continuation = false) {
+    const msgstrMatch = field.match(/^msgstr(?:\[(\d+)\])?$/);
+
+    if (msgstrMatch) {
+      const index = Number(msgstrMatch[1] ?? 0);
+      entry.msgstr[index] = continuation ? `${entry.msgstr[index] ?? ''}${value}` : value;
+      return;
+    }
+
+    const property = { msgctxt: 'msgctxt', msgid: 'msgid', msgid_plural: 'msgidPlural' }[field];
+    entry[property] = continuation ? `${entry[property] ?? ''}${value}` : value;
+  }
+
+  /**
+   * Unquote and unescape a PO string
+   * @param {string} quoted - Quoted string
+   * @param {string} fileName - File name for error reporting
+   * @param {number} lineNumber - Line number for error reporting
+   * @returns {string} Unescaped string
+   * @private
+   */
+  #unquote(quoted, fileName, lineNumber) {
+    if (!/^".*"$/.test(quoted)) {
+      throw new Error(`Invalid PO string in ${fileName} at line ${lineNumber}: ${quoted}`);
+    }
+
+    const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+
+    return quoted.slice(1, -1).replace(/\\(.)/g, (match, char) => escapes[char] ?? char);
+  }
+
+  /**
+   * Quote and escape a string as PO lines
+   * @param {string} value - String value
+   * @returns {string} Quoted string, split into lines after each newline
+   * @private
+   */
+  #quote(value) {
+    const escape = (text) => text
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\t/g, '\\t')
+      .replace(/\r/g, '\\r')
+      .replace(/\n/g, '\\n');
+
+    const parts = value.split(/(?<=\n)/);
+
+    if (parts.length <= 1) {
+      return `"${escape(value)}"`;
+    }
+
+    return ['""', ...parts.map(part => `"${escape(part)}"`)].join('\n');
+  }
+
+  /**
+   * Serialize headers and entries as PO content
+   * @param {Object} headers - Header fields
+   * @param {Array<Object>} entries - Entries
+   * @returns {string} PO content
+   * @private
+   */
+  #serialize(headers, entries) {
+    const headerValue = Object.entries(headers)
+      .map(([name, value]) => `${name}: ${value}\n`)
+      .join('');
+
+    const blocks = [
+      `msgid ""\nmsgstr ${this.#quote(headerValue)}`,
+      ...entries.map((entry) => {
+        const lines = [
+          ...entry.comments.translator.map(text => `# ${text}`.trimEnd()),
+          ...entry.comments.extracted.map(text => `#. ${text}`.trimEnd()),
+          ...entry.comments.references.map(text => `#: ${text}`),
+          ...(entry.comments.flags.length ? [`#, ${entry.comments.flags.join(', ')}`] : []),
+        ];
+
+        if (entry.msgctxt !== null) {
+          lines.push(`msgctxt ${this.#quote(entry.msgctxt)}`);
+        }
+
+        lines.push(`msgid ${this.#quote(entry.msgid)}`);
+
+        if (entry.msgidPlural !== null) {
+          lines.push(`msgid_plural ${this.#quote(entry.msgidPlural)}`);
+          entry.msgstr.forEach((value, index) => {
+            lines.push(`msgstr[${index}] ${this.#quote(value ?? '')}`);
+          });
+        } else {
+          lines.push(`msgstr ${this.#quote(entry.msgstr[0] ?? '')}`);
+        }
+
+        return lines.join('\n');
+      }),
+    ];
+
+    return `${blocks.join('\n\n')}\n`;
+  }
+}
@@ -0,0 +1,155 @@
+import JsFormatHandler from './JsFormatHandler.js';
+import path from 'path';
+import { PLURAL_CATEGORIES } from '../utils/plurals.js';
+
+/**
+ * TsFormatHandler
+ * Handles reading and writing translation files as TypeScript modules (<lang>.ts)
+ *
+ * Each module is checked with "satisfies Messages", where Messages is generated from the main language
+ * into a declaration file (keys.d.ts), so that misspelled and missing keys fail to compile.
+ */
+export default class TsFormatHandler extends JsFormatHandler {
+  #typesName;
+  #asConst;
+
+  /**
+   * Constructor
+   * @param {Object} [options] - Format options
+   * @param {string} [options.extension='.ts'] - File extension ('.ts' or '.mts')
+   * @param {string} [options.exportName] - Named export to read (default: the default export, or the only exported const)
+   * @param {string} [options.typesName='keys'] - Name of the generated declaration file, without .d.ts
+   * @param {boolean} [options.asConst=false] - Also write "as const", for literal types of the values
+   * @param {string|false} [options.keySeparator='.'] - Separator of nested keys in the sheet and in MessageKey, or false to keep keys flat
+   * @param {string} [options.plurals] - Plural representation, 'i18next' or 'icu' (see BaseFormatHandler)
+   */
+  constructor({ extension = '.ts', exportName, typesName = 'keys', asConst = false, ...options } = {}) {
+    super({ extension, exportName, ...options });
+    this.#typesName = typesName;
+    this.#asConst = asConst;
+  }
+
+  /**
+   * Get the extension of the generated declaration file
+   * @returns {string} Declaration file extension
+   */
+  get templateExtension() {
+    return this.extension === '.mts' ? '.d.mts' : '.d.ts';
+  }
+
+  /**
+   * Generate the path of the declaration file
+   * @param {string} dir - Directory path
+   * @param {string} [name] - Declaration file name (default: typesName)
+   * @returns {string} Complete declaration file path
+   */
+  generateTemplatePath(dir, name = this.#typesName) {
+    return path.join(dir, `${name}${this.templateExtension}`);
+  }
+
+  /**
+   * List the language files in a directory, leaving out declaration files
+   * @param {string} dir - Directory path
+   * @returns {Array<{langCode: string, filePath: string}>} Language codes and file paths
+   */
+  listLanguageFiles(dir) {
+    return super.listLanguageFiles(dir)
+      .filter(({ filePath }) => !filePath.endsWith(this.templateExtension));
+  }
+
+  /**
+   * Convert translation object to a TypeScript module
+   * @param {Object} translation - Translation object
+   * @param {string} [langCode] - Language code of the translation
+   * @param {Object} [location] - Location of the files
+   * @param {string} [location.filePath] - Path of the module
+   * @param {string} [location.templatePath] - Path of the declaration file
+   * @returns {string} Formatted TypeScript module content as string
+   */
+  save(translation, langCode, { filePath, templatePath } = {}) {
+    const assertion = this.#asConst ? ' as const satisfies Messages' : ' satisfies Messages';
+    let importPath = `./${this.#typesName}`;
+
+    if (filePath && templatePath) {
+      const relativePath = path.relative(path.dirname(filePath), templatePath)
+        .split(path.sep).join('/')
+        .slice(0, -this.templateExtension.length);
+
+      importPath = relativePath.startsWith('.') ? relativePath : `./${relativePath}`;
+    }
+
+    return `import type { Messages } from '${importPath}${this.extension === '.mts' ? '.mjs' : ''}';\n\nexport default ${this.serialize(translation)}${assertion};\n`;
+  }
+
+  /**
+   * Generate the declaration file with the Messages type and MessageKey union of the main language
+   * @param {Object} translation - Translation object of the main language
+   * @returns {string} Declaration file content
+   */
+  generateTemplate(translation) {
+    const keys = [];
+
+    const typeOf = (value, level, prefix) => {
+      if (Array.isArray(value)) {
+        const types = [...new Set(value.map(item => typeOf(item, level, null)))];
+        return types.length ? `readonly (${types.join(' | ')})[]` : 'readonly string[]';
+      }
+
+      if (value && typeof value === 'object') {
+        const indent = '  '.repeat(level + 1);
+        const keyOf = key => (prefix === null ? null : (prefix ? `${prefix}${this.keySeparator ?? '.'}${key}` : key));
+        const lines = Object.entries(value).map(([key, child]) => `${indent}${this.#formatKey(key)}: ${typeOf(child, level + 1, keyOf(key))};`);
+
+        // Other languages may have plural forms that the main language doesn't, and t() takes the key without suffix
+        if (this.pluralStyle === 'i18next') {
+          for (const pluralKey of Object.keys(value).filter(key => key.endsWith('_other'))) {
+            const base = pluralKey.slice(0, -'_other'.length);
+
+            PLURAL_CATEGORIES
+              .filter(category => !(`${base}_${category}` in value))
+              .forEach(category => lines.push(`${indent}${this.#formatKey(`${base}_${category}`)}?: string;`));
+
+            if (prefix !== null && !(base in value)) {
+              keys.push(keyOf(base));
+            }
+          }
+        }
+
+        return lines.length ? `{\n${lines.join('\n')}\n${'  '.repeat(level)}}` : 'Record<string, never>';
+      }
+
+      if (prefix !== null) {
+        keys.push(prefix);
+      }
+
+      if (value === null) {
+        return 'null';
+      }
+
+      return ['number', 'boolean'].includes(typeof value) ? typeof value : 'string';
+    };
+
+    const messagesType = typeOf(translation, 0, '');
+    const keyType = keys.length
+      ? keys.map(key => `\n  | '${key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`).join('')
+      : ' never';
+
+    return [
+      '// Generated from the main language by i18n-syncer, do not edit',
+      `export type Messages = ${messagesType};`,
+      '',
+      `export type MessageKey =${keyType};`,
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * Format an object key for a type, quoting keys that are not identifiers
+   * @param {string} key - Object key
+   * @returns {string} Formatted key
+   * @private
+   */
+  #formatKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+  }
+}
@@ -0,0 +1,344 @@
+import { escapeXml, parseAttributes, unescapeXml } from '../utils/xml.js';
+import BaseFormatHandler from './BaseFormatHandler.js';
+
+/**
+ * Supported XLIFF versions
+ */
+const VERSIONS = ['1.2', '2.0'];
+
+/**
+ * Translation states, from XLIFF 1.2 and 2.0 state names to the states used by this handler
+ */
+const STATES_FROM_XLIFF = {
+  'new': 'new',
+  'needs-translation': 'new',
+  'initial': 'new',
+  'translated': 'translated',
+  'needs-adaptation': 'translated',
+  'needs-l10n': 'translated',
+  'needs-review-translation': 'translated',
+  'needs-review-adaptation': 'translated',
+  'needs-review-l10n': 'translated',
+  'signed-off': 'reviewed',
+  'reviewed': 'reviewed',
+  'final': 'final',
+};
+
+/**
+ * States used by this handler, to XLIFF 1.2 and 2.0 state names
+ */
+const STATES_TO_XLIFF = {
+  '1.2': { new: 'new', translated: 'translated', reviewed: 'signed-off', final: 'final' },
+  '2.0': { new: 'initial', translated: 'translated', reviewed: 'reviewed', final: 'final' },
+};
+
+/**
+ * Inline elements of XLIFF 1.2 and 2.0, which are kept as they are in values
+ */
+const INLINE_TAGS = 'bpt|bx|ec|em|ept|ex|g|it|mrk|pc|ph|sc|sm|sub|x';
+const INLINE_PATTERN = new RegExp(`(<\\/?(?:${INLINE_TAGS})(?:\\s[^<>]*)?\\/?>)`);
+
+/**
+ * XliffFormatHandler
+ * Handles reading and writing translation files in XLIFF 1.2 or 2.0 format (<lang>.xlf)
+ *
+ * Each sheet key becomes a unit whose source is the main language value and whose target is the
+ * value of the file's language. Notes are kept in the sheet's comment column. States are new for empty
+ * targets and translated otherwise, and a reviewed or final state of the existing file is kept as long
+ * as its target doesn't change.
+ */
+export default class XliffFormatHandler extends BaseFormatHandler {
+  #version;
+  #original;
+
+  /**
+   * Constructor
+   * @param {Object} [options] - Format options
+   * @param {string} [options.version='1.2'] - XLIFF version to write ('1.2' or '2.0')
+   * @param {string} [options.original='messages'] - Name of the translated file (original or file id)
+   */
+  constructor({ version = '1.2', original = 'messages' } = {}) {
+    super();
+
+    if (!VERSIONS.includes(String(version))) {
+      throw new Error(`Invalid XLIFF version "${version}", expected one of: ${VERSIONS.join(', ')}`);
+    }
+
+    this.#version = String(version);
+    this.#original = original;
+  }
+
+  /**
+   * Get the file extension for XLIFF format
+   * @returns {string} File extension (.xlf)
+   */
+  get extension() {
+    return '.xlf';
+  }
+
+  /**
+   * Whether dotted keys become nested objects in the files
+   * @returns {boolean} False, unit ids are kept as they are
+   */
+  get nestsKeys() {
+    return false;
+  }
+
+  /**
+   * Whether the existing file is passed to fromSheets, to keep the states of unchanged units
+   * @returns {boolean} True
+   */
+  get usesExistingFiles() {
+    return true;
+  }
+
+  /**
+   * Convert translation object to XLIFF string format
+   * @param {Object} translation - Translation object with sourceLanguage and units
+   * @param {string} [langCode] - Language code of the targets
+   * @returns {string} Formatted XLIFF content as string
+   */
+  save(translation, langCode) {
+    const attr = (value) => escapeXml(value, { quotes: true });
+    const targetLanguage = langCode || translation.targetLanguage;
+    const states = STATES_TO_XLIFF[this.#version];
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+    if (this.#version === '1.2') {
+      lines.push(
+        '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+        `  <file source-language="${attr(translation.sourceLanguage)}" target-language="${attr(targetLanguage)}" datatype="plaintext" original="${attr(this.#original)}">`,
+        '    <body>',
+      );
+
+      for (const unit of translation.units) {
+        lines.push(
+          `      <trans-unit id="${attr(unit.key)}" resname="${attr(unit.key)}">`,
+          `        <source>${this.#escapeValue(unit.source)}</source>`,
+          `        <target state="${states[unit.state]}">${this.#escapeValue(unit.target)}</target>`,
+          ...unit.notes.map(note => `        <note>${escapeXml(note)}</note>`),
+          '      </trans-unit>',
+        );
+      }
+
+      lines.push('    </body>', '  </file>', '</xliff>');
+    } else {
+      lines.push(
+        `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${attr(translation.sourceLanguage)}" trgLang="${attr(targetLanguage)}">`,
+        `  <file id="${attr(this.#original)}">`,
+      );
+
+      translation.units.forEach((unit, index) => {
+        // Unit ids must be NMTOKENs, so other keys are kept in the name attribute
+        const id = /^[\w.:-]+$/.test(unit.key) ? unit.key : `u${index + 1}`;
+
+        lines.push(`    <unit id="${attr(id)}" name="${attr(unit.key)}">`);
+
+        if (unit.notes.length) {
+          lines.push(
+            '      <notes>',
+            ...unit.notes.map(note => `        <note>${escapeXml(note)}</note>`),
+            '      </notes>',
+          );
+        }
+
+        lines.push(
+          `      <segment state="${states[unit.state]}">`,
+          `        <source>${this.#escapeValue(unit.source)}</source>`,
+          `        <target>${this.#escapeValue(unit.target)}</target>`,
+          '      </segment>',
+          '    </unit>',
+        );
+      });
+
+      lines.push('  </file>', '</xliff>');
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Parse XLIFF content
+   * @param {string} content - File content
+   * @param {string} fileName - File name for error reporting
+   * @returns {Object} Parsed translation object with sourceLanguage, targetLanguage and units
+   * @protected
+   */
+  parseContent(content, fileName) {
+    const root = content.match(/<xliff\b([^>]*)>/);
+
+    if (!root) {
+      throw new Error(`Invalid XLIFF in ${fileName}: <xliff> element not found`);
+    }
+
+    const rootAttributes = parseAttributes(root[1]);
+
+    if (!VERSIONS.includes(rootAttributes.version)) {
+      throw new Error(`Unsupported XLIFF version "${rootAttributes.version}" in ${fileName}, expected one of: ${VERSIONS.join(', ')}`);
+    }
+
+    return rootAttributes.version === '1.2'
+      ? this.#parseVersion12(content)
+      : this.#parseVersion20(content, rootAttributes);
+  }
+
+  /**
+   * Convert data to Google Sheets format
+   * @param {Object} translation - Translation object with units
+   * @returns {Object} Flat target values keyed by sheet key
+   */
+  toSheets(translation) {
+    return Object.fromEntries(
+      translation.units.map(({ key, target }) => [key, target.replace(/\r?\n/g, '\\n')]),
+    );
+  }
+
+  /**
+   * Convert data from Google Sheets format
+   * @param {Object} flatData - Flat translations keyed by sheet key
+   * @param {Object} [context] - Sheet context
+   * @param {string} [context.mainLanguage] - Main language, the source language
+   * @param {Object} [context.source] - Flat translations of the main language
+   * @param {Object} [context.comments] - Comments by sheet key, written as notes
+   * @param {Object} [context.existing] - Translation object of the existing file, whose states are kept
+   * @returns {Object} Translation object with sourceLanguage and units
+   */
+  fromSheets(flatData, { mainLanguage = 'en', source = {}, comments = {}, existing } = {}) {
+    const unescape = (value) => String(value ?? '').replace(/\\n/g, '\n');
+    const existingUnits = new Map((existing?.units || []).map(unit => [unit.key, unit]));
+
+    const units = Object.entries(flatData).map(([key, value]) => {
+      const target = unescape(value);
+      const previous = existingUnits.get(key);
+      let state = target ? 'translated' : 'new';
+
+      if (target && previous?.target === target && ['reviewed', 'final'].includes(previous.state)) {
+        state = previous.state;
+      }
+
+      return {
+        key,
+        source: unescape(source[key] ?? value),
+        target,
+        state,
+        notes: comments[key] ? comments[key].split(/\r?\n/) : [],
+      };
+    });
+
+    return { sourceLanguage: mainLanguage, units };
+  }
+
+  /**
+   * Get the notes of the units, for the sheet's comment column
+   * @param {Object} translation - Translation object with units
+   * @returns {Object} Notes by sheet key
+   */
+  getComments(translation) {
+    return Object.fromEntries(
+      translation.units
+        .filter(({ notes }) => notes.length)
+        .map(({ key, notes }) => [key, notes.join('\n')]),
+    );
+  }
+
+  /**
+   * Parse the units of an XLIFF 1.2 document
+   * @param {string} content - File content
+   * @returns {Object} Parsed translation object
+   * @private
+   */
+  #parseVersion12(content) {
+    const file = parseAttributes(content.match(/<file\b([^>]*)>/)?.[1]);
+    const units = [];
+
+    for (const [, attributeSource, inner] of content.matchAll(/<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit\s*>/g)) {
+      const { id, resname } = parseAttributes(attributeSource);
+      const target = inner.match(/<target\b([^>]*)>([\s\S]*?)<\/target\s*>/);
+      const state = parseAttributes(target?.[1]).state;
+
+      units.push({
+        key: resname ?? id,
+        source: this.#unescapeValue(inner.match(/<source\b[^>]*>([\s\S]*?)<\/source\s*>/)?.[1]),
+        target: this.#unescapeValue(target?.[2]),
+        state: STATES_FROM_XLIFF[state] || (target?.[2] ? 'translated' : 'new'),
+        notes: [...inner.matchAll(/<note\b[^>]*>([\s\S]*?)<\/note\s*>/g)].map(([, note]) => unescapeXml(note)),
+      });
+    }
+
+    return {
+      sourceLanguage: file['source-language'],
+      targetLanguage: file['target-language'],
+      units,
+    };
+  }
+
+  /**
+   * Parse the units of an XLIFF 2.0 document
+   * Units with several segments are joined into one value
+   * @param {string} content - File content
+   * @param {Object} rootAttributes - Attributes of the xliff element
+   * @returns {Object} Parsed translation object
+   * @private
+   */
+  #parseVersion20(content, rootAttributes) {
+    const units = [];
+
+    for (const [, attributeSource, inner] of content.matchAll(/<unit\b([^>]*)>([\s\S]*?)<\/unit\s*>/g)) {
+      const { id, name } = parseAttributes(attributeSource);
+      const segments = [...inner.matchAll(/<(segment|ignorable)\b([^>]*)>([\s\S]*?)<\/\1\s*>/g)];
+      const states = segments.map(([, , segmentAttributes]) => parseAttributes(segmentAttributes).state);
+      const source = segments.map(([, , , segment]) => this.#unescapeValue(segment.match(/<source\b[^>]*>([\s\S]*?)<\/source\s*>/)?.[1])).join('');
+      const target = segments.map(([, , , segment]) => this.#unescapeValue(segment.match(/<target\b[^>]*>([\s\S]*?)<\/target\s*>/)?.[1])).join('');
+
+      // The unit is as far as its least advanced segment
+      const order = ['new', 'translated', 'reviewed', 'final'];
+      const state = states
+        .map(segmentState => STATES_FROM_XLIFF[segmentState] || (target ? 'translated' : 'new'))
+        .reduce((lowest, segmentState) => (order.indexOf(segmentState) < order.indexOf(lowest) ? segmentState : lowest), 'final');
+
+      units.push({
+        key: name ?? id,
+        source,
+        target,
+        state: segments.length ? state : 'new',
+        notes: [...inner.matchAll(/<note\b[^>]*>([\s\S]*?)<\/note\s*>/g)].map(([, note]) => unescapeXml(note)),
+      });
+    }
+
+    return {
+      sourceLanguage: rootAttributes.srcLang,
+      targetLanguage: rootAttributes.trgLang,
+      units,
+    };
+  }
+
+  /**
+   * Escape a value for a source or target element, keeping inline elements
+   * @param {string} value - String value
+   * @returns {string} Escaped element content
+   * @private
+   */
+  #escapeValue(value) {
+    return String(value ?? '')
+      .split(INLINE_PATTERN)
+      .map((part, index) => (index % 2 === 1 ? part : escapeXml(part)))
+      .join('');
+  }
+
+  /**
+   * Unescape the content of a source or target element, keeping inline elements
+   * CDATA sections are text, so they are unwrapped without decoding their content.
+   * @param {string} [text=''] - Element content
+   * @returns {string} String value
+   * @private
+   */
+  #unescapeValue(text = '') {
+    return text
+      .split(/<!\[CDATA\[([\s\S]*?)\]\]>/)
+      .map((section, sectionIndex) => (sectionIndex % 2 === 1 ? section : section
+        .split(INLINE_PATTERN)
+        .map((part, index) => (index % 2 === 1 ? part : unescapeXml(part)))
+        .join('')))
+      .join('');
+  }
+}
@@ -0,0 +1,113 @@
+import BaseFormatHandler from './BaseFormatHandler.js';
+import path from 'path';
+import { dump, load } from 'js-yaml';
+
+/**
+ * YamlFormatHandler
+ * Handles reading and writing translation files in YAML format, optionally rooted under
+ * the language code (as used by Rails and Symfony)
+ */
+export default class YamlFormatHandler extends BaseFormatHandler {
+  #extension;
+  #languageRoot;
+
+  /**
+   * Constructor
+   * @param {Object} [options] - Format options
+   * @param {string} [options.extension='.yml'] - File extension ('.yml' or '.yaml')
+   * @param {boolean} [options.languageRoot=false] - Nest translations under the language code when saving
+   * @param {string|false} [options.keySeparator='.'] - Separator of nested keys in the sheet, or false to keep keys flat
+   * @param {string} [options.plurals] - Plural representation, 'i18next' or 'icu' (see BaseFormatHandler)
+   */
+  constructor({ extension = '.yml', languageRoot = false, ...options } = {}) {
+    super(options);
+    this.#extension = extension;
+    this.#languageRoot = languageRoot;
+  }
+
+  /**
+   * Get the file extension for YAML format
+   * @returns {string} File extension (.yml by default)
+   */
+  get extension() {
+    return this.#extension;
+  }
+
+  /**
+   * Convert translation object to YAML string format
+   * @param {Object} translation - Translation object
+   * @param {string} [langCode] - Language code, used as the root key when languageRoot is enabled
+   * @returns {string} Formatted YAML content as string
+   */
+  save(translation, langCode) {
+    const document = this.#languageRoot && langCode ? { [langCode]: translation } : translation;
+
+    return dump(document, {
+      lineWidth: -1,
+      noRefs: true,
+      quotingType: '"',
+    });
+  }
+
+  /**
+   * Parse YAML content
+   * A document whose only top-level key is the language code is unwrapped
+   * @param {string} content - File content
+   * @param {string} fileName - File name for error reporting
+   * @returns {Object} Parsed translation object
+   * @protected
+   */
+  parseContent(content, fileName) {
+    let document;
+
+    try {
+      document = load(content) ?? {};
+    } catch (err) {
+      throw new Error(`Invalid YAML in ${fileName}: ${err.message}`);
+    }
+
+    if (typeof document !== 'object' || Array.isArray(document)) {
+      throw new Error(`Invalid YAML in ${fileName}: expected a mapping at the top level`);
+    }
+
+    const langCode = path.basename(fileName, this.extension);
+    const keys = Object.keys(document);
+
+    if (keys.length === 1 && keys[0] === langCode && typeof document[langCode] === 'object') {
+      return document[langCode] ?? {};
+    }
+
+    return document;
+  }
+
+  /**
+   * Convert data to Google Sheets format
+   * Real newlines of block scalars become escaped \n sequences, as used in the sheet data
+   * @param {Object} translation - Translation object
+   * @returns {Object} Flattened translation object
+   */
+  toSheets(translation) {
+    return Object.fromEntries(
+      Object.entries(super.toSheets(translation)).map(([key, value]) => [
+        key,
+        typeof value === 'string' ? value.replace(/\r?\n/g, '\\n') : value,
+      ]),
+    );
+  }
+
+  /**
+   * Convert data from Google Sheets format
+   * Escaped \n sequences become real newlines, so that multi-line strings are written as block scalars
+   * @param {Object} flatData - Flattened translation data
+   * @param {Object} [context] - Sheet context (see BaseFormatHandler.fromSheets)
+   * @returns {Object} Nested translation object
+   */
+  fromSheets(flatData, context) {
+    return super.fromSheets(Object.fromEntries(
+      Object.entries(flatData).map(([key, value]) => [
+        key,
+        typeof value === 'string' ? value.replace(/\\n/g, '\n') : value,
+      ]),
+    ), context);
+  }
+}
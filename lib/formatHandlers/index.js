@@ -1,5 +1,11 @@
+import AndroidFormatHandler from './AndroidFormatHandler.js';
+import AppleStringsFormatHandler from './AppleStringsFormatHandler.js';
 import JsonFormatHandler from './JsonFormatHandler.js';
 import JsFormatHandler from './JsFormatHandler.js';
+import PoFormatHandler from './PoFormatHandler.js';
+import TsFormatHandler from './TsFormatHandler.js';
+import XliffFormatHandler from './XliffFormatHandler.js';
+import YamlFormatHandler from './YamlFormatHandler.js';
 
 /**
  * @import BaseFormatHandler from './BaseFormatHandler.js';
@@ -7,31 +13,47 @@ import JsFormatHandler from './JsFormatHandler.js';
 
 // Export all format handlers
 export {
+  AndroidFormatHandler,
+  AppleStringsFormatHandler,
   JsonFormatHandler,
   JsFormatHandler,
+  PoFormatHandler,
+  TsFormatHandler,
+  XliffFormatHandler,
+  YamlFormatHandler,
 };
 
 // Map of format name to handler class
 const formatHandlers = {
   json: JsonFormatHandler,
   js: JsFormatHandler,
+  ts: TsFormatHandler,
+  yaml: YamlFormatHandler,
+  yml: YamlFormatHandler,
+  po: PoFormatHandler,
+  android: AndroidFormatHandler,
+  apple: AppleStringsFormatHandler,
+  ios: AppleStringsFormatHandler,
+  xliff: XliffFormatHandler,
+  xlf: XliffFormatHandler,
 };
 
 /**
  * Get a format handler instance by format name
- * @param {string} format - Format name (e.g., 'json', 'js')
+ * @param {string} format - Format name (e.g., 'json', 'js', 'ts', 'yaml', 'po', 'android', 'apple', 'xliff')
+ * @param {Object} [options={}] - Format options passed to the handler (e.g. languageRoot for YAML)
  * @returns {BaseFormatHandler} Format handler instance
  */
-export function getFormatHandler(format = 'json') {
+export function getFormatHandler(format = 'json', options = {}) {
   const formatLower = format.toLowerCase();
   const HandlerClass = formatHandlers[formatLower];
 
   if (!HandlerClass) {
     console.warn(`Invalid format "${format}", using "json" as default`);
-    return new formatHandlers.json();
+    return new formatHandlers.json(options);
   }
 
-  return new HandlerClass();
+  return new HandlerClass(options);
 }
 
 export default {
@@ -6,3 +6,23 @@
 export { I18nSyncer } from './I18nSyncer.js';
 export { default as GoogleSheetsClient } from './GoogleSheetsClient.js';
 export * from './formatHandlers/index.js';
+export { findConfigFile, loadConfig, resolveTarget, CONFIG_FILES } from './config.js';
+export { mergeTranslations, CONFLICT_STRATEGIES } from './utils/merge.js';
+export { diffTranslations, summarizeDiff, countChangedCells, formatDiff } from './utils/diff.js';
+export { parseIcuMessage, extractPlaceholders, comparePlaceholders, PLACEHOLDER_STYLES, VALIDATION_MODES } from './utils/placeholders.js';
+export { checkTranslations, summarizeIssues, formatIssues, formatJUnitReport, CHECKS } from './utils/check.js';
+export { parseKey, formatKey, typeMarker, hasSurroundingWhitespace, findKeyConflicts, TYPE_ANNOTATIONS } from './utils/keys.js';
+export {
+  getPluralCategories,
+  getGettextPluralForms,
+  checkPluralForms,
+  selectPluralForms,
+  keepUnusedPluralForms,
+  splitPluralForms,
+  joinPluralForms,
+  PLURAL_CATEGORIES,
+  GENDER_FORMS,
+  PLURAL_STYLES,
+} from './utils/plurals.js';
+export { applyMissingPolicy, removeFilledValues, resolveFallbackChain, MISSING_POLICIES, DEFAULT_MISSING_MARKER } from './utils/missing.js';
+export { scanSourceFiles, findKeyReferences, compareKeyUsage, formatScanResult, DEFAULT_SCAN_FUNCTIONS, DEFAULT_SCAN_INCLUDE } from './utils/scan.js';
@@ -0,0 +1,225 @@
+import { comparePlaceholders, extractPlaceholders } from './placeholders.js';
+import { escapeXml } from './xml.js';
+import { findKeyConflicts, hasSurroundingWhitespace, parseKey } from './keys.js';
+import { checkPluralForms, findPluralGroups, findSourceValue, parsePluralKey } from './plurals.js';
+
+/**
+ * Translation checks
+ * Finds incomplete and inconsistent translations, and formats the problems as text or JUnit XML
+ */
+
+/**
+ * Checks and the severity of their problems
+ */
+export const CHECKS = {
+  'missing-language': 'error',
+  'unreadable-file': 'error',
+  'missing-key': 'error',
+  'extra-key': 'warning',
+  'empty-value': 'error',
+  'plural-form': 'error',
+  'duplicate-key': 'error',
+  'key-conflict': 'error',
+  'key-whitespace': 'error',
+  'placeholder': 'error',
+};
+
+/**
+ * Create a problem found by a check
+ * @param {string} check - Name of the check
+ * @param {Object} details - Where the problem is
+ * @param {string} details.origin - 'files' or 'sheet'
+ * @param {string|null} [details.language] - Language code
+ * @param {string|null} [details.key] - Translation key
+ * @param {string|null} [details.location] - File path or cell reference
+ * @param {string} message - Description of the problem
+ * @returns {Object} Problem with its check, severity, origin, language, key, location and message
+ */
+export function createIssue(check, { origin, language = null, key = null, location = null }, message) {
+  return { check, severity: CHECKS[check], origin, language, key, location, message };
+}
+
+/**
+ * Check flat translations against the main language
+ * Reports keys missing from or not in the main language, empty values, placeholders that don't match the
+ * main language and, for formats with nested keys, keys that are also the parent of other keys and keys
+ * with whitespace around their parts. Plural forms are checked against the plural categories of each
+ * language instead of the forms of the main language.
+ * @param {Object} flatByLang - Flat translations by language code
+ * @param {Object} options - Check options
+ * @param {string} options.origin - Where the translations come from ('files' or 'sheet')
+ * @param {string} [options.mainLanguage='en'] - Main language
+ * @param {Array<string>} [options.placeholders] - Placeholder styles (see extractPlaceholders)
+ * @param {string|null} [options.keySeparator='.'] - Separator of nested keys, or null if keys are not nested
+ * @param {string|null} [options.pluralForms=null] - How plural forms are keyed ('categories' or 'indexes'),
+ * or null if keys have no plural forms
+ * @param {Function} [options.locate] - Returns the location (file path or cell reference) of a language and key
+ * @returns {Array<Object>} Problems
+ */
+export function checkTranslations(flatByLang, {
+  origin,
+  mainLanguage = 'en',
+  placeholders,
+  keySeparator = '.',
+  pluralForms = null,
+  locate = () => null,
+}) {
+  const issues = [];
+  const add = (check, language, key, message, location = locate(language, key)) => {
+    issues.push(createIssue(check, { origin, language, key, location }, message));
+  };
+
+  const source = flatByLang[mainLanguage];
+
+  if (!source) {
+    add('missing-language', mainLanguage, null, `Main language ${mainLanguage} not found`);
+  }
+
+  // Plural forms of the main language are compared by plural, as languages have different forms
+  const sourcePlurals = pluralForms && source ? findPluralGroups(Object.keys(source), pluralForms) : new Map();
+  const isSourcePluralForm = key => sourcePlurals.has(parsePluralKey(key, pluralForms)?.base);
+
+  for (const [language, data] of Object.entries(flatByLang)) {
+    const plurals = pluralForms ? findPluralGroups(Object.keys(data), pluralForms) : new Map();
+
+    if (source && language !== mainLanguage) {
+      Object.keys(source)
+        .filter(key => !(key in data) && !isSourcePluralForm(key))
+        .forEach(key => add('missing-key', language, key, `Missing in ${language}`));
+
+      Object.keys(data)
+        .filter(key => !(key in source) && !isSourcePluralForm(key))
+        .forEach(key => add('extra-key', language, key, `Not in ${mainLanguage}`));
+    }
+
+    if (pluralForms) {
+      const bases = new Set([...sourcePlurals.keys(), ...plurals.keys()]);
+      const { required, missing, unused } = checkPluralForms(data, language, pluralForms, bases);
+
+      missing.forEach(({ key, form }) => add('plural-form', language, key, `Missing plural form ${form} (${language} uses ${required.join(', ')})`));
+      unused.forEach(({ key, form }) => add('extra-key', language, key, `Plural form ${form} is not used in ${language}`));
+    }
+
+    for (const [key, value] of Object.entries(data)) {
+      // Nulls, empty arrays and empty objects are empty on purpose, and plural forms are checked above
+      if (value === '' && !['null', 'array', 'object'].includes(parseKey(key, keySeparator).type)) {
+        if (!plurals.has(parsePluralKey(key, pluralForms)?.base)) {
+          add('empty-value', language, key, `Empty value in ${language}`);
+        }
+
+        continue;
+      }
+
+      const sourceValue = source ? findSourceValue(source, key, pluralForms) : undefined;
+      const problems = language === mainLanguage || !sourceValue
+        ? [extractPlaceholders(value, placeholders).error].filter(Boolean)
+        : comparePlaceholders(sourceValue, value, { styles: placeholders, sourceLanguage: mainLanguage });
+
+      problems.forEach(message => add('placeholder', language, key, message));
+    }
+  }
+
+  if (keySeparator) {
+    const keys = [...new Set(Object.values(flatByLang).flatMap(data => Object.keys(data)))];
+
+    // Key problems are not about values, so they are located at the first language with the key
+    const locateKey = key => locate(Object.keys(flatByLang).find(code => key in flatByLang[code]), key);
+
+    for (const { key, conflictsWith } of findKeyConflicts(keys, keySeparator)) {
+      add('key-conflict', null, key, `Conflicts with key ${conflictsWith}`, locateKey(key));
+    }
+
+    keys
+      .filter(key => hasSurroundingWhitespace(key, keySeparator))
+      .forEach(key => add('key-whitespace', null, key, 'Leading or trailing whitespace in key', locateKey(key)));
+  }
+
+  return issues;
+}
+
+/**
+ * Count the problems of a check by severity and check
+ * @param {Array<Object>} issues - Problems
+ * @returns {{errors: number, warnings: number, checks: Object}} Number of errors and warnings, and
+ * number of problems by check
+ */
+export function summarizeIssues(issues) {
+  return issues.reduce((summary, { check, severity }) => ({
+    errors: summary.errors + (severity === 'error' ? 1 : 0),
+    warnings: summary.warnings + (severity === 'warning' ? 1 : 0),
+    checks: { ...summary.checks, [check]: (summary.checks[check] || 0) + 1 },
+  }), { errors: 0, warnings: 0, checks: {} });
+}
+
+/**
+ * Format the problems of a check as human-readable text
+ * @param {Array<Object>} issues - Problems
+ * @returns {string} Formatted problems, one per line, and a total
+ */
+export function formatIssues(issues) {
+  const lines = issues.map(({ check, severity, language, key, location, message }) => {
+    const subject = [language, key].filter(Boolean).join(' ');
+    return `${location ? `${location}: ` : ''}${severity} [${check}] ${subject ? `${subject}: ` : ''}${message}`;
+  });
+
+  const { errors, warnings } = summarizeIssues(issues);
+
+  lines.push(errors || warnings ? `${errors} errors, ${warnings} warnings` : 'No problems found');
+
+  return lines.join('\n');
+}
+
+/**
+ * Format the problems of a check as a JUnit XML report
+ * Each check is a test suite whose test cases are its problems, failing for errors; checks without
+ * problems have a single passing test case
+ * @param {Array<Object>} issues - Problems
+ * @returns {string} JUnit XML report
+ */
+export function formatJUnitReport(issues) {
+  const attr = (value) => escapeXml(value, { quotes: true });
+  const { errors } = summarizeIssues(issues);
+  const suites = [];
+  let testCount = 0;
+
+  for (const check of Object.keys(CHECKS)) {
+    const checkIssues = issues.filter(issue => issue.check === check);
+    const failures = checkIssues.filter(({ severity }) => severity === 'error').length;
+    const cases = checkIssues.map(({ severity, origin, language, key, location, message }) => {
+      const name = attr([language, key].filter(Boolean).join(' ') || message);
+      const detail = escapeXml(`${location ? `${location}: ` : ''}${message}`);
+
+      return severity === 'error'
+        ? `    <testcase classname="${attr(`${check}.${origin}`)}" name="${name}">\n      <failure message="${attr(message)}" type="${check}">${detail}</failure>\n    </testcase>`
+        : `    <testcase classname="${attr(`${check}.${origin}`)}" name="${name}">\n      <system-out>${detail}</system-out>\n    </testcase>`;
+    });
+
+    if (!cases.length) {
+      cases.push(`    <testcase classname="${check}" name="${check}"/>`);
+    }
+
+    testCount += cases.length;
+    suites.push(
+      `  <testsuite name="${check}" tests="${cases.length}" failures="${failures}" errors="0">`,
+      ...cases,
+      '  </testsuite>',
+    );
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="i18n-syncer check" tests="${testCount}" failures="${errors}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+export default {
+  CHECKS,
+  createIssue,
+  checkTranslations,
+  summarizeIssues,
+  formatIssues,
+  formatJUnitReport,
+};
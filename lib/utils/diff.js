@@ -0,0 +1,120 @@
+/**
+ * Diff of flat translations
+ * Describes per-language added, removed and changed keys between two versions of translations
+ */
+
+/**
+ * Compare two versions of flat translations
+ * @param {Object} [before={}] - Flat translations by language code before the change
+ * @param {Object} [after={}] - Flat translations by language code after the change
+ * @returns {Array<Object>} Diff for each language with its status ('added', 'removed', 'changed' or
+ * 'unchanged') and the added, removed and changed keys with their values
+ */
+export function diffTranslations(before = {}, after = {}) {
+  const languages = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+
+  return languages.map((language) => {
+    const oldData = before[language] || {};
+    const newData = after[language] || {};
+
+    const added = Object.keys(newData)
+      .filter(key => !(key in oldData))
+      .map(key => ({ key, value: newData[key] }));
+
+    const removed = Object.keys(oldData)
+      .filter(key => !(key in newData))
+      .map(key => ({ key, value: oldData[key] }));
+
+    const changed = Object.keys(newData)
+      .filter(key => key in oldData && oldData[key] !== newData[key])
+      .map(key => ({ key, from: oldData[key], to: newData[key] }));
+
+    let status = 'unchanged';
+
+    if (!before[language]) {
+      status = 'added';
+    } else if (!after[language]) {
+      status = 'removed';
+    } else if (added.length || removed.length || changed.length) {
+      status = 'changed';
+    }
+
+    return { language, status, added, removed, changed };
+  });
+}
+
+/**
+ * Count the changes of a diff
+ * @param {Array<Object>} languageDiffs - Diff for each language
+ * @returns {{added: number, removed: number, changed: number, languages: number}} Number of added,
+ * removed and changed keys, and number of affected languages
+ */
+export function summarizeDiff(languageDiffs) {
+  return languageDiffs.reduce((summary, { status, added, removed, changed }) => ({
+    added: summary.added + added.length,
+    removed: summary.removed + removed.length,
+    changed: summary.changed + changed.length,
+    languages: summary.languages + (status === 'unchanged' ? 0 : 1),
+  }), { added: 0, removed: 0, changed: 0, languages: 0 });
+}
+
+/**
+ * Count the cells that differ between two sheet grids
+ * @param {Array<Array<string>>} [oldGrid=[]] - 2D array of current cell values
+ * @param {Array<Array<string>>} [newGrid=[]] - 2D array of new cell values
+ * @returns {number} Number of cells whose value would change
+ */
+export function countChangedCells(oldGrid = [], newGrid = []) {
+  let count = 0;
+  const rowCount = Math.max(oldGrid.length, newGrid.length);
+
+  for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+    const oldRow = oldGrid[rowIndex] || [];
+    const newRow = newGrid[rowIndex] || [];
+    const columnCount = Math.max(oldRow.length, newRow.length);
+
+    for (let colIndex = 0; colIndex < columnCount; colIndex++) {
+      if ((oldRow[colIndex] ?? '') !== (newRow[colIndex] ?? '')) {
+        count++;
+      }
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Format a diff as human-readable text
+ * @param {Array<Object>} languageDiffs - Diff for each language
+ * @returns {string} Formatted diff
+ */
+export function formatDiff(languageDiffs) {
+  const lines = [];
+  const show = (value) => JSON.stringify(value);
+
+  for (const { language, status, added, removed, changed } of languageDiffs) {
+    if (status === 'unchanged') continue;
+
+    lines.push(`${language} (${status}): ${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+    added.forEach(({ key, value }) => lines.push(`  + ${key}: ${show(value)}`));
+    removed.forEach(({ key, value }) => lines.push(`  - ${key}: ${show(value)}`));
+    changed.forEach(({ key, from, to }) => lines.push(`  ~ ${key}: ${show(from)} -> ${show(to)}`));
+  }
+
+  const { added, removed, changed, languages } = summarizeDiff(languageDiffs);
+
+  if (!languages) {
+    lines.push('No changes');
+  } else {
+    lines.push(`Total: ${added} added, ${removed} removed, ${changed} changed across ${languages} languages`);
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  diffTranslations,
+  summarizeDiff,
+  countChangedCells,
+  formatDiff,
+};
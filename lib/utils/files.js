@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * File system helpers
+ */
+
+/**
+ * List all files below a directory
+ * @param {string} dir - Directory path
+ * @param {Object} [params] - List parameters
+ * @param {Array<string>} [params.skipDirs=[]] - Directory names not to descend into
+ * @returns {Array<string>} File paths relative to the directory, using '/' as separator
+ */
+export function listFilesRecursively(dir, { skipDirs = [] } = {}) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const files = [];
+
+  const walk = (relativeDir) => {
+    const entries = fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true });
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (!skipDirs.includes(entry.name)) {
+          walk(relativePath);
+        }
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  };
+
+  walk('');
+
+  return files.sort();
+}
+
+export default {
+  listFilesRecursively,
+};
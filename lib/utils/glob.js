@@ -0,0 +1,67 @@
+/**
+ * Glob pattern helpers
+ * Matches names and paths against simple glob patterns ('*', '**' and '?')
+ */
+
+/**
+ * Convert a glob pattern to a regular expression
+ * '*' matches any characters except '/', '**' matches any characters and '?' matches one character
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Regular expression matching the whole string
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // '**/' also matches no directory at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a name matches any of the glob patterns
+ * @param {string} name - Name or path to check
+ * @param {Array<string>} patterns - Glob patterns
+ * @returns {boolean} True if at least one pattern matches
+ */
+export function matchesAny(name, patterns) {
+  return patterns.some(pattern => globToRegExp(pattern).test(name));
+}
+
+/**
+ * Filter names by include and exclude glob patterns
+ * @param {Array<string>} names - Names to filter
+ * @param {Object} [params] - Filter parameters
+ * @param {Array<string>} [params.include=[]] - Patterns to include (default: all names)
+ * @param {Array<string>} [params.exclude=[]] - Patterns to exclude
+ * @returns {Array<string>} Matching names
+ */
+export function filterByPatterns(names, { include = [], exclude = [] } = {}) {
+  return names.filter(name =>
+    (!include.length || matchesAny(name, include)) && !matchesAny(name, exclude),
+  );
+}
+
+export default {
+  globToRegExp,
+  matchesAny,
+  filterByPatterns,
+};
@@ -0,0 +1,212 @@
+/**
+ * Flattened keys
+ * Splits keys with a separator, array indexes and type annotations (items[0].count:number) into paths
+ * and back, and finds keys that can't be nested together
+ *
+ * A backslash makes the next character literal: with the default separator, menu\.open is the single
+ * key "menu.open", items\[0] is not an array item, ratio:\number is a string, and \\ is a backslash.
+ *
+ * Type annotations follow a colon, or an at sign when the separator contains a colon, so that with the
+ * separator ':' the key filter:null is the property null of filter and filter@null is a null value.
+ */
+
+/**
+ * Type annotations of flattened keys, for values that are not strings
+ */
+export const TYPE_ANNOTATIONS = ['number', 'boolean', 'null', 'array', 'object'];
+
+/**
+ * Get the character that precedes the type annotation of keys
+ * @param {string|null} separator - Separator of nested keys, or null for flat keys
+ * @returns {string} ':' or, if the separator contains a colon, '@'
+ */
+export const typeMarker = separator => (separator?.includes(':') ? '@' : ':');
+
+/**
+ * Create the pattern of a type annotation at the end of a key
+ * @param {string|null} separator - Separator of nested keys, or null for flat keys
+ * @returns {RegExp} Pattern whose first group is the annotation
+ */
+const typeSuffixPattern = separator => new RegExp(`${typeMarker(separator)}(${TYPE_ANNOTATIONS.join('|')})$`);
+
+/**
+ * Check whether the character at an index is escaped by an odd number of backslashes
+ * @param {string} text - Text
+ * @param {number} index - Character index
+ * @returns {boolean} True if the character is escaped
+ */
+const isEscaped = (text, index) => {
+  let count = 0;
+
+  for (let i = index - 1; i >= 0 && text[i] === '\\'; i--) count++;
+
+  return count % 2 === 1;
+};
+
+/**
+ * Split a flattened key into its untrimmed parts and type annotation
+ * @param {string} flatKey - Flattened key
+ * @param {string|null} separator - Separator of nested keys, or null for flat keys
+ * @returns {{parts: Array<{name: string, indexes: Array<number>}>, type: string|undefined}} Property
+ * names with their array indexes, and the type annotation
+ */
+const splitKey = (flatKey, separator) => {
+  let body = String(flatKey);
+  let type;
+
+  const suffix = body.match(typeSuffixPattern(separator));
+
+  if (suffix && !isEscaped(body, suffix.index)) {
+    [, type] = suffix;
+    body = body.slice(0, suffix.index);
+  }
+
+  // Each part is a property name followed by any array indexes
+  const parts = [{ name: '', indexes: [] }];
+
+  const addText = (text) => {
+    const part = parts[parts.length - 1];
+
+    // Indexes followed by more text were part of the name
+    part.name += part.indexes.map(index => `[${index}]`).join('') + text;
+    part.indexes = [];
+  };
+
+  for (let i = 0; i < body.length; i++) {
+    const index = body[i] === '[' ? body.slice(i).match(/^\[(\d+)\]/) : null;
+
+    if (body[i] === '\\' && i + 1 < body.length) {
+      addText(body[++i]);
+    } else if (separator && body.startsWith(separator, i)) {
+      parts.push({ name: '', indexes: [] });
+      i += separator.length - 1;
+    } else if (index) {
+      parts[parts.length - 1].indexes.push(Number(index[1]));
+      i += index[0].length - 1;
+    } else {
+      addText(body[i]);
+    }
+  }
+
+  return { parts, type };
+};
+
+/**
+ * Split a flattened key into its path and type annotation
+ * @param {string} flatKey - Flattened key, e.g. 'menu.items[0].count:number'
+ * @param {string|null} [separator='.'] - Separator of nested keys, or null for flat keys
+ * @returns {{path: Array<string|number>, type: string|undefined}} Property names and array indexes
+ * of the key, and its type annotation
+ */
+export function parseKey(flatKey, separator = '.') {
+  const { parts, type } = splitKey(flatKey, separator);
+
+  const path = parts.flatMap(({ name, indexes }) => {
+    const trimmedName = name.trim();
+    return [...(trimmedName || !indexes.length ? [trimmedName] : []), ...indexes];
+  });
+
+  return { path, type };
+}
+
+/**
+ * Join a path into a flattened key, escaping separators, brackets and backslashes in property names
+ * @param {Array<string|number>} path - Property names and array indexes
+ * @param {Object} [options] - Key options
+ * @param {string|null} [options.separator='.'] - Separator of nested keys, or null for flat keys
+ * @param {string} [options.type] - Type annotation
+ * @returns {string} Flattened key
+ * @throws {Error} If a property is nested in another one without a separator
+ */
+export function formatKey(path, { separator = '.', type } = {}) {
+  const escapedSeparator = separator ? [...separator].map(char => `\\${char}`).join('') : null;
+
+  let key = path.map((segment, index) => {
+    if (typeof segment === 'number') {
+      return `[${segment}]`;
+    }
+
+    if (index > 0 && !separator) {
+      throw new Error(`Can't write nested key ${path.join(' > ')} without a key separator`);
+    }
+
+    let name = String(segment).replace(/\\/g, '\\\\').replace(/\[/g, '\\[');
+
+    if (separator) {
+      name = name.split(separator).join(escapedSeparator);
+    }
+
+    return index > 0 ? `${separator}${name}` : name;
+  }).join('');
+
+  if (type) {
+    return `${key}${typeMarker(separator)}${type}`;
+  }
+
+  // A key that ends like a type annotation is escaped, e.g. ratio:\number
+  const suffix = key.match(typeSuffixPattern(separator));
+
+  if (suffix && !isEscaped(key, suffix.index)) {
+    key = `${key.slice(0, suffix.index + 1)}\\${key.slice(suffix.index + 1)}`;
+  }
+
+  return key;
+}
+
+/**
+ * Check whether a key, or one of its parts, starts or ends with whitespace, which
+ * is lost when the key is nested
+ * @param {string} flatKey - Flattened key
+ * @param {string|null} [separator='.'] - Separator of nested keys, or null for flat keys
+ * @returns {boolean} True if the key has whitespace around it or around one of its parts
+ */
+export function hasSurroundingWhitespace(flatKey, separator = '.') {
+  return splitKey(flatKey, separator).parts.some(({ name }) => name !== name.trim());
+}
+
+/**
+ * Find keys that can't be nested together: a key that is also the parent of other keys
+ * (button and button.save), and different keys with the same path (count and count:number)
+ * @param {Array<string>} keys - Flattened keys
+ * @param {string|null} [separator='.'] - Separator of nested keys, or null for flat keys
+ * @returns {Array<{key: string, conflictsWith: string}>} Conflicting pairs of keys
+ */
+export function findKeyConflicts(keys, separator = '.') {
+  const conflicts = [];
+  const leaves = new Map();
+  const pathOf = (path) => path.join('\u0000');
+
+  for (const key of keys) {
+    const id = pathOf(parseKey(key, separator).path);
+
+    if (leaves.has(id)) {
+      conflicts.push({ key, conflictsWith: leaves.get(id) });
+    } else {
+      leaves.set(id, key);
+    }
+  }
+
+  for (const key of keys) {
+    const { path } = parseKey(key, separator);
+
+    for (let length = 1; length < path.length; length++) {
+      const parent = leaves.get(pathOf(path.slice(0, length)));
+
+      if (parent !== undefined) {
+        conflicts.push({ key, conflictsWith: parent });
+        break;
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+export default {
+  TYPE_ANNOTATIONS,
+  typeMarker,
+  parseKey,
+  formatKey,
+  hasSurroundingWhitespace,
+  findKeyConflicts,
+};
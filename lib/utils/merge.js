@@ -0,0 +1,140 @@
+/**
+ * Three-way merge of flat translations
+ * Combines local and remote changes relative to the base snapshot of the last sync
+ */
+
+/**
+ * Supported conflict strategies
+ * - abort: report conflicts and keep the remote values
+ * - local: resolve conflicts with the local values
+ * - remote: resolve conflicts with the remote values
+ */
+export const CONFLICT_STRATEGIES = ['abort', 'local', 'remote'];
+
+/**
+ * Collect the unique keys of flat translations across all languages
+ * @param {Object} translations - Flat translations by language code
+ * @returns {Set<string>} Unique keys in order of appearance
+ */
+const collectKeys = (translations) => new Set(
+  Object.values(translations).flatMap(flatData => Object.keys(flatData)),
+);
+
+/**
+ * Merge local and remote flat translations against a common base
+ * @param {Object} params - Merge parameters
+ * @param {Object} [params.base={}] - Flat translations by language code from the last sync
+ * @param {Object} [params.local={}] - Flat translations by language code from local files
+ * @param {Object} [params.remote={}] - Flat translations by language code from the sheet
+ * @param {string} [params.strategy='abort'] - Conflict strategy ('abort', 'local' or 'remote')
+ * @returns {{translations: Object, conflicts: Array<Object>, stats: Object}} Merge result, where
+ * translations contains every merged key for every language, conflicts lists the cells edited on
+ * both sides (a null value marks a deleted key), and stats counts the cells taken from each side
+ */
+export function mergeTranslations({
+  base = {},
+  local = {},
+  remote = {},
+  strategy = 'abort',
+} = {}) {
+  if (!CONFLICT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid conflict strategy "${strategy}", expected one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+  }
+
+  // Keep the sheet's column order and append languages that only exist locally
+  const languages = [...new Set([...Object.keys(remote), ...Object.keys(local)])];
+
+  const baseKeys = collectKeys(base);
+  const localKeys = collectKeys(local);
+  const remoteKeys = collectKeys(remote);
+
+  // Keep the sheet's row order and append keys that only exist locally
+  const allKeys = [...new Set([...remoteKeys, ...localKeys])];
+
+  const baseValue = (lang, key) => base[lang]?.[key] ?? '';
+
+  // A side that has no data for a language has no opinion on it, so it counts as unchanged
+  const sideValue = (side, lang, key) => (side[lang] ? side[lang][key] ?? '' : baseValue(lang, key));
+
+  const translations = Object.fromEntries(languages.map(lang => [lang, {}]));
+  const conflicts = [];
+  const stats = { localChanges: 0, remoteChanges: 0, deletedKeys: 0 };
+
+  const keepKey = (key, valueOf) => {
+    for (const lang of languages) {
+      translations[lang][key] = valueOf(lang);
+    }
+  };
+
+  for (const key of allKeys) {
+    const inBase = baseKeys.has(key);
+    const inLocal = localKeys.has(key);
+    const inRemote = remoteKeys.has(key);
+
+    // Key was deleted on one side since the last sync
+    if (inBase && (!inLocal || !inRemote)) {
+      const survivor = inLocal ? local : remote;
+      const changed = languages.filter(lang => sideValue(survivor, lang, key) !== baseValue(lang, key));
+
+      // The other side did not touch the key, so the deletion wins
+      if (!changed.length) {
+        stats.deletedKeys++;
+        continue;
+      }
+
+      for (const lang of changed) {
+        conflicts.push({
+          key,
+          language: lang,
+          base: baseValue(lang, key),
+          local: inLocal ? sideValue(local, lang, key) : null,
+          remote: inRemote ? sideValue(remote, lang, key) : null,
+        });
+      }
+
+      const deletionWins = (strategy === 'local' && !inLocal) || (strategy === 'remote' && !inRemote);
+
+      if (deletionWins) {
+        stats.deletedKeys++;
+        continue;
+      }
+
+      keepKey(key, lang => sideValue(survivor, lang, key));
+      continue;
+    }
+
+    keepKey(key, (lang) => {
+      const baseVal = baseValue(lang, key);
+      const localVal = inLocal ? sideValue(local, lang, key) : baseVal;
+      const remoteVal = inRemote ? sideValue(remote, lang, key) : baseVal;
+
+      if (localVal === remoteVal) return localVal;
+
+      if (localVal === baseVal) {
+        stats.remoteChanges++;
+        return remoteVal;
+      }
+
+      if (remoteVal === baseVal) {
+        stats.localChanges++;
+        return localVal;
+      }
+
+      conflicts.push({
+        key,
+        language: lang,
+        base: baseVal,
+        local: localVal,
+        remote: remoteVal,
+      });
+
+      return strategy === 'local' ? localVal : remoteVal;
+    });
+  }
+
+  return { translations, conflicts, stats };
+}
+
+export default {
+  mergeTranslations,
+};
@@ -0,0 +1,204 @@
+import { findSourceValue } from './plurals.js';
+import { parseKey } from './keys.js';
+
+/**
+ * Missing translations
+ * Omits the empty values of pulled translations, or fills them from fallback languages or with a marker
+ */
+
+/**
+ * Supported missing-value policies
+ * - empty: keep empty values
+ * - omit: leave keys without a value out of the files
+ * - fallback: use the value of the first language of the fallback chain that has one
+ * - marker: use a marker such as '[MISSING] menu.save'
+ */
+export const MISSING_POLICIES = ['empty', 'omit', 'fallback', 'marker'];
+
+/**
+ * Default marker of missing values, where {key}, {lang} and {source} are replaced with the key, the
+ * language code and the value of the main language
+ */
+export const DEFAULT_MISSING_MARKER = '[MISSING] {key}';
+
+/**
+ * Resolve the fallback chain of a language
+ * The fallbacks of each fallback language are followed in turn, and the main language comes last,
+ * so with { 'zh-HK': 'zh-TW' } the chain of zh-HK is zh-TW, en
+ * @param {string} language - Language code
+ * @param {Object} [options] - Fallback options
+ * @param {Object} [options.fallbacks={}] - Fallback language, or array of languages, by language code
+ * @param {string} [options.mainLanguage='en'] - Main language, the last fallback of every language
+ * @returns {Array<string>} Fallback languages in order, without the language itself
+ */
+export function resolveFallbackChain(language, { fallbacks = {}, mainLanguage = 'en' } = {}) {
+  const chain = [];
+
+  const follow = (code) => {
+    for (const fallback of [].concat(fallbacks[code] ?? [])) {
+      if (fallback !== language && !chain.includes(fallback)) {
+        chain.push(fallback);
+        follow(fallback);
+      }
+    }
+  };
+
+  follow(language);
+
+  if (language !== mainLanguage && !chain.includes(mainLanguage)) {
+    chain.push(mainLanguage);
+  }
+
+  return chain;
+}
+
+/**
+ * Apply a missing-value policy to flat translations
+ * Values of keys typed as null, array or object are empty on purpose and left as they are, and keys with
+ * other type annotations are only filled from fallback languages. Plural forms a fallback language doesn't
+ * use are filled with its last plural form.
+ * @param {Object} flatByLang - Flat translations by language code
+ * @param {Object} [options] - Policy options
+ * @param {string} [options.policy='empty'] - Missing-value policy ('empty', 'omit', 'fallback' or 'marker')
+ * @param {Object} [options.fallbacks={}] - Fallback languages by language code (see resolveFallbackChain)
+ * @param {string} [options.marker='[MISSING] {key}'] - Marker of missing values
+ * @param {string} [options.mainLanguage='en'] - Main language
+ * @param {string|null} [options.keySeparator='.'] - Separator of nested keys, or null if keys are not nested
+ * @param {string|null} [options.pluralForms=null] - How plural forms are keyed ('categories' or 'indexes'),
+ * or null if keys have no plural forms
+ * @returns {{translations: Object, counts: Object}} Flat translations by language code, and the number of
+ * keys omitted or filled by language code
+ * @throws {Error} If the policy is not supported
+ */
+export function applyMissingPolicy(flatByLang, {
+  policy = 'empty',
+  fallbacks = {},
+  marker = DEFAULT_MISSING_MARKER,
+  mainLanguage = 'en',
+  keySeparator = '.',
+  pluralForms = null,
+} = {}) {
+  if (!MISSING_POLICIES.includes(policy)) {
+    throw new Error(`Invalid missing-value policy "${policy}", expected one of: ${MISSING_POLICIES.join(', ')}`);
+  }
+
+  const counts = Object.fromEntries(Object.keys(flatByLang).map(language => [language, 0]));
+
+  if (policy === 'empty') {
+    return { translations: flatByLang, counts };
+  }
+
+  const source = flatByLang[mainLanguage] || {};
+
+  const fill = (language, key, type) => {
+    if (policy === 'omit') {
+      return undefined;
+    }
+
+    if (policy === 'marker') {
+      return type ? '' : marker
+        .replace(/\{key\}/g, key)
+        .replace(/\{lang\}/g, language)
+        .replace(/\{source\}/g, findSourceValue(source, key, pluralForms) ?? '');
+    }
+
+    const fallback = resolveFallbackChain(language, { fallbacks, mainLanguage })
+      .map(code => (flatByLang[code] ? findSourceValue(flatByLang[code], key, pluralForms) : undefined))
+      .find(Boolean);
+
+    return fallback ?? '';
+  };
+
+  const translations = Object.fromEntries(
+    Object.entries(flatByLang).map(([language, flatData]) => {
+      const entries = [];
+
+      for (const [key, value] of Object.entries(flatData)) {
+        const { type } = parseKey(key, keySeparator);
+
+        if (value !== '' || ['null', 'array', 'object'].includes(type)) {
+          entries.push([key, value]);
+          continue;
+        }
+
+        const filled = fill(language, key, type);
+
+        if (filled !== '') {
+          counts[language]++;
+        }
+
+        if (filled !== undefined) {
+          entries.push([key, filled]);
+        }
+      }
+
+      return [language, Object.fromEntries(entries)];
+    }),
+  );
+
+  return { translations, counts };
+}
+
+/**
+ * Empty the values a missing-value policy filled in, and put back the keys it omitted, so that they are
+ * pushed to the sheet as empty cells
+ * A local value is considered filled if the value of the sheet was empty at the last sync, and the
+ * value is still the one the policy fills in from the sheet contents of the last sync. A key missing from
+ * a file is considered omitted if the policy left it out at the last sync, and either another file still
+ * has it or the policy left it out of every file; otherwise it was deleted locally.
+ * @param {Object} localData - Flat translations by language code from local files
+ * @param {Object} baseData - Flat translations by language code from the last sync
+ * @param {Object} options - Policy options (see applyMissingPolicy)
+ * @returns {{translations: Object, counts: Object}} Flat translations by language code, and the number of
+ * values emptied or put back by language code
+ */
+export function removeFilledValues(localData, baseData, options) {
+  const { translations: filledBase } = applyMissingPolicy(baseData, options);
+  const counts = Object.fromEntries(Object.keys(localData).map(language => [language, 0]));
+  const localKeys = new Set(Object.values(localData).flatMap(flatData => Object.keys(flatData)));
+  const isOmitted = (language, key) => baseData[language]?.[key] === '' && !(key in (filledBase[language] || {}));
+  const isOmittedEverywhere = key => Object.keys(baseData)
+    .every(language => !(key in baseData[language]) || isOmitted(language, key));
+
+  const translations = Object.fromEntries(
+    Object.entries(localData).map(([language, flatData]) => {
+      const entries = Object.entries(flatData).map(([key, value]) => {
+        const isFilled = value !== '' && baseData[language]?.[key] === '' && filledBase[language]?.[key] === value;
+
+        if (isFilled) {
+          counts[language]++;
+        }
+
+        return [key, isFilled ? '' : value];
+      });
+
+      // Put omitted keys back after the key that preceded them at the last sync
+      let previousKey = null;
+
+      for (const key of Object.keys(baseData[language] || {})) {
+        if (!(key in flatData) && isOmitted(language, key) && (localKeys.has(key) || isOmittedEverywhere(key))) {
+          const index = entries.findIndex(([entryKey]) => entryKey === previousKey);
+
+          entries.splice(index + 1, 0, [key, '']);
+          counts[language]++;
+        }
+
+        if (entries.some(([entryKey]) => entryKey === key)) {
+          previousKey = key;
+        }
+      }
+
+      return [language, Object.fromEntries(entries)];
+    }),
+  );
+
+  return { translations, counts };
+}
+
+export default {
+  MISSING_POLICIES,
+  DEFAULT_MISSING_MARKER,
+  resolveFallbackChain,
+  applyMissingPolicy,
+  removeFilledValues,
+};
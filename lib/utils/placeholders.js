@@ -0,0 +1,333 @@
+/**
+ * Placeholders of translation values
+ * Parses values as ICU MessageFormat, and finds {{var}} and printf-style (%s, %1$d) placeholders,
+ * so that the placeholders of a translation can be compared with those of the main language
+ */
+
+/**
+ * Supported placeholder styles
+ */
+export const PLACEHOLDER_STYLES = ['icu', 'double-brace', 'printf'];
+
+/**
+ * What to do with translations whose placeholders don't match the main language
+ */
+export const VALIDATION_MODES = ['warn', 'error', 'off'];
+
+/**
+ * ICU argument types, and the types whose options are sub-messages
+ */
+const ICU_TYPES = ['number', 'date', 'time', 'spellout', 'ordinal', 'duration', 'plural', 'select', 'selectordinal'];
+const ICU_CHOICE_TYPES = ['plural', 'select', 'selectordinal'];
+
+const DOUBLE_BRACE_PATTERN = /\{\{\s*-?\s*([^{}]*?)\s*\}\}/g;
+const PRINTF_PATTERN = /%(?:%|(?:(\d+)\$)?[-+0#]*(?:\d+|\*)?(?:\.(?:\d+|\*))?(?:hh|h|ll|l|L|q|j|z|t)?([diouxXeEfFgGaAcsp@]))/g;
+
+/**
+ * Parse a value as ICU MessageFormat
+ * @param {string} text - Message text
+ * @returns {Array<{name: string, type: string}>} Arguments of the message, including those of
+ * plural and select cases ('simple' for arguments without a type)
+ * @throws {Error} If the message is not valid ICU MessageFormat
+ */
+export function parseIcuMessage(text) {
+  const args = [];
+  let pos = 0;
+
+  const fail = (message, at = pos) => {
+    throw new Error(`${message} at character ${at + 1}`);
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const readWord = (pattern) => {
+    const start = pos;
+    while (pos < text.length && pattern.test(text[pos])) pos++;
+    return text.slice(start, pos);
+  };
+
+  // Skip a quoted literal ('{' ... '), or a single apostrophe that doesn't start one
+  const skipApostrophe = (inChoice) => {
+    const next = text[pos + 1];
+
+    if (next === '\'') {
+      pos += 2;
+      return;
+    }
+
+    if (next === '{' || next === '}' || (inChoice && next === '#')) {
+      pos += 2;
+
+      while (pos < text.length) {
+        if (text[pos] === '\'' && text[pos + 1] === '\'') {
+          pos += 2;
+        } else if (text[pos] === '\'') {
+          pos++;
+          return;
+        } else {
+          pos++;
+        }
+      }
+
+      return;
+    }
+
+    pos++;
+  };
+
+  const parseMessage = (depth, inChoice) => {
+    while (pos < text.length) {
+      const char = text[pos];
+
+      if (char === '\'') {
+        skipApostrophe(inChoice);
+      } else if (char === '{') {
+        parseArgument();
+      } else if (char === '}') {
+        if (depth === 0) fail('Unmatched "}"');
+        return;
+      } else {
+        pos++;
+      }
+    }
+  };
+
+  const parseOptions = (name, type) => {
+    const selectors = new Set();
+
+    skipWhitespace();
+
+    if (type !== 'select' && text.startsWith('offset:', pos)) {
+      pos += 'offset:'.length;
+      skipWhitespace();
+      if (!readWord(/\d/)) fail(`Invalid offset in argument "${name}"`);
+    }
+
+    for (;;) {
+      skipWhitespace();
+
+      if (pos >= text.length) return;
+      if (text[pos] === '}') break;
+
+      const selectorStart = pos;
+      const selector = text[pos] === '=' ? `=${(pos++, readWord(/\d/))}` : readWord(/[\p{L}\p{N}_-]/u);
+
+      if (!selector || selector === '=') fail(`Invalid case in argument "${name}"`, selectorStart);
+      if (selectors.has(selector)) fail(`Duplicate case "${selector}" in argument "${name}"`, selectorStart);
+
+      selectors.add(selector);
+      skipWhitespace();
+
+      if (text[pos] !== '{') fail(`Expected "{" after case "${selector}" in argument "${name}"`);
+
+      const caseStart = pos++;
+      parseMessage(1, type !== 'select');
+
+      if (text[pos] !== '}') fail(`Unclosed case "${selector}" in argument "${name}"`, caseStart);
+      pos++;
+    }
+
+    if (!selectors.has('other')) {
+      fail(`Missing "other" case in ${type} argument "${name}"`);
+    }
+  };
+
+  const parseArgument = () => {
+    const start = pos++;
+    skipWhitespace();
+
+    const name = readWord(/[\p{L}\p{N}_-]/u);
+
+    if (!name) fail('Expected an argument name after "{"', start);
+
+    skipWhitespace();
+
+    let type = 'simple';
+
+    if (text[pos] === ',') {
+      pos++;
+      skipWhitespace();
+      type = readWord(/[a-z]/i);
+
+      if (!ICU_TYPES.includes(type)) fail(`Unknown type "${type}" of argument "${name}"`);
+
+      skipWhitespace();
+
+      if (ICU_CHOICE_TYPES.includes(type)) {
+        if (text[pos] !== ',') fail(`Expected cases in ${type} argument "${name}"`);
+        pos++;
+        parseOptions(name, type);
+      } else if (text[pos] === ',') {
+        // Style or skeleton, such as currency or ::percent
+        pos++;
+        let depth = 0;
+
+        while (pos < text.length && (text[pos] !== '}' || depth > 0)) {
+          if (text[pos] === '{') depth++;
+          if (text[pos] === '}') depth--;
+          pos++;
+        }
+      }
+    }
+
+    if (pos >= text.length) fail(`Unclosed argument "${name}"`, start);
+    if (text[pos] !== '}') fail(`Unexpected "${text[pos]}" in argument "${name}"`);
+
+    pos++;
+    args.push({ name, type });
+  };
+
+  parseMessage(0, false);
+
+  return args;
+}
+
+/**
+ * Find the ICU arguments of a value
+ * @param {string} text - Message text
+ * @returns {Array<{id: string, label: string, type: string}>} Placeholders of the arguments
+ * @throws {Error} If the message is not valid ICU MessageFormat
+ */
+function extractIcuPlaceholders(text) {
+  // An argument used in its own plural cases ({n, plural, other {{n} items}}) is a plural argument
+  const types = new Map();
+
+  for (const { name, type } of parseIcuMessage(text)) {
+    if (!types.has(name) || ICU_CHOICE_TYPES.includes(type)) {
+      types.set(name, type);
+    }
+  }
+
+  return [...types].map(([name, type]) => ({ id: `icu:${name}`, label: `{${name}}`, type }));
+}
+
+/**
+ * Find the placeholders of a value
+ * With both icu and double-brace styles, {{var}} placeholders are only taken out of values that are
+ * not valid ICU messages as they are, since {n, plural, other {{n}}} is
+ * @param {string} value - Translation value
+ * @param {Array<string>} [styles=['icu', 'double-brace']] - Placeholder styles
+ * @returns {{placeholders: Array<{id: string, label: string, type: string}>, error: string|null}}
+ * Placeholders, with an id to compare them by, a label to report them with and their type,
+ * and the syntax error of the value, if any
+ */
+export function extractPlaceholders(value, styles = ['icu', 'double-brace']) {
+  const placeholders = [];
+  let text = String(value ?? '');
+  let icuPlaceholders = null;
+  let error = null;
+
+  if (styles.includes('icu')) {
+    try {
+      icuPlaceholders = extractIcuPlaceholders(text);
+    } catch (err) {
+      error = `Invalid ICU message: ${err.message}`;
+    }
+  }
+
+  if (styles.includes('double-brace') && !icuPlaceholders) {
+    for (const [, expression] of text.matchAll(DOUBLE_BRACE_PATTERN)) {
+      // {{count, number}} formats count
+      const name = expression.split(',')[0].trim();
+      placeholders.push({ id: `double-brace:${name}`, label: `{{${name}}}`, type: 'simple' });
+    }
+
+    // Blanked out rather than removed, so that error positions stay the same
+    text = text.replace(DOUBLE_BRACE_PATTERN, match => ' '.repeat(match.length));
+
+    if (error) {
+      try {
+        icuPlaceholders = extractIcuPlaceholders(text);
+        error = null;
+      } catch (err) {
+        error = `Invalid ICU message: ${err.message}`;
+      }
+    }
+  }
+
+  if (styles.includes('printf')) {
+    let sequence = 0;
+
+    for (const [match, position, conversion] of text.matchAll(PRINTF_PATTERN)) {
+      if (match === '%%') continue;
+
+      // %s %d is the same as %1$s %2$d, and %i the same as %d
+      const index = position ? Number(position) : ++sequence;
+      const normalized = conversion === 'i' ? 'd' : conversion;
+      placeholders.push({ id: `printf:${index}$${normalized}`, label: match, type: 'simple' });
+    }
+  }
+
+  return { placeholders: [...placeholders, ...(icuPlaceholders || [])], error };
+}
+
+/**
+ * Compare the placeholders of a translation with those of the source (main language) value
+ * @param {string} source - Source value
+ * @param {string} target - Translated value
+ * @param {Object} [options] - Comparison options
+ * @param {Array<string>} [options.styles] - Placeholder styles (see extractPlaceholders)
+ * @param {string} [options.sourceLanguage='source'] - Name of the source language for messages
+ * @returns {Array<string>} Problems of the translation, empty if its placeholders match
+ */
+export function comparePlaceholders(source, target, { styles, sourceLanguage = 'source' } = {}) {
+  const targetResult = extractPlaceholders(target, styles);
+
+  if (targetResult.error) {
+    return [targetResult.error];
+  }
+
+  const sourceResult = extractPlaceholders(source, styles);
+
+  // A broken source is reported for the main language itself
+  if (sourceResult.error) {
+    return [];
+  }
+
+  const count = (placeholders) => placeholders.reduce(
+    (counts, { id }) => counts.set(id, (counts.get(id) || 0) + 1),
+    new Map(),
+  );
+
+  const sourceCounts = count(sourceResult.placeholders);
+  const targetCounts = count(targetResult.placeholders);
+  const problems = [];
+
+  for (const placeholder of sourceResult.placeholders) {
+    if ((targetCounts.get(placeholder.id) || 0) < sourceCounts.get(placeholder.id)) {
+      problems.push(`Missing placeholder ${placeholder.label}`);
+      targetCounts.set(placeholder.id, sourceCounts.get(placeholder.id));
+    }
+  }
+
+  for (const placeholder of targetResult.placeholders) {
+    if ((sourceCounts.get(placeholder.id) || 0) < targetCounts.get(placeholder.id)) {
+      problems.push(`Placeholder ${placeholder.label} is not in ${sourceLanguage}`);
+      sourceCounts.set(placeholder.id, targetCounts.get(placeholder.id));
+    }
+  }
+
+  // Plural and select arguments must stay plural and select arguments
+  const isChoice = (type) => ICU_CHOICE_TYPES.includes(type);
+  const describe = (type) => (isChoice(type) ? `a ${type} argument` : 'a simple argument');
+
+  for (const placeholder of targetResult.placeholders) {
+    const original = sourceResult.placeholders.find(({ id }) => id === placeholder.id);
+
+    if (original && (isChoice(original.type) || isChoice(placeholder.type)) && original.type !== placeholder.type) {
+      problems.push(`Placeholder ${placeholder.label} is ${describe(original.type)} in ${sourceLanguage}, not ${describe(placeholder.type)}`);
+    }
+  }
+
+  return problems;
+}
+
+export default {
+  PLACEHOLDER_STYLES,
+  VALIDATION_MODES,
+  parseIcuMessage,
+  extractPlaceholders,
+  comparePlaceholders,
+};
@@ -0,0 +1,606 @@
+import { parseIcuMessage } from './placeholders.js';
+
+/**
+ * Plural and gender forms
+ * Finds the CLDR plural categories of each language, and maps the plural and gender forms of a key to
+ * one sheet row each: items[one] and items[other], or friend[female][one] for the forms of a gender.
+ * Formats with gettext plurals key their forms by index instead (items[0], items[1]).
+ */
+
+/**
+ * CLDR plural categories, in their usual order
+ */
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Gender forms, which come before the plural category in sheet keys; the "other" gender is the key itself
+ */
+export const GENDER_FORMS = ['male', 'female', 'neuter'];
+
+/**
+ * Plural representations of formats with nested keys: i18next suffixes (items_one) or ICU messages
+ * ({count, plural, one {# item} other {# items}})
+ */
+export const PLURAL_STYLES = ['i18next', 'icu'];
+
+/**
+ * Gettext plural expressions by language, whose form indexes follow the order of the CLDR categories
+ * that whole numbers use
+ */
+const GETTEXT_PLURAL_EXPRESSIONS = {
+  '0': ['id', 'ja', 'km', 'ko', 'lo', 'ms', 'my', 'th', 'vi', 'zh'],
+  'n != 1': [
+    'af', 'az', 'bg', 'ca', 'da', 'de', 'el', 'en', 'es', 'et', 'eu', 'fi', 'gl', 'hu', 'it', 'ka', 'kk',
+    'ky', 'mn', 'nb', 'nl', 'nn', 'no', 'pt-PT', 'sq', 'sv', 'sw', 'ta', 'te', 'tr', 'ur',
+  ],
+  'n > 1': ['bn', 'fa', 'fr', 'hi', 'hy', 'pt'],
+  'n%10==1 && n%100!=11 ? 0 : 1': ['is', 'mk'],
+  'n==1 ? 0 : n==2 ? 1 : 2': ['he'],
+  'n==1 ? 0 : n>=2 && n<=4 ? 1 : 2': ['cs', 'sk'],
+  'n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2': ['pl'],
+  'n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2': ['be', 'bs', 'hr', 'ru', 'sr', 'uk'],
+  'n%10==1 && (n%100<11 || n%100>19) ? 0 : n%10>=2 && (n%100<11 || n%100>19) ? 1 : 2': ['lt'],
+  'n%10==0 || (n%100>=11 && n%100<=19) ? 0 : n%10==1 && n%100!=11 ? 1 : 2': ['lv'],
+  'n==1 ? 0 : n==0 || (n%100>=1 && n%100<=19) ? 1 : 2': ['ro'],
+  'n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3': ['sl'],
+  'n==1 ? 0 : n==2 ? 1 : n>=3 && n<=6 ? 2 : n>=7 && n<=10 ? 3 : 4': ['ga'],
+  'n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5': ['ar'],
+  'n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n==3 ? 3 : n==6 ? 4 : 5': ['cy'],
+};
+
+const categoryCache = new Map();
+
+/**
+ * Check whether a key ends with a form in brackets that is not escaped
+ * @param {string} base - Key without the form
+ * @returns {boolean} True if the bracket after the base is not escaped by a backslash
+ */
+const endsUnescaped = (base) => (base.match(/\\*$/)[0].length % 2) === 0;
+
+/**
+ * Get the plural categories of a language from the CLDR rules of Intl.PluralRules
+ * @param {string} langCode - Language code (e.g. 'pl', 'zh-TW' or 'pt_BR')
+ * @returns {{categories: Array<string>, integers: Array<string>, required: Array<string>}} All categories
+ * of the language, the categories of whole numbers (the forms of gettext), and the categories every plural
+ * needs: those of whole numbers and "other"
+ */
+export function getPluralCategories(langCode) {
+  const locale = String(langCode).replace(/_/g, '-');
+
+  if (!categoryCache.has(locale)) {
+    let rules;
+
+    try {
+      rules = new Intl.PluralRules(locale);
+    } catch {
+      rules = new Intl.PluralRules('en');
+    }
+
+    // Whole numbers up to 1000 reach every category of whole numbers, but not French "many" for millions
+    const used = new Set();
+
+    for (let n = 0; n <= 1000; n++) {
+      used.add(rules.select(n));
+    }
+
+    const categories = rules.resolvedOptions().pluralCategories;
+
+    categoryCache.set(locale, {
+      categories: PLURAL_CATEGORIES.filter(category => categories.includes(category)),
+      integers: PLURAL_CATEGORIES.filter(category => used.has(category)),
+      required: PLURAL_CATEGORIES.filter(category => used.has(category) || category === 'other'),
+    });
+  }
+
+  return categoryCache.get(locale);
+}
+
+/**
+ * Get the gettext Plural-Forms header of a language
+ * @param {string} langCode - Language code
+ * @returns {string|null} Plural-Forms header value, or null if the plural expression of the language is not known
+ */
+export function getGettextPluralForms(langCode) {
+  const locale = String(langCode).replace(/_/g, '-');
+  const candidates = [locale, locale.split('-')[0]].map(code => code.toLowerCase());
+
+  for (const candidate of candidates) {
+    const expression = Object.keys(GETTEXT_PLURAL_EXPRESSIONS)
+      .find(key => GETTEXT_PLURAL_EXPRESSIONS[key].some(code => code.toLowerCase() === candidate));
+
+    if (expression) {
+      return `nplurals=${getPluralCategories(langCode).integers.length}; plural=(${expression});`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the plural forms of a language
+ * @param {string} langCode - Language code
+ * @param {string} keying - How forms are keyed: 'categories' (items[one]) or 'indexes' (items[0], for gettext)
+ * @returns {{required: Array<string>, allowed: Array<string>}} Forms every plural of the language needs,
+ * and forms it can have ("zero" is allowed in every language, for an explicit zero)
+ */
+export function getPluralForms(langCode, keying) {
+  const { categories, integers, required } = getPluralCategories(langCode);
+
+  if (keying === 'indexes') {
+    const indexes = integers.map((category, index) => String(index));
+    return { required: indexes, allowed: indexes };
+  }
+
+  return {
+    required,
+    allowed: PLURAL_CATEGORIES.filter(category => category === 'zero' || categories.includes(category)),
+  };
+}
+
+/**
+ * Split a sheet key into the key of its plural and its form
+ * @param {string} key - Sheet key, e.g. 'items[few]' or 'friend[female][one]'
+ * @param {string} keying - How forms are keyed: 'categories' or 'indexes'
+ * @returns {{base: string, form: string}|null} Key of the plural (e.g. 'items' or 'friend[female]') and
+ * the form, or null if the key is not a plural form
+ */
+export function parsePluralKey(key, keying) {
+  const pattern = keying === 'indexes'
+    ? /^([\s\S]+)\[(\d+)\]$/
+    : new RegExp(`^([\\s\\S]+)\\[(${PLURAL_CATEGORIES.join('|')})\\]$`);
+
+  const match = String(key).match(pattern);
+
+  return match && endsUnescaped(match[1]) ? { base: match[1], form: match[2] } : null;
+}
+
+/**
+ * Order forms the way they are written: categories in CLDR order, indexes by number
+ * @param {Array<string>} forms - Plural forms
+ * @param {string} keying - How forms are keyed: 'categories' or 'indexes'
+ * @returns {Array<string>} Sorted forms
+ */
+const sortForms = (forms, keying) => (keying === 'indexes'
+  ? [...forms].sort((a, b) => Number(a) - Number(b))
+  : PLURAL_CATEGORIES.filter(category => forms.includes(category)));
+
+/**
+ * Group the plural forms of sheet keys by plural
+ * Keys ending in an index are only plural forms when there is a form 0, so that a gettext msgid such as
+ * "Step [2]" is not taken for a plural.
+ * @param {Array<string>} keys - Sheet keys
+ * @param {string} keying - How forms are keyed: 'categories' or 'indexes'
+ * @returns {Map<string, Array<string>>} Forms of each plural, sorted
+ */
+export function findPluralGroups(keys, keying) {
+  const groups = new Map();
+
+  for (const key of keys) {
+    const pluralKey = parsePluralKey(key, keying);
+
+    if (pluralKey) {
+      groups.set(pluralKey.base, [...(groups.get(pluralKey.base) || []), pluralKey.form]);
+    }
+  }
+
+  for (const [base, forms] of groups) {
+    if (keying === 'indexes' && !forms.includes('0')) {
+      groups.delete(base);
+    } else {
+      groups.set(base, sortForms(forms, keying));
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Move the forms of each plural together, in the order of their forms, where the first of them is
+ * @param {Array<string>} keys - Sheet keys
+ * @param {string} keying - How forms are keyed: 'categories' or 'indexes'
+ * @returns {Array<string>} Ordered keys
+ */
+export function groupPluralKeys(keys, keying) {
+  const groups = findPluralGroups(keys, keying);
+  const grouped = new Set();
+  const ordered = [];
+
+  for (const key of keys) {
+    const pluralKey = parsePluralKey(key, keying);
+
+    if (!pluralKey || !groups.has(pluralKey.base)) {
+      ordered.push(key);
+    } else if (!grouped.has(pluralKey.base)) {
+      ordered.push(...groups.get(pluralKey.base).map(form => `${pluralKey.base}[${form}]`));
+      grouped.add(pluralKey.base);
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * Find the plural forms a language is missing, and the forms it doesn't use
+ * Empty forms count as missing
+ * @param {Object} flatData - Flat translations of the language
+ * @param {string} langCode - Language code
+ * @param {string} keying - How forms are keyed: 'categories' or 'indexes'
+ * @param {Iterable<string>} [bases] - Plurals to check (default: the plurals of the translations)
+ * @returns {{required: Array<string>, missing: Array<Object>, unused: Array<Object>}} Forms the language
+ * needs, and the key, base and form of its missing forms and of its non-empty forms that it doesn't use
+ */
+export function checkPluralForms(flatData, langCode, keying, bases) {
+  const { required, allowed } = getPluralForms(langCode, keying);
+  const groups = findPluralGroups(Object.keys(flatData), keying);
+  const missing = [];
+  const unused = [];
+
+  for (const base of bases ?? groups.keys()) {
+    for (const form of required) {
+      const key = `${base}[${form}]`;
+
+      if (!flatData[key]) {
+        missing.push({ key, base, form });
+      }
+    }
+
+    for (const form of groups.get(base) || []) {
+      const key = `${base}[${form}]`;
+
+      if (!allowed.includes(form) && flatData[key]) {
+        unused.push({ key, base, form });
+      }
+    }
+  }
+
+  return { required, missing, unused };
+}
+
+/**
+ * Keep the plural forms a language uses, leaving out forms of other languages and empty optional forms
+ * @param {Object} flatData - Flat translations of the language
+ * @param {string} langCode - Language code
+ * @param {string} keying - How forms are keyed: 'categories' or 'indexes'
+ * @returns {Object} Flat translations with the plural forms of the language
+ */
+export function selectPluralForms(flatData, langCode, keying) {
+  const { required, allowed } = getPluralForms(langCode, keying);
+  const groups = findPluralGroups(Object.keys(flatData), keying);
+
+  return Object.fromEntries(Object.entries(flatData).filter(([key, value]) => {
+    const pluralKey = parsePluralKey(key, keying);
+    return !pluralKey || !groups.has(pluralKey.base) || required.includes(pluralKey.form) || (allowed.includes(pluralKey.form) && value !== '');
+  }));
+}
+
+/**
+ * Add the sheet values of plural forms a language doesn't use to its local translations
+ * Pull leaves these forms out of the files (see selectPluralForms), so they are taken from the sheet
+ * to keep push from erasing what translators typed. Forms of plurals no language has locally are not kept.
+ * @param {Object} localData - Flat translations by language code from local files
+ * @param {Object} remoteData - Flat translations by language code from the sheet
+ * @param {string} keying - How forms are keyed: 'categories' or 'indexes'
+ * @returns {{translations: Object, counts: Object}} Flat translations by language code, and the number of
+ * forms kept by language code
+ */
+export function keepUnusedPluralForms(localData, remoteData, keying) {
+  const bases = new Set(findPluralGroups(Object.values(localData).flatMap(Object.keys), keying).keys());
+  const counts = Object.fromEntries(Object.keys(localData).map(language => [language, 0]));
+
+  const translations = Object.fromEntries(
+    Object.entries(localData).map(([language, flatData]) => {
+      const { allowed } = getPluralForms(language, keying);
+      const kept = Object.entries(remoteData[language] || {}).filter(([key, value]) => {
+        const pluralKey = parsePluralKey(key, keying);
+        return value !== '' && !(key in flatData) && pluralKey && bases.has(pluralKey.base) && !allowed.includes(pluralKey.form);
+      });
+
+      counts[language] = kept.length;
+
+      return [language, { ...flatData, ...Object.fromEntries(kept) }];
+    }),
+  );
+
+  return { translations, counts };
+}
+
+/**
+ * Get the main language value a plural form is translated from: the same form or, for forms the main
+ * language doesn't have, its last form ("other" or the highest index)
+ * @param {Object} source - Values of the main language by sheet key
+ * @param {string} key - Sheet key
+ * @param {string|null} keying - How forms are keyed ('categories' or 'indexes'), or null without plurals
+ * @returns {string|undefined} Source value
+ */
+export function findSourceValue(source, key, keying) {
+  const pluralKey = !source[key] && keying ? parsePluralKey(key, keying) : null;
+
+  if (!pluralKey) {
+    return source[key];
+  }
+
+  const forms = findPluralGroups(Object.keys(source), keying).get(pluralKey.base)
+    ?.filter(form => source[`${pluralKey.base}[${form}]`]);
+
+  return forms?.length ? source[`${pluralKey.base}[${forms[forms.length - 1]}]`] : source[key];
+}
+
+/**
+ * Split an ICU message that is a single plural or select argument into its cases
+ * @param {string} message - ICU message, e.g. '{count, plural, one {# item} other {# items}}'
+ * @returns {{argument: string, type: string, cases: Array<[string, string]>}|null} Argument name, type
+ * and the selector and message of each case, or null if the message is something else
+ */
+export function splitIcuChoice(message) {
+  const text = String(message ?? '').trim();
+  const head = text.match(/^\{\s*([\p{L}\p{N}_-]+)\s*,\s*(plural|select)\s*,/u);
+
+  if (!head) {
+    return null;
+  }
+
+  try {
+    parseIcuMessage(text);
+  } catch {
+    return null;
+  }
+
+  const [, argument, type] = head;
+  const cases = [];
+  let pos = head[0].length;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  for (;;) {
+    skipWhitespace();
+
+    if (text[pos] === '}') break;
+
+    // Offsets have no sheet form
+    const selector = text.slice(pos).match(/^(=\d+|[\p{L}\p{N}_-]+)/u)?.[0];
+
+    if (!selector) return null;
+
+    pos += selector.length;
+    skipWhitespace();
+
+    if (text[pos] !== '{') return null;
+
+    const start = ++pos;
+    let depth = 0;
+
+    while (pos < text.length && (text[pos] !== '}' || depth > 0)) {
+      // Quoted literals ('{') may contain braces, and '' is an apostrophe
+      if (text[pos] === '\'' && text[pos + 1] === '\'') {
+        pos += 2;
+        continue;
+      }
+
+      if (text[pos] === '\'' && /[{}#]/.test(text[pos + 1] ?? '')) {
+        pos += 2;
+
+        while (pos < text.length && !(text[pos] === '\'' && text[pos + 1] !== '\'')) {
+          pos += text[pos] === '\'' ? 2 : 1;
+        }
+      } else if (text[pos] === '{') {
+        depth++;
+      } else if (text[pos] === '}') {
+        depth--;
+      }
+
+      pos++;
+    }
+
+    cases.push([selector, text.slice(start, pos)]);
+    pos++;
+  }
+
+  return pos === text.length - 1 ? { argument, type, cases } : null;
+}
+
+/**
+ * Join cases into an ICU plural or select message
+ * @param {string} argument - Argument name
+ * @param {string} type - Argument type ('plural' or 'select')
+ * @param {Array<[string, string]>} cases - Selector and message of each case
+ * @returns {string} ICU message
+ */
+export function joinIcuChoice(argument, type, cases) {
+  return `{${argument}, ${type}, ${cases.map(([selector, text]) => `${selector} {${text}}`).join(' ')}}`;
+}
+
+/**
+ * Split a sheet key into its key and its gender and plural forms
+ * @param {string} key - Sheet key, e.g. 'friend[female][one]'
+ * @returns {{base: string, gender: string|undefined, category: string|undefined}|null} Key, gender and
+ * category, or null if the key has no forms
+ */
+const parseFormKey = (key) => {
+  const match = key.match(new RegExp(`^([\\s\\S]+?)(?:\\[(${GENDER_FORMS.join('|')})\\])?(?:\\[(${PLURAL_CATEGORIES.join('|')})\\])?$`));
+  const [, base, gender, category] = match;
+
+  return (gender || category) && endsUnescaped(base) ? { base, gender, category } : null;
+};
+
+/**
+ * Turn the plural and gender forms of flat translations into sheet keys with one row per form
+ * With i18next suffixes, items_one becomes items[one] when items_other exists, and friend_female becomes
+ * friend[female] when friend or friend_other exists. ICU messages that are a single plural or select
+ * argument with the plural or gender argument name are split into their cases, where =0 becomes zero.
+ * @param {Object} flatData - Flat translations
+ * @param {Object} options - Plural options
+ * @param {string} options.style - Plural style ('i18next' or 'icu')
+ * @param {string} [options.pluralArgument='count'] - Name of the plural argument of ICU messages
+ * @param {string} [options.genderArgument='gender'] - Name of the gender argument of ICU messages
+ * @returns {Object} Flat translations keyed by sheet key
+ */
+export function splitPluralForms(flatData, { style, pluralArgument = 'count', genderArgument = 'gender' }) {
+  const out = {};
+
+  if (style === 'i18next') {
+    const pattern = new RegExp(`^([\\s\\S]+?)(?:_(${GENDER_FORMS.join('|')}))?(?:_(${PLURAL_CATEGORIES.join('|')}))?$`);
+
+    for (const [key, value] of Object.entries(flatData)) {
+      let [, base, gender, category] = key.match(pattern);
+
+      if (gender && !(base in flatData || `${base}_other` in flatData)) {
+        base = `${base}_${gender}`;
+        gender = undefined;
+      }
+
+      const isPlural = category && `${gender ? `${base}_${gender}` : base}_other` in flatData;
+
+      if ((gender && !category) || isPlural) {
+        out[`${base}${gender ? `[${gender}]` : ''}${category ? `[${category}]` : ''}`] = value;
+      } else {
+        out[key] = value;
+      }
+    }
+
+    return out;
+  }
+
+  const pluralRows = (key, message) => {
+    const choice = splitIcuChoice(message);
+
+    if (!choice || choice.type !== 'plural' || choice.argument !== pluralArgument) {
+      return null;
+    }
+
+    const categories = choice.cases.map(([selector]) => (selector === '=0' ? 'zero' : selector));
+
+    if (!categories.every(category => PLURAL_CATEGORIES.includes(category)) || new Set(categories).size !== categories.length) {
+      return null;
+    }
+
+    return choice.cases.map(([, text], index) => [`${key}[${categories[index]}]`, text]);
+  };
+
+  const genderRows = (key, message) => {
+    const choice = splitIcuChoice(message);
+
+    if (!choice || choice.type !== 'select' || choice.argument !== genderArgument
+      || !choice.cases.every(([selector]) => selector === 'other' || GENDER_FORMS.includes(selector))) {
+      return null;
+    }
+
+    return choice.cases.flatMap(([selector, text]) => {
+      const formKey = selector === 'other' ? key : `${key}[${selector}]`;
+      return pluralRows(formKey, text) ?? [[formKey, text]];
+    });
+  };
+
+  for (const [key, value] of Object.entries(flatData)) {
+    const rows = typeof value === 'string' ? genderRows(key, value) ?? pluralRows(key, value) : null;
+
+    for (const [rowKey, rowValue] of rows ?? [[key, value]]) {
+      out[rowKey] = rowValue;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Turn sheet keys with one row per plural or gender form back into the keys or messages of a format
+ * @param {Object} flatData - Flat translations keyed by sheet key
+ * @param {Object} options - Plural options
+ * @param {string} options.style - Plural style ('i18next' or 'icu')
+ * @param {string} [options.langCode] - Language code, whose plural categories decide whether zero is
+ * written as zero or =0 in ICU messages
+ * @param {string} [options.pluralArgument='count'] - Name of the plural argument of ICU messages
+ * @param {string} [options.genderArgument='gender'] - Name of the gender argument of ICU messages
+ * @returns {Object} Flat translations
+ */
+export function joinPluralForms(flatData, { style, langCode = 'en', pluralArgument = 'count', genderArgument = 'gender' }) {
+  const out = {};
+
+  if (style === 'i18next') {
+    for (const [key, value] of Object.entries(flatData)) {
+      const formKey = parseFormKey(key);
+
+      out[formKey
+        ? `${formKey.base}${formKey.gender ? `_${formKey.gender}` : ''}${formKey.category ? `_${formKey.category}` : ''}`
+        : key] = value;
+    }
+
+    return out;
+  }
+
+  // Variants of each message by gender ('' for other), with a value or plural cases
+  const groups = new Map();
+  const variantOf = (base, gender = '') => {
+    if (!groups.has(base)) groups.set(base, new Map());
+    if (!groups.get(base).has(gender)) groups.get(base).set(gender, { value: undefined, cases: {} });
+    return groups.get(base).get(gender);
+  };
+
+  for (const [key, value] of Object.entries(flatData)) {
+    const formKey = parseFormKey(key);
+
+    if (formKey?.category) {
+      variantOf(formKey.base, formKey.gender).cases[formKey.category] = value;
+    } else if (formKey) {
+      variantOf(formKey.base, formKey.gender).value = value;
+    }
+  }
+
+  // The plain value of a key with forms is its other variant
+  for (const base of groups.keys()) {
+    if (base in flatData) {
+      variantOf(base).value = flatData[base];
+    }
+  }
+
+  const zeroSelector = getPluralCategories(langCode).categories.includes('zero') ? 'zero' : '=0';
+  const messageOf = ({ value, cases }) => {
+    const categories = PLURAL_CATEGORIES.filter(category => category in cases);
+
+    return categories.length
+      ? joinIcuChoice(pluralArgument, 'plural', categories.map(category => [category === 'zero' ? zeroSelector : category, cases[category]]))
+      : value;
+  };
+
+  for (const [key, value] of Object.entries(flatData)) {
+    const base = parseFormKey(key)?.base ?? key;
+    const variants = groups.get(base);
+
+    if (!variants) {
+      out[key] = value;
+      continue;
+    }
+
+    if (base in out) continue;
+
+    const genders = [...variants.keys()].filter(Boolean);
+    const other = variants.has('') ? [['other', messageOf(variants.get(''))]] : [];
+
+    out[base] = genders.length
+      ? joinIcuChoice(genderArgument, 'select', [...genders.map(gender => [gender, messageOf(variants.get(gender))]), ...other])
+      : messageOf(variants.get(''));
+  }
+
+  return out;
+}
+
+export default {
+  PLURAL_CATEGORIES,
+  GENDER_FORMS,
+  PLURAL_STYLES,
+  getPluralCategories,
+  getGettextPluralForms,
+  getPluralForms,
+  parsePluralKey,
+  findPluralGroups,
+  groupPluralKeys,
+  checkPluralForms,
+  selectPluralForms,
+  keepUnusedPluralForms,
+  findSourceValue,
+  splitIcuChoice,
+  joinIcuChoice,
+  splitPluralForms,
+  joinPluralForms,
+};
@@ -0,0 +1,434 @@
+import fs from 'fs';
+import { listFilesRecursively } from './files.js';
+import { matchesAny } from './glob.js';
+import { parseKey } from './keys.js';
+import path from 'path';
+import { PLURAL_CATEGORIES } from './plurals.js';
+
+/**
+ * Source code scan
+ * Finds the translation keys used in source code, and compares them with the keys of the sheet or files
+ */
+
+/**
+ * Translation functions found by default: t('key'), $t('key') (also this.$t) and i18n.t('key')
+ */
+export const DEFAULT_SCAN_FUNCTIONS = ['t', '$t', 'i18n.t'];
+
+/**
+ * Source files scanned by default
+ */
+export const DEFAULT_SCAN_INCLUDE = [
+  '**/*.js',
+  '**/*.jsx',
+  '**/*.mjs',
+  '**/*.cjs',
+  '**/*.ts',
+  '**/*.tsx',
+  '**/*.vue',
+  '**/*.svelte',
+  '**/*.html',
+];
+
+/**
+ * Directories that are never scanned
+ */
+const SKIPPED_DIRS = ['node_modules', '.git', '.i18n-syncer', 'dist', 'build', 'coverage'];
+
+/**
+ * String literal in single quotes, double quotes or backticks, whose content is in the first, second or third group
+ */
+const STRING_LITERAL = String.raw`(?:'((?:\\.|[^'\\\n])*)'|"((?:\\.|[^"\\\n])*)"|\x60((?:\\.|[^\x60\\])*)\x60)`;
+
+/**
+ * First argument of a call as a string literal, followed by what comes after it: a comma or closing
+ * parenthesis for a whole key, or a plus sign for a key that is concatenated at runtime
+ */
+const STRING_ARGUMENT = String.raw`\(\s*${STRING_LITERAL}\s*([,)+]?)`;
+
+/**
+ * Default text after the key of a call: a string argument, as in t('key', 'Default text'), or the
+ * defaultValue of an options object, as in t('key', { defaultValue: 'Default text' })
+ */
+const DEFAULT_TEXT_PATTERNS = [
+  new RegExp(String.raw`^\s*${STRING_LITERAL}\s*[,)]`),
+  new RegExp(String.raw`^\s*\{[^{}]*?\bdefaultValue\s*:\s*${STRING_LITERAL}`),
+];
+
+/**
+ * Source files that are markup, whose scripts are in script elements
+ */
+const MARKUP_FILE_PATTERN = /\.(html?|vue|svelte)$/i;
+
+/**
+ * Kinds of source text: code, comments, and string, template and regular expression literals
+ */
+const CODE = 0;
+const COMMENT = 1;
+const LITERAL = 2;
+
+/**
+ * Keywords after which a slash starts a regular expression rather than a division
+ */
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+/**
+ * Find the comments and literals of a script
+ * Regular expression literals are told from divisions by the token before them, as tokenizers do.
+ * @param {string} content - Source text
+ * @param {Uint8Array} kinds - Kind of each character, updated for the script
+ * @param {number} [start=0] - Index where the script starts
+ * @param {number} [end=content.length] - Index where the script ends
+ */
+const lexScript = (content, kinds, start = 0, end = content.length) => {
+  const mark = (from, to, kind) => kinds.fill(kind, from, Math.min(to, end));
+  // Open braces of each template literal substitution we are in
+  const substitutions = [];
+  let previous = '';
+  let i = start;
+
+  // Read template text up to its end or the next substitution
+  const lexTemplate = (from) => {
+    let j = from + 1;
+
+    while (j < end && content[j] !== '`' && !(content[j] === '$' && content[j + 1] === '{')) {
+      j += content[j] === '\\' ? 2 : 1;
+    }
+
+    if (content[j] === '$') {
+      substitutions.push(0);
+      mark(from, j + 2, LITERAL);
+      return j + 2;
+    }
+
+    mark(from, j + 1, LITERAL);
+    previous = '`';
+    return j + 1;
+  };
+
+  while (i < end) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '/' && next === '/') {
+      const stop = content.indexOf('\n', i);
+      mark(i, stop === -1 ? end : stop, COMMENT);
+      i = stop === -1 ? end : stop;
+    } else if (char === '/' && next === '*') {
+      const stop = content.indexOf('*/', i + 2);
+      mark(i, stop === -1 ? end : stop + 2, COMMENT);
+      i = stop === -1 ? end : stop + 2;
+    } else if (char === '\'' || char === '"' || (char === '/' && (!previous || REGEX_KEYWORDS.has(previous) || !/[\w$)\]}`'"]/.test(previous.slice(-1))))) {
+      // Strings and regular expressions end at their closing character or the end of the line
+      let j = i + 1;
+      let inClass = false;
+
+      while (j < end && content[j] !== '\n' && (content[j] !== char || inClass)) {
+        if (char === '/' && content[j] === '[') inClass = true;
+        if (char === '/' && content[j] === ']') inClass = false;
+        j += content[j] === '\\' ? 2 : 1;
+      }
+
+      mark(i, j + 1, LITERAL);
+      previous = char;
+      i = j + 1;
+    } else if (char === '`') {
+      i = lexTemplate(i);
+    } else if (char === '}' && substitutions.length && substitutions[substitutions.length - 1] === 0) {
+      substitutions.pop();
+      i = lexTemplate(i);
+    } else if (/[\w$]/.test(char)) {
+      const [word] = content.slice(i).match(/^[\w$]+/);
+      previous = word;
+      i += word.length;
+    } else {
+      if (substitutions.length && char === '{') substitutions[substitutions.length - 1]++;
+      if (substitutions.length && char === '}') substitutions[substitutions.length - 1]--;
+      if (!/\s/.test(char)) previous = char;
+      i++;
+    }
+  }
+};
+
+/**
+ * Find the kind of each character of a source text, so that calls in comments and literals are not
+ * taken for references
+ * In markup, only comments and the literals of script elements are found, as calls in the rest are in
+ * template expressions and attribute values.
+ * @param {string} content - Source text
+ * @param {boolean} [markup=false] - Whether the text is markup (HTML, Vue or Svelte)
+ * @returns {Uint8Array} Kind of each character (CODE, COMMENT or LITERAL)
+ */
+const lexSource = (content, markup = false) => {
+  const kinds = new Uint8Array(content.length);
+
+  if (!markup) {
+    lexScript(content, kinds);
+    return kinds;
+  }
+
+  for (const match of content.matchAll(/<!--[\s\S]*?(?:-->|$)/g)) {
+    kinds.fill(COMMENT, match.index, match.index + match[0].length);
+  }
+
+  for (const match of content.matchAll(/(<script\b[^>]*>)([\s\S]*?)<\/script\s*>/gi)) {
+    const start = match.index + match[1].length;
+
+    if (kinds[match.index] === CODE) {
+      lexScript(content, kinds, start, start + match[2].length);
+    }
+  }
+
+  return kinds;
+};
+
+/**
+ * Escape a text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Remove the backslash escapes of a string literal
+ * @param {string} text - Content of a string literal
+ * @returns {string} Unescaped text
+ */
+const unescapeString = text => text.replace(/\\(.)/gs, (match, char) => ({ n: '\n', r: '\r', t: '\t' })[char] ?? char);
+
+/**
+ * Find the default text of a call after its key
+ * @param {string} rest - Source text after the comma that follows the key
+ * @returns {string|undefined} Default text, or undefined if the call has none or it is built at runtime
+ */
+const findDefaultText = (rest) => {
+  for (const pattern of DEFAULT_TEXT_PATTERNS) {
+    const match = rest.match(pattern);
+
+    if (match && !match[3]?.includes('${')) {
+      return unescapeString(match[1] ?? match[2] ?? match[3]);
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Create the regular expression that finds calls of translation functions with a string key
+ * @param {Array<string>} functions - Function names, such as 't' or 'i18n.t'
+ * @returns {RegExp} Global regular expression, whose groups are the key in single quotes, double quotes or
+ * backticks, and what follows the key
+ */
+export function createCallPattern(functions = DEFAULT_SCAN_FUNCTIONS) {
+  const names = functions.map(escapeRegExp).join('|');
+
+  return new RegExp(`(?<![\\w$.])(?:this\\.)?(?:${names})${STRING_ARGUMENT}`, 'g');
+}
+
+/**
+ * Find the translation keys used in a source text
+ * Keys built at runtime, such as `errors.${code}` or 'errors.' + code, are dynamic and only their static
+ * prefix is known. The default text of a key is taken from the call, as in t('key', 'Default text') or
+ * t('key', { defaultValue: 'Default text' }). Calls in comments and in string literals are left out, and
+ * so are matches of additional patterns in comments.
+ * @param {string} content - Source text
+ * @param {Object} [options] - Scan options
+ * @param {Array<string>} [options.functions] - Translation function names (see DEFAULT_SCAN_FUNCTIONS)
+ * @param {Array<string|RegExp>} [options.patterns=[]] - Additional patterns, whose named group "key" or first
+ * group is a key
+ * @param {boolean} [options.markup=false] - Whether the text is markup (HTML, Vue or Svelte), where only
+ * comments and script elements are parsed
+ * @returns {{references: Array<{key: string, line: number, defaultValue?: string}>, dynamic: Array<{prefix: string, line: number}>}}
+ * Keys with their line numbers and default texts, and prefixes of dynamic keys with their line numbers
+ */
+export function findKeyReferences(content, { functions = DEFAULT_SCAN_FUNCTIONS, patterns = [], markup = false } = {}) {
+  const references = [];
+  const dynamic = [];
+  const kinds = lexSource(content, markup);
+  const lineOf = index => content.slice(0, index).split('\n').length;
+
+  for (const match of content.matchAll(createCallPattern(functions))) {
+    if (kinds[match.index] !== CODE) {
+      continue;
+    }
+
+    const [, single, double, template, next] = match;
+    const text = single ?? double ?? template;
+    const line = lineOf(match.index);
+
+    if (template !== undefined && template.includes('${')) {
+      dynamic.push({ prefix: unescapeString(template.slice(0, template.indexOf('${'))), line });
+    } else if (next === '+') {
+      dynamic.push({ prefix: unescapeString(text), line });
+    } else if (next === ',') {
+      const end = match.index + match[0].length;
+      const defaultValue = findDefaultText(content.slice(end, end + 1000));
+
+      references.push({ key: unescapeString(text), line, ...(defaultValue === undefined ? {} : { defaultValue }) });
+    } else if (next) {
+      references.push({ key: unescapeString(text), line });
+    }
+  }
+
+  for (const pattern of patterns) {
+    const regExp = new RegExp(pattern, [...new Set(`${pattern.flags ?? ''}g`)].join(''));
+
+    for (const match of content.matchAll(regExp)) {
+      const key = match.groups?.key ?? match[1];
+
+      if (key && kinds[match.index] !== COMMENT) {
+        references.push({ key, line: lineOf(match.index) });
+      }
+    }
+  }
+
+  return { references, dynamic };
+}
+
+/**
+ * Find the translation keys used in the source files of directories
+ * @param {Object} [options] - Scan options
+ * @param {Array<string>} [options.dirs=['.']] - Directories to scan
+ * @param {Array<string>} [options.include] - Glob patterns of the files to scan (see DEFAULT_SCAN_INCLUDE)
+ * @param {Array<string>} [options.exclude=[]] - Glob patterns of the files to skip
+ * @param {Array<string>} [options.functions] - Translation function names (see DEFAULT_SCAN_FUNCTIONS)
+ * @param {Array<string|RegExp>} [options.patterns=[]] - Additional patterns (see findKeyReferences)
+ * @returns {{files: number, references: Array<Object>, dynamic: Array<Object>}} Number of scanned files, and
+ * the keys and prefixes of dynamic keys with their file and line
+ */
+export function scanSourceFiles({
+  dirs = ['.'],
+  include = DEFAULT_SCAN_INCLUDE,
+  exclude = [],
+  functions = DEFAULT_SCAN_FUNCTIONS,
+  patterns = [],
+} = {}) {
+  const result = { files: 0, references: [], dynamic: [] };
+
+  for (const dir of dirs) {
+    const files = listFilesRecursively(dir, { skipDirs: SKIPPED_DIRS })
+      .filter(file => matchesAny(file, include) && !matchesAny(file, exclude));
+
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      const { references, dynamic } = findKeyReferences(fs.readFileSync(filePath, 'utf8'), {
+        functions,
+        patterns,
+        markup: MARKUP_FILE_PATTERN.test(file),
+      });
+
+      result.files++;
+      result.references.push(...references.map(reference => ({ ...reference, file: filePath })));
+      result.dynamic.push(...dynamic.map(reference => ({ ...reference, file: filePath })));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the names code can use for a key: the key without its type annotation, its parent keys (menu for
+ * menu.save), and the key of its plural (items for items[one] or items_one)
+ * @param {string} key - Translation key
+ * @param {string|null} keySeparator - Separator of nested keys, or null if keys are not nested
+ * @returns {Set<string>} Names of the key
+ */
+const namesOfKey = (key, keySeparator) => {
+  const { type } = parseKey(key, keySeparator);
+  const name = type ? key.slice(0, -(type.length + 1)) : key;
+
+  const names = new Set([name]);
+  const suffix = name.match(new RegExp(`_(${PLURAL_CATEGORIES.join('|')})$`));
+
+  if (suffix) {
+    names.add(name.slice(0, suffix.index));
+  }
+
+  for (let i = 1; i < name.length; i++) {
+    if (name[i] === '[' || (keySeparator && name.startsWith(keySeparator, i))) {
+      names.add(name.slice(0, i));
+    }
+  }
+
+  return names;
+};
+
+/**
+ * Compare the keys of the sheet or files with the keys used in source code
+ * A key is used if code refers to it, to one of its parent keys or to the key of its plural, or to a
+ * prefix of it in a dynamic key
+ * @param {Array<string>} keys - Translation keys of the sheet or files
+ * @param {Object} scan - Keys used in source code (see scanSourceFiles)
+ * @param {Array<{key: string, file: string, line: number}>} scan.references - Keys with their location
+ * @param {Array<{prefix: string, file: string, line: number}>} [scan.dynamic=[]] - Prefixes of dynamic keys
+ * @param {Object} [options] - Key options
+ * @param {string|null} [options.keySeparator='.'] - Separator of nested keys, or null if keys are not nested
+ * @returns {{unused: Array<string>, missing: Array<{key: string, locations: Array<string>}>}} Keys that no code
+ * uses, and keys used in code that are missing with their locations ('file:line')
+ */
+export function compareKeyUsage(keys, { references, dynamic = [] }, { keySeparator = '.' } = {}) {
+  const usedKeys = new Set(references.map(({ key }) => key));
+  const prefixes = [...new Set(dynamic.map(({ prefix }) => prefix).filter(Boolean))];
+  const knownNames = new Set();
+
+  const unused = keys.filter((key) => {
+    const names = namesOfKey(key, keySeparator);
+
+    names.forEach(name => knownNames.add(name));
+
+    return ![...names].some(name => usedKeys.has(name)) && !prefixes.some(prefix => key.startsWith(prefix));
+  });
+
+  const missing = new Map();
+
+  for (const { key, file, line } of references) {
+    if (!knownNames.has(key)) {
+      missing.set(key, [...(missing.get(key) || []), `${file}:${line}`]);
+    }
+  }
+
+  return {
+    unused,
+    missing: [...missing].map(([key, locations]) => ({ key, locations })),
+  };
+}
+
+/**
+ * Format the result of a scan as human-readable text
+ * @param {Object} result - Scan result
+ * @param {Array<string>} result.unused - Keys that no code uses
+ * @param {Array<{key: string, locations: Array<string>}>} result.missing - Keys used in code that are missing
+ * @param {Array<{prefix: string, file: string, line: number}>} [result.dynamic=[]] - Prefixes of dynamic keys
+ * @returns {string} Formatted unused and missing keys, and a total
+ */
+export function formatScanResult({ unused, missing, dynamic = [] }) {
+  const lines = [];
+
+  if (unused.length) {
+    lines.push(`Unused keys (${unused.length}):`, ...unused.map(key => `  - ${key}`));
+  }
+
+  if (missing.length) {
+    lines.push(`Missing keys (${missing.length}):`, ...missing.map(({ key, locations }) => `  + ${key} (${locations.join(', ')})`));
+  }
+
+  if (dynamic.length) {
+    lines.push(`Dynamic keys (${dynamic.length}), whose prefixes count as used:`, ...dynamic.map(({ prefix, file, line }) => `  * ${prefix || '(no prefix)'} (${file}:${line})`));
+  }
+
+  lines.push(unused.length || missing.length
+    ? `Total: ${unused.length} unused, ${missing.length} missing`
+    : 'No unused or missing keys');
+
+  return lines.join('\n');
+}
+
+export default {
+  DEFAULT_SCAN_FUNCTIONS,
+  DEFAULT_SCAN_INCLUDE,
+  createCallPattern,
+  findKeyReferences,
+  scanSourceFiles,
+  compareKeyUsage,
+  formatScanResult,
+};
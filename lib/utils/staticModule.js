@@ -0,0 +1,338 @@
+import { parse, tokenizer } from 'acorn';
+
+/**
+ * Static module parser
+ * Reads the exported object literal of a JavaScript or TypeScript module from its syntax tree,
+ * without executing the module
+ */
+
+const PARSER_OPTIONS = {
+  ecmaVersion: 'latest',
+  sourceType: 'module',
+  locations: true,
+};
+
+/**
+ * Token types after which an expression has ended, so that "as" and "satisfies" start a type
+ */
+const EXPRESSION_END_LABELS = new Set(['}', ']', ')', 'string', 'num', 'name', '`', 'true', 'false', 'null']);
+
+/**
+ * Create an error that points at a position of the module
+ * @param {string} message - Error message
+ * @param {string} fileName - File name for error reporting
+ * @param {{line: number, column: number}} [loc] - Position (1-based line, 0-based column)
+ * @returns {Error} Error with the line and column of the position
+ */
+const positionError = (message, fileName, loc) => new Error(
+  loc ? `${message} in ${fileName} at line ${loc.line}, column ${loc.column + 1}` : `${message} in ${fileName}`,
+);
+
+/**
+ * Create an error for a construct that is not a static value
+ * @param {string} what - Description of the construct
+ * @param {string} fileName - File name for error reporting
+ * @param {{line: number, column: number}} loc - Position of the construct
+ * @returns {Error} Error with the line and column of the construct
+ */
+const unsupportedError = (what, fileName, loc) => new Error(
+  `${positionError(`Unsupported ${what}`, fileName, loc).message} (only static object literals are allowed)`,
+);
+
+/**
+ * Blank out TypeScript-only syntax, so that the module can be parsed as JavaScript
+ * Type annotations of variables, "as" and "satisfies" expressions, and type, interface, declare and
+ * "import type" statements are replaced with spaces, which keeps the positions of the remaining code
+ * @param {string} source - TypeScript source
+ * @param {string} fileName - File name for error reporting
+ * @returns {string} JavaScript source
+ */
+export function stripTypeScript(source, fileName) {
+  let tokens;
+
+  try {
+    tokens = [...tokenizer(source, PARSER_OPTIONS)];
+  } catch (err) {
+    throw positionError(`Syntax error: ${err.message.replace(/\s*\(\d+:\d+\)$/, '')}`, fileName, err.loc);
+  }
+
+  const chars = [...source];
+  const erase = (start, end) => {
+    for (let i = start; i < end; i++) {
+      if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+    }
+  };
+
+  const label = (token) => token?.type.label;
+  const isOpening = (token) => ['{', '[', '(', '${'].includes(label(token)) || token?.value === '<';
+  const isClosing = (token) => ['}', ']', ')'].includes(label(token)) || token?.value === '>';
+
+  /**
+   * Find the end of a type that starts at a token
+   * @param {number} index - Index of the first token of the type
+   * @param {Array<string>} stopLabels - Token labels that end the type at depth 0
+   * @returns {number} Index of the first token after the type
+   */
+  const skipType = (index, stopLabels) => {
+    let depth = 0;
+    const startLine = tokens[index]?.loc.start.line;
+
+    for (let i = index; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (depth === 0 && (stopLabels.includes(label(token)) || (isClosing(token) && token.value !== '>'))) {
+        return i;
+      }
+
+      // A new line at depth 0 after a complete type starts the next statement
+      if (depth === 0 && i > index && token.loc.start.line > startLine && !['|', '&', '.'].includes(label(token))
+        && !['|', '&', '.', ':', '=>'].includes(label(tokens[i - 1])) && !isOpening(tokens[i - 1])) {
+        return i;
+      }
+
+      if (isOpening(token)) depth++;
+      if (isClosing(token)) depth--;
+      if (token.value === '>>') depth -= 2;
+      if (token.value === '>>>') depth -= 3;
+    }
+
+    return tokens.length;
+  };
+
+  let specifierDepth = -1;
+  let braceDepth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const previous = tokens[i - 1];
+    const next = tokens[i + 1];
+
+    if (label(token) === '{') {
+      // Braces of import and export specifiers, where "as" renames a binding
+      if (['import', 'export'].includes(label(previous))) {
+        specifierDepth = braceDepth;
+      }
+      braceDepth++;
+    } else if (label(token) === '}') {
+      braceDepth--;
+      if (braceDepth === specifierDepth) specifierDepth = -1;
+    }
+
+    const statementStart = !previous || [';', '}', 'export'].includes(label(previous))
+      || previous.loc.end.line < token.loc.start.line;
+
+    // type X = ..., interface X { ... }, declare ..., import type ...
+    if (label(token) === 'name' && statementStart && label(next) === 'name'
+      && ['type', 'interface', 'declare'].includes(token.value)) {
+      const start = label(previous) === 'export' ? previous.start : token.start;
+      let end = skipType(i + 2, [';']);
+
+      if (label(tokens[end]) === ';') end++;
+
+      erase(start, tokens[end - 1].end);
+      i = end - 1;
+      continue;
+    }
+
+    if (label(token) === 'import' && label(next) === 'name' && next.value === 'type' && label(tokens[i + 2]) !== ',') {
+      let end = i;
+      while (end < tokens.length && label(tokens[end]) !== 'string') end++;
+      if (label(tokens[end + 1]) === ';') end++;
+
+      erase(token.start, tokens[Math.min(end, tokens.length - 1)].end);
+      i = end;
+      continue;
+    }
+
+    // value as Type, value as const, value satisfies Type
+    if (label(token) === 'name' && ['as', 'satisfies'].includes(token.value)
+      && specifierDepth === -1 && EXPRESSION_END_LABELS.has(label(previous)) && next) {
+      const end = skipType(i + 1, [';', ',', '=']);
+
+      erase(token.start, tokens[end - 1].end);
+      i = end - 1;
+      continue;
+    }
+
+    // const name: Type = value
+    if (label(token) === ':' && label(previous) === 'name' && ['const', 'let', 'var'].includes(label(tokens[i - 2]))) {
+      const end = skipType(i + 1, ['=', ';', ',']);
+
+      erase(token.start, tokens[end - 1].end);
+      i = end - 1;
+    }
+  }
+
+  return chars.join('');
+}
+
+/**
+ * Evaluate a static expression node
+ * Only object and array literals, strings, template literals without expressions, numbers, booleans and null are allowed
+ * @param {Object} node - Expression node
+ * @param {string} fileName - File name for error reporting
+ * @returns {*} Value of the expression
+ */
+function evaluateNode(node, fileName) {
+  const unsupported = (what) => {
+    throw unsupportedError(what, fileName, node.loc.start);
+  };
+
+  switch (node.type) {
+  case 'ObjectExpression': {
+    const obj = {};
+
+    for (const property of node.properties) {
+      if (property.type === 'SpreadElement') {
+        throw unsupportedError('spread element', fileName, property.loc.start);
+      }
+
+      if (property.kind !== 'init' || property.method || property.shorthand) {
+        throw unsupportedError(property.shorthand ? 'shorthand property' : 'method', fileName, property.loc.start);
+      }
+
+      let key;
+
+      if (!property.computed && property.key.type === 'Identifier') {
+        key = property.key.name;
+      } else if (property.key.type === 'Literal' && ['string', 'number'].includes(typeof property.key.value)) {
+        key = String(property.key.value);
+      } else if (property.key.type === 'TemplateLiteral' && !property.key.expressions.length) {
+        key = property.key.quasis[0].value.cooked;
+      } else {
+        throw unsupportedError('computed key', fileName, property.key.loc.start);
+      }
+
+      obj[key] = evaluateNode(property.value, fileName);
+    }
+
+    return obj;
+  }
+  case 'ArrayExpression':
+    return node.elements.map((element) => {
+      if (!element || element.type === 'SpreadElement') {
+        throw unsupportedError(element ? 'spread element' : 'array hole', fileName, (element || node).loc.start);
+      }
+
+      return evaluateNode(element, fileName);
+    });
+  case 'Literal':
+    if (node.regex || node.bigint !== undefined) {
+      return unsupported(node.regex ? 'regular expression' : 'BigInt literal');
+    }
+
+    return node.value;
+  case 'TemplateLiteral':
+    if (node.expressions.length) {
+      throw unsupportedError('template literal expression', fileName, node.expressions[0].loc.start);
+    }
+
+    return node.quasis[0].value.cooked;
+  case 'UnaryExpression':
+    if (['-', '+'].includes(node.operator) && node.argument.type === 'Literal' && typeof node.argument.value === 'number') {
+      return node.operator === '-' ? -node.argument.value : node.argument.value;
+    }
+
+    return unsupported(`"${node.operator}" expression`);
+  case 'ParenthesizedExpression':
+    return evaluateNode(node.expression, fileName);
+  default:
+    return unsupported(node.type.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase());
+  }
+}
+
+/**
+ * Read the exported object literal of a module without executing it
+ * The export is, in order of preference: the named export exportName, the default export (or a
+ * const it refers to), module.exports, or the only exported const
+ * @param {string} content - Module source
+ * @param {Object} options - Parser options
+ * @param {string} options.fileName - File name for error reporting
+ * @param {boolean} [options.typescript=false] - Whether the module is TypeScript
+ * @param {string} [options.exportName] - Name of the named export to read
+ * @returns {Object} Exported object
+ */
+export function parseStaticModule(content, { fileName, typescript = false, exportName } = {}) {
+  const source = typescript ? stripTypeScript(content, fileName) : content;
+  let program;
+
+  try {
+    program = parse(source, PARSER_OPTIONS);
+  } catch (err) {
+    throw positionError(`Syntax error: ${err.message.replace(/\s*\(\d+:\d+\)$/, '')}`, fileName, err.loc);
+  }
+
+  // Top-level const declarations, which default exports may refer to
+  const constants = new Map();
+  const namedExports = new Map();
+  let defaultExport = null;
+  let commonJsExport = null;
+
+  const declare = (declaration, exported) => {
+    for (const declarator of declaration.declarations) {
+      if (declarator.id.type !== 'Identifier' || !declarator.init) continue;
+
+      if (declaration.kind === 'const') {
+        constants.set(declarator.id.name, declarator.init);
+      }
+
+      if (exported) {
+        namedExports.set(declarator.id.name, declarator.init);
+      }
+    }
+  };
+
+  for (const statement of program.body) {
+    if (statement.type === 'VariableDeclaration') {
+      declare(statement, false);
+    } else if (statement.type === 'ExportNamedDeclaration' && statement.declaration?.type === 'VariableDeclaration') {
+      declare(statement.declaration, true);
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      defaultExport = statement.declaration;
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+      const { left, right } = statement.expression;
+
+      if (left.type === 'MemberExpression' && left.object.name === 'module' && left.property.name === 'exports') {
+        commonJsExport = right;
+      }
+    }
+  }
+
+  let node;
+
+  if (exportName) {
+    node = namedExports.get(exportName);
+
+    if (!node) {
+      throw new Error(`Could not find export "${exportName}" in ${fileName}`);
+    }
+  } else if (defaultExport || commonJsExport) {
+    node = defaultExport || commonJsExport;
+  } else if (namedExports.size === 1) {
+    [node] = namedExports.values();
+  } else if (namedExports.size > 1) {
+    throw new Error(`Found several exports in ${fileName} (${[...namedExports.keys()].join(', ')}), set exportName to choose one`);
+  } else {
+    throw new Error(`Could not find an export default, export const or module.exports statement in ${fileName}`);
+  }
+
+  // export default messages, where messages is a top-level const
+  if (node.type === 'Identifier') {
+    if (!constants.has(node.name)) {
+      throw unsupportedError(`reference to "${node.name}"`, fileName, node.loc.start);
+    }
+
+    node = constants.get(node.name);
+  }
+
+  if (node.type !== 'ObjectExpression') {
+    throw positionError('Exported value is not an object literal', fileName, node.loc.start);
+  }
+
+  return evaluateNode(node, fileName);
+}
+
+export default {
+  parseStaticModule,
+  stripTypeScript,
+};
@@ -0,0 +1,68 @@
+/**
+ * XML helpers
+ * Escapes and unescapes text for the XML-based formats (Android resources, property lists)
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+};
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {string} text - Text to escape
+ * @param {Object} [options] - Escape options
+ * @param {boolean} [options.quotes=false] - Also escape double quotes, for attribute values
+ * @returns {string} Escaped text
+ */
+export function escapeXml(text, { quotes = false } = {}) {
+  const escaped = String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  return quotes ? escaped.replace(/"/g, '&quot;') : escaped;
+}
+
+/**
+ * Decode the named and numeric character references in XML text
+ * @param {string} text - Text to decode
+ * @returns {string} Decoded text
+ */
+export function unescapeXml(text) {
+  return String(text).replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    }
+
+    if (entity.startsWith('#')) {
+      return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    }
+
+    return NAMED_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Parse the attributes of an XML start tag
+ * @param {string} source - Attribute source, such as 'name="title" translatable="false"'
+ * @returns {Object} Attribute values by name, decoded
+ */
+export function parseAttributes(source = '') {
+  const attributes = {};
+
+  for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = unescapeXml(doubleQuoted ?? singleQuoted);
+  }
+
+  return attributes;
+}
+
+export default {
+  escapeXml,
+  unescapeXml,
+  parseAttributes,
+};
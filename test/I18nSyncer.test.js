@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { createWorkspace, quiet, spreadsheets } from './helpers/fakeGoogle.js';
+import { I18nSyncer } from '../lib/I18nSyncer.js';
+
+describe('I18nSyncer', () => {
+  describe('missing-value policy', () => {
+    const setup = (t) => {
+      quiet(t);
+      const workspace = createWorkspace();
+      const spreadsheetId = path.basename(workspace.dir);
+
+      spreadsheets[spreadsheetId] = {
+        Sheet1: [['Key', 'en', 'fr'], ['greet', 'Hello', 'Bonjour'], ['todo.new', '', ''], ['bye', 'Bye', '']],
+      };
+
+      const syncer = new I18nSyncer({ spreadsheetId, ...workspace });
+      const keysOf = () => spreadsheets[spreadsheetId].Sheet1.map(([key]) => key);
+      const readFile = langCode => JSON.parse(fs.readFileSync(path.join(workspace.translationDir, `${langCode}.json`), 'utf8'));
+
+      return { syncer, keysOf, readFile, workspace };
+    };
+
+    it('keeps the rows of omitted keys on a merge push', async (t) => {
+      const { syncer, keysOf, readFile } = setup(t);
+
+      await syncer.pull({ missing: 'omit' });
+      assert.deepEqual(readFile('en'), { greet: 'Hello', bye: 'Bye' });
+      assert.deepEqual(readFile('fr'), { greet: 'Bonjour' });
+
+      assert.equal(await syncer.push({ merge: true }), true);
+      assert.deepEqual(keysOf(), ['Key', 'greet', 'todo.new', 'bye']);
+    });
+
+    it('keeps the rows of omitted keys on a push', async (t) => {
+      const { syncer, keysOf } = setup(t);
+
+      await syncer.pull({ missing: 'omit' });
+      await syncer.push();
+      assert.deepEqual(keysOf(), ['Key', 'greet', 'todo.new', 'bye']);
+    });
+
+    it('deletes omitted keys that were removed from the files with a value', async (t) => {
+      const { syncer, keysOf, readFile, workspace } = setup(t);
+
+      await syncer.pull({ missing: 'omit' });
+      const { bye, ...en } = readFile('en');
+      assert.equal(bye, 'Bye');
+      fs.writeFileSync(path.join(workspace.translationDir, 'en.json'), JSON.stringify(en));
+
+      await syncer.push({ merge: true });
+      assert.deepEqual(keysOf(), ['Key', 'greet', 'todo.new']);
+    });
+  });
+
+  describe('sync state', () => {
+    it('keeps the merge base and history of spreadsheets with the same sheet names apart', async (t) => {
+      quiet(t);
+      const { credentialsPath, stateDir, dir } = createWorkspace();
+      const [first, second] = ['first', 'second'].map((name) => {
+        const spreadsheetId = `${path.basename(dir)}-${name}`;
+
+        spreadsheets[spreadsheetId] = { Sheet1: [['Key', 'en'], [`${name}.key`, name]] };
+
+        return {
+          spreadsheetId,
+          syncer: new I18nSyncer({ spreadsheetId, credentialsPath, stateDir, translationDir: path.join(dir, name) }),
+        };
+      });
+
+      await first.syncer.pull();
+      await second.syncer.pull();
+
+      assert.equal(await first.syncer.push({ merge: true, conflictStrategy: 'abort' }), true);
+      assert.deepEqual(spreadsheets[first.spreadsheetId].Sheet1, [['Key', 'en'], ['first.key', 'first']]);
+      assert.equal(first.syncer.listSnapshots().length, 1);
+      assert.deepEqual(second.syncer.listSnapshots(), []);
+    });
+  });
+});
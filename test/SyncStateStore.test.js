@@ -0,0 +1,22 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createWorkspace } from './helpers/fakeGoogle.js';
+import SyncStateStore from '../lib/SyncStateStore.js';
+
+describe('SyncStateStore', () => {
+  it('keeps the state of spreadsheets with the same sheet names apart', () => {
+    const { stateDir } = createWorkspace();
+    const first = new SyncStateStore({ spreadsheetId: 'first', stateDir });
+    const second = new SyncStateStore({ spreadsheetId: 'second', stateDir });
+
+    first.saveBase('Sheet1', { en: { greet: 'Hello' } }, { missingPolicy: { missing: 'omit' } });
+    first.saveSnapshot('Sheet1', [['Key', 'en'], ['greet', 'Hello']]);
+
+    assert.deepEqual(first.loadBase('Sheet1'), { en: { greet: 'Hello' } });
+    assert.equal(second.loadBase('Sheet1'), null);
+    assert.equal(second.loadMissingPolicy('Sheet1'), null);
+    assert.equal(first.listSnapshots().length, 1);
+    assert.deepEqual(second.listSnapshots(), []);
+    assert.deepEqual(second.listSnapshots('Sheet1'), []);
+  });
+});
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import AndroidFormatHandler from '../../lib/formatHandlers/AndroidFormatHandler.js';
+
+const STRINGS = `<?xml version="1.0" encoding="utf-8"?>
+<resources xmlns:tools="http://schemas.android.com/tools">
+    <string name="app_name" translatable="false">Shop</string>
+    <!-- Greeting on the home screen -->
+    <string name="hello" tools:ignore="MissingTranslation">Hello</string>
+    <string name="ratio" formatted="false">%d of %d</string>
+    <plurals name="files" tools:ignore="UnusedQuantity">
+        <item quantity="one">%d file</item>
+        <item quantity="other">%d files</item>
+    </plurals>
+</resources>
+`;
+
+describe('AndroidFormatHandler', () => {
+  const handler = new AndroidFormatHandler();
+  const existing = handler.parseContent(STRINGS, 'strings.xml');
+
+  it('leaves untranslatable resources out of the sheet', () => {
+    assert.deepEqual(handler.toSheets(existing), {
+      hello: 'Hello',
+      ratio: '%d of %d',
+      'files[one]': '%d file',
+      'files[other]': '%d files',
+    });
+  });
+
+  it('keeps attributes and untranslatable resources of the existing file on pull', () => {
+    const flatData = { ...handler.toSheets(existing), hello: 'Hi' };
+    const comments = handler.getComments(existing);
+    const content = handler.save(handler.fromSheets(flatData, { langCode: 'en', comments, existing }));
+
+    assert.equal(content, STRINGS.replace('>Hello<', '>Hi<'));
+  });
+
+  it('writes new files without attributes', () => {
+    const content = handler.save(handler.fromSheets({ hello: 'Bonjour' }, { langCode: 'fr' }));
+
+    assert.match(content, /<resources>\n {4}<string name="hello">Bonjour<\/string>/);
+  });
+});
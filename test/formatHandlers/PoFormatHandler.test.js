@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import PoFormatHandler from '../../lib/formatHandlers/PoFormatHandler.js';
+
+const FRENCH = `msgid ""
+msgstr ""
+"Project-Id-Version: shop 1.0\\n"
+"Language: fr\\n"
+"Content-Type: text/plain; charset=ISO-8859-1\\n"
+"Plural-Forms: nplurals=3; plural=n;\\n"
+
+# Shown above each step
+#: src/steps.js:4
+#, c-format
+msgid "Step [2]"
+msgstr "Étape [2]"
+
+msgid "%d file"
+msgid_plural "%d files"
+msgstr[0] "%d fichier"
+msgstr[1] "%d fichiers"
+`;
+
+describe('PoFormatHandler', () => {
+  const handler = new PoFormatHandler();
+  const existing = handler.parseContent(FRENCH, 'fr.po');
+  const source = { 'Step [2]': 'Step [2]', '%d file[0]': '%d file', '%d file[1]': '%d files' };
+
+  it('keeps msgids ending in an index that are not plural', () => {
+    const flatData = handler.toSheets(existing);
+
+    assert.deepEqual(flatData, { 'Step [2]': 'Étape [2]', '%d file[0]': '%d fichier', '%d file[1]': '%d fichiers' });
+
+    const { entries } = handler.fromSheets(flatData, { langCode: 'fr', source, existing });
+    const [step, files] = entries;
+
+    assert.equal(entries.length, 2);
+    assert.equal(step.msgid, 'Step [2]');
+    assert.equal(step.msgidPlural, null);
+    assert.deepEqual(step.msgstr, ['Étape [2]']);
+    assert.deepEqual(step.comments.flags, ['c-format']);
+    assert.deepEqual(step.comments.references, ['src/steps.js:4']);
+    assert.equal(files.msgid, '%d file');
+    assert.equal(files.msgidPlural, '%d files');
+  });
+
+  it('keeps msgids ending in an index of new entries without other forms', () => {
+    const { entries: [entry] } = handler.fromSheets({ 'Step [2]': 'Schritt [2]' }, { langCode: 'de', source });
+
+    assert.equal(entry.msgid, 'Step [2]');
+    assert.equal(entry.msgidPlural, null);
+    assert.deepEqual(entry.msgstr, ['Schritt [2]']);
+  });
+
+  it('keeps the headers of the existing file and updates Plural-Forms', () => {
+    const content = handler.save(handler.fromSheets(handler.toSheets(existing), { langCode: 'fr', source, existing }), 'fr');
+    const { headers } = handler.parseContent(content, 'fr.po');
+
+    assert.deepEqual(Object.keys(headers), ['Project-Id-Version', 'Language', 'Content-Type', 'Plural-Forms']);
+    assert.equal(headers['Project-Id-Version'], 'shop 1.0');
+    assert.equal(headers['Content-Type'], 'text/plain; charset=ISO-8859-1');
+    assert.notEqual(headers['Plural-Forms'], 'nplurals=3; plural=n;');
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import XliffFormatHandler from '../../lib/formatHandlers/XliffFormatHandler.js';
+
+describe('XliffFormatHandler', () => {
+  it('unwraps CDATA sections of XLIFF 1.2', () => {
+    const handler = new XliffFormatHandler();
+    const translation = handler.parseContent(`<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="en" target-language="fr" datatype="plaintext" original="messages">
+    <body>
+      <trans-unit id="bold" resname="bold">
+        <source><![CDATA[a <b>]]> &amp; b</source>
+        <target state="translated"><![CDATA[a <b>]]> &amp; <x id="1"/></target>
+      </trans-unit>
+    </body>
+  </file>
+</xliff>
+`, 'fr.xlf');
+
+    assert.deepEqual(handler.toSheets(translation), { bold: 'a <b> & <x id="1"/>' });
+
+    const content = handler.save(handler.fromSheets(handler.toSheets(translation), { source: { bold: 'a <b> & b' } }), 'fr');
+
+    assert.match(content, /<target state="translated">a &lt;b&gt; &amp; <x id="1"\/><\/target>/);
+    assert.deepEqual(handler.toSheets(handler.parseContent(content, 'fr.xlf')), { bold: 'a <b> & <x id="1"/>' });
+  });
+
+  it('unwraps CDATA sections of XLIFF 2.0', () => {
+    const handler = new XliffFormatHandler({ version: '2.0' });
+    const translation = handler.parseContent(`<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="fr">
+  <file id="messages">
+    <unit id="bold">
+      <segment state="translated">
+        <source><![CDATA[a <b>]]></source>
+        <target><![CDATA[un <b>]]></target>
+      </segment>
+    </unit>
+  </file>
+</xliff>
+`, 'fr.xlf');
+
+    assert.equal(translation.units[0].source, 'a <b>');
+    assert.deepEqual(handler.toSheets(translation), { bold: 'un <b>' });
+  });
+});
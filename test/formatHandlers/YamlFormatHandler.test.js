@@ -0,0 +1,18 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import JsonFormatHandler from '../../lib/formatHandlers/JsonFormatHandler.js';
+import YamlFormatHandler from '../../lib/formatHandlers/YamlFormatHandler.js';
+
+describe('YamlFormatHandler', () => {
+  it('joins ICU plurals with the rules of the language', () => {
+    const flatData = { 'items[zero]': '# vienumu', 'items[one]': '# vienums', 'items[other]': '# vienumi' };
+    const context = { langCode: 'lv', mainLanguage: 'en' };
+    const yaml = new YamlFormatHandler({ plurals: 'icu' });
+    const json = new JsonFormatHandler({ plurals: 'icu' });
+    const translation = yaml.fromSheets(flatData, context);
+
+    assert.equal(translation.items, '{count, plural, zero {# vienumu} one {# vienums} other {# vienumi}}');
+    assert.deepEqual(translation, json.fromSheets(flatData, context));
+    assert.match(yaml.save(translation, 'lv'), /zero \{# vienumu\}/);
+  });
+});
@@ -0,0 +1,93 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { google } from 'googleapis';
+
+/**
+ * Fake Google APIs
+ * Replaces the Sheets and Drive clients of googleapis with in-memory spreadsheets, so that the syncer
+ * can be tested without credentials or network access
+ */
+
+/**
+ * Worksheet values by spreadsheet id and sheet name
+ */
+export const spreadsheets = {};
+
+/**
+ * Get the sheet name of an A1 range such as 'Sheet1'!A1:C3
+ * @param {string} range - A1 range
+ * @returns {string} Sheet name
+ */
+const sheetNameOf = range => range.split('!')[0].replace(/^'|'$/g, '').replace(/''/g, '\'');
+
+google.sheets = () => ({
+  spreadsheets: {
+    get: async ({ spreadsheetId }) => ({
+      data: {
+        sheets: Object.keys(spreadsheets[spreadsheetId]).map((title, sheetId) => ({
+          properties: { title, sheetId, gridProperties: { rowCount: 1000, columnCount: 26 } },
+        })),
+      },
+    }),
+    batchUpdate: async ({ spreadsheetId, resource }) => ({
+      data: {
+        replies: resource.requests.map(({ addSheet }) => {
+          if (!addSheet) return {};
+
+          spreadsheets[spreadsheetId][addSheet.properties.title] = [];
+          return { addSheet: { properties: { title: addSheet.properties.title, sheetId: 99 } } };
+        }),
+      },
+    }),
+    values: {
+      get: async ({ spreadsheetId, range }) => ({
+        data: { values: spreadsheets[spreadsheetId][sheetNameOf(range)] },
+      }),
+      clear: async ({ spreadsheetId, range }) => {
+        spreadsheets[spreadsheetId][sheetNameOf(range)] = [];
+        return {};
+      },
+      update: async ({ spreadsheetId, range, resource }) => {
+        spreadsheets[spreadsheetId][sheetNameOf(range)] = resource.values;
+        return { data: { updatedCells: resource.values.flat().length } };
+      },
+      append: async ({ spreadsheetId, range, resource }) => {
+        spreadsheets[spreadsheetId][sheetNameOf(range)].push(...resource.values);
+        return { data: { updates: { updatedRows: resource.values.length } } };
+      },
+    },
+  },
+});
+
+google.drive = () => ({
+  files: {
+    get: async () => ({ data: { version: '1', modifiedTime: '2026-01-01T00:00:00Z' } }),
+  },
+});
+
+/**
+ * Create a temporary working directory with a credentials file
+ * @returns {{dir: string, credentialsPath: string, translationDir: string, stateDir: string}} Paths
+ */
+export function createWorkspace() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-syncer-'));
+  const credentialsPath = path.join(dir, 'credentials.json');
+
+  fs.writeFileSync(credentialsPath, '{}');
+
+  return {
+    dir,
+    credentialsPath,
+    translationDir: path.join(dir, 'translations'),
+    stateDir: path.join(dir, '.i18n-syncer'),
+  };
+}
+
+/**
+ * Silence the console for a test
+ * @param {Object} t - Test context
+ */
+export function quiet(t) {
+  ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}
@@ -0,0 +1,12 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { groupPluralKeys, selectPluralForms } from '../../lib/utils/plurals.js';
+
+describe('plurals', () => {
+  it('does not take keys ending in an index without a form 0 for plural forms', () => {
+    const flatData = { 'Step [2]': 'Step [2]', '%d file[0]': '%d file', '%d file[1]': '%d files', '%d file[2]': '' };
+
+    assert.deepEqual(Object.keys(selectPluralForms(flatData, 'en', 'indexes')), ['Step [2]', '%d file[0]', '%d file[1]']);
+    assert.deepEqual(groupPluralKeys(['%d file[1]', 'Step [2]', '%d file[0]'], 'indexes'), ['%d file[0]', '%d file[1]', 'Step [2]']);
+  });
+});